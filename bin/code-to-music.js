@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+require('dotenv').config();
+
+const MusicGenerator = require('../src/services/musicGenerator');
+const LocalSource = require('../src/services/sources/localSource');
+const { resolveLanguage } = require('../src/services/lyrics');
+
+const USAGE = `Usage: code-to-music <github-url|directory> [music-style] [options]
+       code-to-music --batch <list-file> --out <dir> [options]
+
+Options:
+  -s, --style <id>            Music style (default: auto)
+  -o, --out <dir>             Write prompt.txt, lyrics.txt and analysis.json to <dir>
+                              instead of printing the song
+  -b, --batch <list-file>     One repository URL or directory per line, optionally
+                              followed by a style; # starts a comment
+  -c, --concurrency <n>       Songs generated at the same time in batch mode (default: 2)
+      --force                 Regenerate songs a previous batch run already wrote
+      --profile <id>          Export profile for the prompt and lyrics limits
+      --language <tag>        Lyrics language, e.g. de, ja or pt-BR
+      --translation           Add an English translation of non-English lyrics
+      --no-contributor-names  Replace contributor names with "Contributor N"
+      --refresh               Ignore cached analyses
+      --record <file>         Record GitHub and LLM responses to a cassette file
+      --replay <file>         Replay a recorded cassette instead of calling GitHub
+                              and the LLM provider
+  -h, --help                  Show this help`;
+
+const OPTIONS = {
+  style: { type: 'string', short: 's' },
+  out: { type: 'string', short: 'o' },
+  batch: { type: 'string', short: 'b' },
+  concurrency: { type: 'string', short: 'c', default: '2' },
+  force: { type: 'boolean', default: false },
+  profile: { type: 'string' },
+  language: { type: 'string' },
+  translation: { type: 'boolean', default: false },
+  'no-contributor-names': { type: 'boolean', default: false },
+  refresh: { type: 'boolean', default: false },
+  record: { type: 'string' },
+  replay: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Written last, so a song directory with this file is complete
+const ANALYSIS_FILE = 'analysis.json';
+
+function toSource(target) {
+  if (/github\.com\//.test(target)) {
+    return target;
+  }
+  if (!fs.existsSync(target)) {
+    throw new Error(`${target} is neither a GitHub URL nor an existing directory`);
+  }
+  return new LocalSource(path.resolve(target));
+}
+
+// Directory name for a target: owner-repo plus ref and subpath for GitHub
+// URLs, the directory name for local paths
+function toSlug(target) {
+  const name = /github\.com\//.test(target)
+    ? target.replace(/^.*github\.com\//, '').replace(/\.git$/, '')
+    : path.basename(path.resolve(target));
+  return name.toLowerCase().replace(/[^a-z0-9._]+/g, '-').replace(/^-+|-+$/g, '') || 'song';
+}
+
+function validateOptions(musicGenerator, { styles, profile, language }) {
+  const unknown = musicGenerator.findUnknownStyles(styles);
+  if (unknown.length > 0) {
+    const available = musicGenerator.styleRegistry.list().map(style => style.id).join(', ');
+    throw new Error(`Unknown music style "${unknown.join('", "')}". Available styles: auto, ${available}`);
+  }
+  if (profile && !musicGenerator.profileRegistry.has(profile)) {
+    const available = musicGenerator.profileRegistry.list().map(item => item.id).join(', ');
+    throw new Error(`Unknown export profile "${profile}". Available profiles: ${available}`);
+  }
+  if (language && !resolveLanguage(language)) {
+    throw new Error(`Unknown language "${language}". Use a BCP 47 language tag such as "de", "ja" or "pt-BR"`);
+  }
+}
+
+// Writes the song files; analysis.json goes through a temporary file so an
+// interrupted run never leaves a directory that looks complete
+async function writeSong(dir, result) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, 'prompt.txt'), `${result.musicPrompt.trim()}\n`);
+  await fs.promises.writeFile(path.join(dir, 'lyrics.txt'), `${result.lyrics.trim()}\n`);
+
+  const analysisPath = path.join(dir, ANALYSIS_FILE);
+  await fs.promises.writeFile(`${analysisPath}.tmp`, JSON.stringify(result, null, 2));
+  await fs.promises.rename(`${analysisPath}.tmp`, analysisPath);
+}
+
+// "<target> [style]" per line; blank lines and # comments are skipped.
+// Repeated targets run once; slugs that collide get a numeric suffix.
+function readBatchFile(file, defaultStyle) {
+  const entries = [];
+  const slugs = new Set();
+
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    const [target, style = defaultStyle] = line.replace(/#.*$/, '').trim().split(/\s+/);
+    if (!target || entries.some(entry => entry.target === target)) {
+      continue;
+    }
+
+    let slug = toSlug(target);
+    for (let suffix = 2; slugs.has(slug); suffix++) {
+      slug = `${toSlug(target)}-${suffix}`;
+    }
+    slugs.add(slug);
+    entries.push({ target, style, slug });
+  }
+
+  return entries;
+}
+
+// Runs the entries with at most `concurrency` songs in flight. A failed
+// song is recorded and the batch goes on; songs already written by an
+// earlier run are skipped unless force is set, so rerunning the same
+// command resumes after the failures.
+async function runBatch(musicGenerator, entries, { out, concurrency, force, options }) {
+  const results = new Array(entries.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < entries.length) {
+      const index = next++;
+      const { target, style, slug } = entries[index];
+      const dir = path.join(out, slug);
+      const label = `[${index + 1}/${entries.length}] ${target}`;
+      const startedAt = Date.now();
+
+      if (!force && fs.existsSync(path.join(dir, ANALYSIS_FILE))) {
+        console.error(`${label}: already generated, skipping`);
+        results[index] = { target, slug, status: 'skipped', style: null, title: null, durationMs: 0, error: null };
+        continue;
+      }
+
+      try {
+        console.error(`${label}: generating (${style})`);
+        const result = await musicGenerator.generateFromRepo(toSource(target), style, options);
+        await writeSong(dir, result);
+        console.error(`${label}: done (${result.selectedStyle})`);
+        results[index] = {
+          target,
+          slug,
+          status: 'done',
+          style: result.selectedStyle,
+          title: result.lyricsStructure?.title || null,
+          durationMs: Date.now() - startedAt,
+          error: null
+        };
+      } catch (error) {
+        console.error(`${label}: failed: ${error.message}`);
+        results[index] = { target, slug, status: 'failed', style: null, title: null, durationMs: Date.now() - startedAt, error: error.message };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, entries.length) }, worker));
+  return results;
+}
+
+// summary.json for scripts, summary.md for people
+async function writeSummary(out, startedAt, results) {
+  const count = status => results.filter(result => result.status === status).length;
+  const summary = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    total: results.length,
+    done: count('done'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    results
+  };
+
+  const lines = [
+    '# Batch Summary',
+    '',
+    `${summary.done} generated, ${summary.skipped} skipped, ${summary.failed} failed of ${summary.total} (${summary.startedAt} to ${summary.finishedAt})`,
+    '',
+    '| Repository | Status | Style | Output | Error |',
+    '| --- | --- | --- | --- | --- |',
+    ...results.map(result => `| ${result.target} | ${result.status} | ${result.style || ''} | ${result.status === 'failed' ? '' : `${result.slug}/`} | ${(result.error || '').replace(/\|/g, '\\|')} |`)
+  ];
+
+  await fs.promises.mkdir(out, { recursive: true });
+  await fs.promises.writeFile(path.join(out, 'summary.json'), JSON.stringify(summary, null, 2));
+  await fs.promises.writeFile(path.join(out, 'summary.md'), `${lines.join('\n')}\n`);
+  return summary;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const [target, positionalStyle] = positionals;
+  const musicStyle = values.style || positionalStyle || 'auto';
+
+  if (values.help || (!target && !values.batch)) {
+    console.error(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+  if (values.batch && !values.out) {
+    throw new Error('--batch needs --out <dir> for the songs and the summary report');
+  }
+
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--concurrency must be a positive integer, got "${values.concurrency}"`);
+  }
+
+  if (values.record && values.replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+  // Read when the generator is created
+  if (values.record || values.replay) {
+    process.env.CASSETTE_MODE = values.record ? 'record' : 'replay';
+    process.env.CASSETTE_FILE = values.record || values.replay;
+  }
+
+  // Pipeline progress goes to stderr so stdout only carries the song
+  console.log = console.error;
+
+  const musicGenerator = new MusicGenerator();
+  const options = {
+    refresh: values.refresh,
+    contributorNames: !values['no-contributor-names'],
+    profile: values.profile,
+    language: values.language,
+    translation: values.translation
+  };
+
+  if (values.batch) {
+    const entries = readBatchFile(values.batch, musicStyle);
+    validateOptions(musicGenerator, { styles: entries.map(entry => entry.style), profile: values.profile, language: values.language });
+
+    const startedAt = new Date().toISOString();
+    const results = await runBatch(musicGenerator, entries, { out: values.out, concurrency, force: values.force, options });
+    const summary = await writeSummary(values.out, startedAt, results);
+
+    console.error(`${summary.done} generated, ${summary.skipped} skipped, ${summary.failed} failed; report in ${path.join(values.out, 'summary.md')}`);
+    process.exitCode = summary.failed > 0 ? 1 : 0;
+    return;
+  }
+
+  validateOptions(musicGenerator, { styles: [musicStyle], profile: values.profile, language: values.language });
+  const result = await musicGenerator.generateFromRepo(toSource(target), musicStyle, options);
+
+  if (values.out) {
+    await writeSong(values.out, result);
+    console.error(`Wrote prompt.txt, lyrics.txt and ${ANALYSIS_FILE} to ${values.out}`);
+    return;
+  }
+
+  process.stdout.write(`# ${result.repository.name} (${result.selectedStyle})\n\n`);
+  process.stdout.write(`## Music Prompt\n\n${result.musicPrompt.trim()}\n\n`);
+  process.stdout.write(`## Lyrics\n\n${result.lyrics.trim()}\n`);
+}
+
+main().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
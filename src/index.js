@@ -3,27 +3,42 @@ const cors = require('cors');
 const path = require('path');
 require('dotenv').config();
 
+const authRoutes = require('./routes/auth');
 const apiRoutes = require('./routes/api');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
-app.use(express.json());
+// CORS_ORIGINS limits cross-origin browser access to a comma-separated list
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors(corsOrigins.length > 0 ? { origin: corsOrigins, credentials: true } : undefined));
+app.use(express.json({ limit: '1mb' }));
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Sessions, key management and, when API_AUTH=required, the API key check
+app.use('/api', authRoutes);
 app.use('/api', apiRoutes);
 
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
+// Read-only permalink page for a saved generation
+app.get('/songs/:id', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/song.html'));
+});
+
 app.use((err, req, res, next) => {
   console.error(err.stack);
   res.status(500).json({ error: 'Something went wrong!' });
 });
 
-app.listen(PORT, () => {
-  console.log(`GitHub Music Generator running on port ${PORT}`);
-  console.log(`Visit http://localhost:${PORT} to use the application`);
-});
\ No newline at end of file
+// Listens when run directly; the tests start the exported app themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`GitHub Music Generator running on port ${PORT}`);
+    console.log(`Visit http://localhost:${PORT} to use the application`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -1,13 +1,222 @@
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
 const MusicGenerator = require('../services/musicGenerator');
+const JobManager = require('../services/jobManager');
+const GenerationStore = require('../services/generationStore');
+const LocalSource = require('../services/sources/localSource');
+const { extractArchive, detectArchiveType } = require('../services/sources/archive');
+const { findSection, resolveLanguage } = require('../services/lyrics');
+const { DEFAULT_TRACKS, MIN_TRACKS, MAX_TRACKS } = require('../services/albumPlanner');
+const { describeGuards } = require('../utils/resilience');
+const { getCassette } = require('../utils/cassette');
+
+const DUET_MODES = ['duet', 'battle'];
+// Styles /generate-multiple writes when the request names none
+const DEFAULT_MULTIPLE_STYLES = ['electronic', 'rock', 'pop', 'jazz'];
 
 const router = express.Router();
 const musicGenerator = new MusicGenerator();
+const jobManager = new JobManager();
+const generationStore = new GenerationStore();
+
+const upload = multer({
+  dest: path.join(os.tmpdir(), 'code-to-music-uploads'),
+  limits: { fileSize: parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 50 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!detectArchiveType(file.originalname)) {
+      return cb(new Error('Unsupported archive format. Upload a .zip, .tar, .tar.gz or .tgz file'));
+    }
+    cb(null, true);
+  }
+});
+
+function rejectUnknownStyles(res, styles) {
+  const unknown = musicGenerator.findUnknownStyles(styles);
+  if (unknown.length === 0) {
+    return false;
+  }
+  res.status(400).json({ 
+    error: `Unknown music style: ${unknown.join(', ')}`,
+    details: `Available styles: auto, ${musicGenerator.styleRegistry.list().map(style => style.id).join(', ')}`
+  });
+  return true;
+}
+
+function rejectUnknownProfile(res, profile) {
+  if (!profile || musicGenerator.profileRegistry.has(profile)) {
+    return false;
+  }
+  res.status(400).json({ 
+    error: `Unknown export profile: ${profile}`,
+    details: `Available profiles: ${musicGenerator.profileRegistry.list().map(item => item.id).join(', ')}`
+  });
+  return true;
+}
+
+function rejectUnknownLanguage(res, language) {
+  if (!language || resolveLanguage(language)) {
+    return false;
+  }
+  res.status(400).json({ 
+    error: `Unknown language: ${language}`,
+    details: 'Use a BCP 47 language tag such as "de", "ja" or "pt-BR"'
+  });
+  return true;
+}
+
+// Takes the generations a request makes from the key's daily quota before
+// the route runs them (req.reserveQuota, set by the access check for keys
+// with a quota). count reads the body with the route's defaults; a value the
+// route rejects counts as the default, and a rejected request gives its
+// generations back.
+function reserveGenerations(count = () => 1) {
+  return async (req, res, next) => {
+    try {
+      if (!req.reserveQuota || await req.reserveQuota(count(req.body || {}))) {
+        next();
+      }
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+const countStyles = styles => Array.isArray(styles) && styles.length > 0 ? styles.length : 1;
+const countTracks = tracks => Number.isInteger(tracks) && tracks >= MIN_TRACKS && tracks <= MAX_TRACKS ? tracks : DEFAULT_TRACKS;
+
+function rejectInvalidTrackCount(res, tracks) {
+  if (Number.isInteger(tracks) && tracks >= MIN_TRACKS && tracks <= MAX_TRACKS) {
+    return false;
+  }
+  res.status(400).json({ 
+    error: `Invalid track count: ${tracks}`,
+    details: `An album has between ${MIN_TRACKS} and ${MAX_TRACKS} tracks`
+  });
+  return true;
+}
+
+// Express parses ?repo[]=a and ?repo[x]=a into arrays and objects
+function rejectNonStringQuery(res, query, names) {
+  const invalid = names.filter(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (invalid.length === 0) {
+    return false;
+  }
+  res.status(400).json({ 
+    error: `Invalid query parameter: ${invalid.join(', ')}`,
+    details: 'Each filter takes a single value, e.g. ?style=jazz'
+  });
+  return true;
+}
+
+function rejectInvalidDuet(res, repoUrls, mode) {
+  if (!Array.isArray(repoUrls) || repoUrls.length !== 2 || !repoUrls.every(url => typeof url === 'string' && url)) {
+    res.status(400).json({ 
+      error: 'Two repository URLs are required',
+      details: 'Send repoUrls as an array of two GitHub repository URLs'
+    });
+    return true;
+  }
+  
+  const invalid = repoUrls.filter(url => !musicGenerator.validateRepoUrl(url));
+  if (invalid.length > 0) {
+    res.status(400).json({ 
+      error: 'Invalid GitHub repository URL',
+      details: invalid.join(', ')
+    });
+    return true;
+  }
+  
+  if (repoUrls[0].trim() === repoUrls[1].trim()) {
+    res.status(400).json({ 
+      error: 'A duet needs two different repositories',
+      details: 'The same repository at two refs works, e.g. .../tree/v1 and .../tree/v2'
+    });
+    return true;
+  }
+  
+  if (!DUET_MODES.includes(mode)) {
+    res.status(400).json({ 
+      error: `Unknown mode: ${mode}`,
+      details: `Available modes: ${DUET_MODES.join(', ')}`
+    });
+    return true;
+  }
+  
+  return false;
+}
+
+function rejectInvalidChangeUrl(res, changeUrl, range) {
+  if (!changeUrl) {
+    res.status(400).json({ 
+      error: 'Change URL is required',
+      details: 'Send a pull request URL, a compare URL, or a repository URL with a "base...head" range'
+    });
+    return true;
+  }
+  
+  if (!musicGenerator.validateChangeUrl(changeUrl, range)) {
+    res.status(400).json({ 
+      error: 'Invalid pull request or compare URL',
+      details: 'Expected github.com/owner/repo/pull/<number>, github.com/owner/repo/compare/<base>...<head>, or a repository URL with a "base...head" range'
+    });
+    return true;
+  }
+  
+  return false;
+}
+
+// With API_AUTH=required, generations and jobs belong to the key that started
+// them: other keys get a 404, the admin key sees everything. Without
+// authentication there is no principal and nothing has an owner.
+function ownerOf(req) {
+  return req.principal ? req.principal.id : null;
+}
+
+function canAccess(req, ownerId) {
+  return !req.principal || req.principal.admin || req.principal.id === ownerId;
+}
+
+// Adds a finished generation to the history and returns it with its id and
+// permalink. A failed save is logged; the generation is still returned.
+async function saveGeneration(kind, source, result, ownerId = null) {
+  try {
+    const record = await generationStore.save(kind, source, result, { ownerId });
+    return { ...result, id: record.id, permalink: `/songs/${record.id}` };
+  } catch (error) {
+    console.warn(`Failed to save generation to history: ${error.message}`);
+    return result;
+  }
+}
+
+router.get('/styles', (req, res) => {
+  res.json({
+    success: true,
+    data: musicGenerator.styleRegistry.list().map(style => musicGenerator.styleRegistry.describe(style))
+  });
+});
 
-router.post('/generate', async (req, res) => {
+router.get('/profiles', (req, res) => {
+  res.json({
+    success: true,
+    data: musicGenerator.profileRegistry.list().map(profile => musicGenerator.profileRegistry.describe(profile))
+  });
+});
+
+// Prompt templates with their versions and the version in use
+router.get('/prompts', (req, res) => {
+  res.json({
+    success: true,
+    data: musicGenerator.deepseekService.prompts.list()
+  });
+});
+
+router.post('/generate', reserveGenerations(), async (req, res) => {
   try {
-    const { repoUrl, musicStyle = 'electronic' } = req.body;
+    const { repoUrl, musicStyle = 'electronic', refresh = false, contributorNames = true, profile, language, translation = false } = req.body;
     
     if (!repoUrl) {
       return res.status(400).json({ 
@@ -21,7 +230,12 @@ router.post('/generate', async (req, res) => {
       });
     }
     
-    const result = await musicGenerator.generateFromRepo(repoUrl, musicStyle);
+    if (rejectUnknownStyles(res, [musicStyle]) || rejectUnknownProfile(res, profile) || rejectUnknownLanguage(res, language)) {
+      return;
+    }
+    
+    const result = await saveGeneration('generate', repoUrl,
+      await musicGenerator.generateFromRepo(repoUrl, musicStyle, { refresh, contributorNames, profile, language, translation }), ownerOf(req));
     
     res.json({
       success: true,
@@ -37,9 +251,9 @@ router.post('/generate', async (req, res) => {
   }
 });
 
-router.post('/generate-multiple', async (req, res) => {
+router.post('/generate-multiple', reserveGenerations(({ styles = DEFAULT_MULTIPLE_STYLES }) => countStyles(styles)), async (req, res) => {
   try {
-    const { repoUrl, styles = ['electronic', 'rock', 'pop', 'jazz'] } = req.body;
+    const { repoUrl, styles = DEFAULT_MULTIPLE_STYLES, refresh = false, contributorNames = true, profile, language, translation = false } = req.body;
     
     if (!repoUrl) {
       return res.status(400).json({ 
@@ -53,7 +267,18 @@ router.post('/generate-multiple', async (req, res) => {
       });
     }
     
-    const result = await musicGenerator.generateMultipleStyles(repoUrl, styles);
+    if (!Array.isArray(styles) || styles.length === 0) {
+      return res.status(400).json({ 
+        error: 'styles must be a non-empty array' 
+      });
+    }
+    
+    if (rejectUnknownStyles(res, styles) || rejectUnknownProfile(res, profile) || rejectUnknownLanguage(res, language)) {
+      return;
+    }
+    
+    const result = await saveGeneration('generate-multiple', repoUrl,
+      await musicGenerator.generateMultipleStyles(repoUrl, styles, { refresh, contributorNames, profile, language, translation }), ownerOf(req));
     
     res.json({
       success: true,
@@ -69,9 +294,622 @@ router.post('/generate-multiple', async (req, res) => {
   }
 });
 
-router.get('/health', (req, res) => {
+// Concept album: one track per subsystem or key feature of the repository
+router.post('/album', reserveGenerations(({ tracks = DEFAULT_TRACKS }) => countTracks(tracks)), async (req, res) => {
+  try {
+    const { repoUrl, musicStyle = 'electronic', tracks = DEFAULT_TRACKS, refresh = false, contributorNames = true, profile, language, translation = false } = req.body;
+    
+    if (!repoUrl) {
+      return res.status(400).json({ 
+        error: 'Repository URL is required' 
+      });
+    }
+    
+    if (!musicGenerator.validateRepoUrl(repoUrl)) {
+      return res.status(400).json({ 
+        error: 'Invalid GitHub repository URL' 
+      });
+    }
+    
+    if (rejectUnknownStyles(res, [musicStyle]) || rejectInvalidTrackCount(res, tracks) || rejectUnknownProfile(res, profile) || rejectUnknownLanguage(res, language)) {
+      return;
+    }
+    
+    const result = await saveGeneration('album', repoUrl,
+      await musicGenerator.generateAlbum(repoUrl, musicStyle, { tracks, refresh, contributorNames, profile, language, translation }), ownerOf(req));
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Album generation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate album',
+      details: error.message 
+    });
+  }
+});
+
+// The whole album as a .zip: liner notes, album.json and per-track files
+router.post('/album/export', (req, res) => {
+  try {
+    const { generation } = req.body;
+    const profile = req.body.profile || generation?.profile?.id;
+    
+    if (!generation || !generation.repository || !generation.album) {
+      return res.status(400).json({ 
+        error: 'An album (the result of /api/album) is required' 
+      });
+    }
+    
+    if (rejectUnknownProfile(res, profile)) {
+      return;
+    }
+    
+    const file = musicGenerator.exportAlbum(generation, profile);
+    
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+    
+  } catch (error) {
+    console.error('Album export error:', error);
+    res.status(500).json({ 
+      error: 'Failed to export album',
+      details: error.message 
+    });
+  }
+});
+
+// Duet or rap battle: two repositories, one song, one voice each
+router.post('/duet', reserveGenerations(), async (req, res) => {
+  try {
+    const { repoUrls, mode = 'duet', musicStyle = 'auto', refresh = false, contributorNames = true, profile, language, translation = false } = req.body;
+    
+    if (rejectInvalidDuet(res, repoUrls, mode) || rejectUnknownStyles(res, [musicStyle]) || rejectUnknownProfile(res, profile) || rejectUnknownLanguage(res, language)) {
+      return;
+    }
+    
+    const result = await saveGeneration('duet', repoUrls,
+      await musicGenerator.generateDuet(repoUrls, musicStyle, { mode, refresh, contributorNames, profile, language, translation }), ownerOf(req));
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Duet generation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate duet',
+      details: error.message 
+    });
+  }
+});
+
+// What changed in a pull request or compare range, without a song
+router.post('/changes', reserveGenerations(), async (req, res) => {
+  try {
+    const { changeUrl, range, contributorNames = true } = req.body;
+    
+    if (rejectInvalidChangeUrl(res, changeUrl, range)) {
+      return;
+    }
+    
+    const result = await musicGenerator.scanChanges(changeUrl, { range, contributorNames });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Change scan error:', error);
+    res.status(500).json({ 
+      error: 'Failed to scan changes',
+      details: error.message 
+    });
+  }
+});
+
+// Changelog jingle about a pull request or compare range
+router.post('/anthem', reserveGenerations(), async (req, res) => {
+  try {
+    const { changeUrl, range, musicStyle = 'auto', contributorNames = true, profile, language, translation = false } = req.body;
+    
+    if (rejectInvalidChangeUrl(res, changeUrl, range) || rejectUnknownStyles(res, [musicStyle]) || rejectUnknownProfile(res, profile) || rejectUnknownLanguage(res, language)) {
+      return;
+    }
+    
+    const anthem = await musicGenerator.generateAnthem(changeUrl, musicStyle, { range, contributorNames, profile, language, translation });
+    const result = await saveGeneration('anthem', anthem.changes.url || changeUrl, anthem, ownerOf(req));
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Anthem generation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate changelog jingle',
+      details: error.message 
+    });
+  }
+});
+
+router.post('/generate-upload', (req, res, next) => {
+  upload.single('archive')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid archive upload',
+        details: error.message 
+      });
+    }
+    next();
+  });
+}, reserveGenerations(), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ 
+      error: 'An archive file is required (form field "archive")' 
+    });
+  }
+
+  const extractDir = `${req.file.path}-extracted`;
+  
+  try {
+    const { musicStyle = 'electronic', profile, language } = req.body;
+    if (rejectUnknownStyles(res, [musicStyle]) || rejectUnknownProfile(res, profile) || rejectUnknownLanguage(res, language)) {
+      return;
+    }
+    
+    let rootDir;
+    try {
+      rootDir = await extractArchive(req.file.path, req.file.originalname, extractDir);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: 'Invalid archive upload',
+        details: error.message 
+      });
+    }
+    const name = req.body.name || req.file.originalname.replace(/\.(zip|tar|tar\.gz|tgz)$/i, '');
+    
+    const contributorNames = req.body.contributorNames !== 'false';
+    const translation = req.body.translation === 'true';
+    
+    const result = await saveGeneration('generate-upload', null,
+      await musicGenerator.generateFromRepo(new LocalSource(rootDir, { name, history: false }), musicStyle, { contributorNames, profile, language, translation }), ownerOf(req));
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Upload generation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate music content from archive',
+      details: error.message 
+    });
+  } finally {
+    await fs.rm(req.file.path, { force: true });
+    await fs.rm(extractDir, { recursive: true, force: true });
+  }
+});
+
+// Rewrites a single section of an existing generation. The body carries the
+// generation itself (as returned by /generate), so nothing is re-analyzed.
+router.post('/lyrics/revise', reserveGenerations(), async (req, res) => {
+  try {
+    const { generation, section, instruction, style } = req.body;
+    
+    if (!generation || !generation.repository) {
+      return res.status(400).json({ 
+        error: 'A generation (the result of /api/generate) is required' 
+      });
+    }
+    
+    if (section === undefined || section === null || section === '') {
+      return res.status(400).json({ 
+        error: 'A section identifier is required, e.g. 2, "Verse 2" or "chorus 2"' 
+      });
+    }
+    
+    if (!instruction || !String(instruction).trim()) {
+      return res.status(400).json({ 
+        error: 'An instruction is required' 
+      });
+    }
+    
+    const target = musicGenerator.getLyricsTarget(generation, style);
+    if (!target) {
+      return res.status(400).json({ 
+        error: 'The generation has no lyrics to revise' 
+      });
+    }
+    
+    const sectionIndex = findSection(target.structure, section);
+    if (sectionIndex === -1) {
+      return res.status(400).json({ 
+        error: `Section not found: ${section}`,
+        details: `Available sections: ${target.structure.sections.map(item => item.label).join(', ')}` 
+      });
+    }
+    
+    const result = await musicGenerator.reviseLyrics(generation, target, sectionIndex, String(instruction).trim());
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error('Lyrics revision error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revise lyrics',
+      details: error.message 
+    });
+  }
+});
+
+// Downloads a generation as a file for an export profile. Like revisions, the
+// body carries the generation itself; style picks an entry of a multi-style
+// result and profile defaults to the one the generation was made for.
+router.post('/export', (req, res) => {
+  try {
+    const { generation, format = 'json', style } = req.body;
+    const profile = req.body.profile || generation?.profile?.id;
+    
+    if (!generation || !generation.repository) {
+      return res.status(400).json({ 
+        error: 'A generation (the result of /api/generate) is required' 
+      });
+    }
+    
+    if (!musicGenerator.exporter.getFormats().includes(format)) {
+      return res.status(400).json({ 
+        error: `Unknown export format: ${format}`,
+        details: `Available formats: ${musicGenerator.exporter.getFormats().join(', ')}`
+      });
+    }
+    
+    if (rejectUnknownProfile(res, profile)) {
+      return;
+    }
+    
+    const target = musicGenerator.getLyricsTarget(generation, style);
+    if (!target) {
+      return res.status(400).json({ 
+        error: 'The generation has no lyrics to export' 
+      });
+    }
+    
+    const file = musicGenerator.exportGeneration(generation, target, profile, format);
+    
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+    
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ 
+      error: 'Failed to export generation',
+      details: error.message 
+    });
+  }
+});
+
+// Renders a Standard MIDI File from the repository structure. No LLM is used,
+// so the same commit always yields the same tune. Accepts GET (for download
+// links) and POST; pass format=json for the note events instead of the file.
+async function handleMidi(req, res) {
+  try {
+    const { repoUrl, format = 'midi' } = { ...req.query, ...req.body };
+    
+    if (!repoUrl) {
+      return res.status(400).json({ 
+        error: 'Repository URL is required' 
+      });
+    }
+    
+    if (!musicGenerator.validateRepoUrl(repoUrl)) {
+      return res.status(400).json({ 
+        error: 'Invalid GitHub repository URL' 
+      });
+    }
+    
+    const { repository, composition, midi } = await musicGenerator.composeMidi(repoUrl);
+    
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: { repository, composition }
+      });
+    }
+    
+    const fileName = `${repository.name}${repository.subpath ? `-${repository.subpath.replace(/\//g, '-')}` : ''}.mid`;
+    res.set({
+      'Content-Type': 'audio/midi',
+      'Content-Disposition': `attachment; filename="${fileName.replace(/[^a-zA-Z0-9._-]/g, '_')}"`
+    });
+    res.send(midi);
+    
+  } catch (error) {
+    console.error('MIDI generation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate MIDI',
+      details: error.message 
+    });
+  }
+}
+
+router.get('/midi', handleMidi);
+router.post('/midi', handleMidi);
+
+router.post('/jobs', reserveGenerations(({ repoUrls, changeUrl, styles, album = false, tracks = DEFAULT_TRACKS }) =>
+  repoUrls || changeUrl ? 1 : album ? countTracks(tracks) : countStyles(styles)), (req, res) => {
+  const { repoUrl, repoUrls, mode = 'duet', changeUrl, range, musicStyle = repoUrls || changeUrl ? 'auto' : 'electronic', styles, album = false, tracks = DEFAULT_TRACKS, refresh = false, contributorNames = true, profile, language, translation = false } = req.body;
+  
+  if (repoUrls) {
+    if (rejectInvalidDuet(res, repoUrls, mode)) {
+      return;
+    }
+  } else if (changeUrl) {
+    if (rejectInvalidChangeUrl(res, changeUrl, range)) {
+      return;
+    }
+  } else if (!repoUrl) {
+    return res.status(400).json({ 
+      error: 'Repository URL is required' 
+    });
+  } else if (!musicGenerator.validateRepoUrl(repoUrl)) {
+    return res.status(400).json({ 
+      error: 'Invalid GitHub repository URL' 
+    });
+  }
+  
+  if (rejectUnknownStyles(res, Array.isArray(styles) ? styles : [musicStyle]) || rejectUnknownProfile(res, profile) || rejectUnknownLanguage(res, language)) {
+    return;
+  }
+  
+  if (album && rejectInvalidTrackCount(res, tracks)) {
+    return;
+  }
+  
+  const ownerId = ownerOf(req);
+  // A job that fails or is cancelled gives its generations back to the quota
+  const onFailed = req.releaseQuota;
+  let job;
+  if (repoUrls) {
+    job = jobManager.createJob('duet', { repoUrls, mode, musicStyle, refresh, contributorNames, profile, language, translation }, options =>
+      musicGenerator.generateDuet(repoUrls, musicStyle, { ...options, mode, refresh, contributorNames, profile, language, translation })
+        .then(result => saveGeneration('duet', repoUrls, result, ownerId)), { ownerId, onFailed });
+  } else if (changeUrl) {
+    job = jobManager.createJob('anthem', { changeUrl, range, musicStyle, contributorNames, profile, language, translation }, options =>
+      musicGenerator.generateAnthem(changeUrl, musicStyle, { ...options, range, contributorNames, profile, language, translation })
+        .then(result => saveGeneration('anthem', result.changes.url || changeUrl, result, ownerId)), { ownerId, onFailed });
+  } else if (album) {
+    job = jobManager.createJob('album', { repoUrl, musicStyle, tracks, refresh, contributorNames, profile, language, translation }, options =>
+      musicGenerator.generateAlbum(repoUrl, musicStyle, { ...options, tracks, refresh, contributorNames, profile, language, translation })
+        .then(result => saveGeneration('album', repoUrl, result, ownerId)), { ownerId, onFailed });
+  } else if (Array.isArray(styles)) {
+    job = jobManager.createJob('generate-multiple', { repoUrl, styles, refresh, contributorNames, profile, language, translation }, options =>
+      musicGenerator.generateMultipleStyles(repoUrl, styles, { ...options, refresh, contributorNames, profile, language, translation })
+        .then(result => saveGeneration('generate-multiple', repoUrl, result, ownerId)), { ownerId, onFailed });
+  } else {
+    job = jobManager.createJob('generate', { repoUrl, musicStyle, refresh, contributorNames, profile, language, translation }, options =>
+      musicGenerator.generateFromRepo(repoUrl, musicStyle, { ...options, refresh, contributorNames, profile, language, translation })
+        .then(result => saveGeneration('generate', repoUrl, result, ownerId)), { ownerId, onFailed });
+  }
+  
+  res.status(202).json({
+    success: true,
+    data: {
+      ...job,
+      links: {
+        status: `/api/jobs/${job.id}`,
+        events: `/api/jobs/${job.id}/events`
+      }
+    }
+  });
+});
+
+router.get('/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  
+  if (!job || !canAccess(req, job.ownerId)) {
+    return res.status(404).json({ 
+      error: 'Job not found' 
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: job
+  });
+});
+
+// Server-Sent Events stream of a job's progress. Past events are replayed
+// first, so subscribing late still shows the full timeline.
+router.get('/jobs/:id/events', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  
+  if (!job || !canAccess(req, job.ownerId)) {
+    return res.status(404).json({ 
+      error: 'Job not found' 
+    });
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const unsubscribe = jobManager.subscribe(req.params.id, event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (jobManager.isTerminal(event)) {
+      res.end();
+    }
+  });
+  
+  req.on('close', unsubscribe);
+});
+
+router.delete('/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  
+  if (!job || !canAccess(req, job.ownerId)) {
+    return res.status(404).json({ 
+      error: 'Job not found' 
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: jobManager.cancel(job.id)
+  });
+});
+
+// Saved generations, newest first. ?repo= matches the repository name or
+// URL, ?style= any style of the generation.
+router.get('/generations', async (req, res) => {
+  if (rejectNonStringQuery(res, req.query, ['repo', 'style', 'template', 'owner', 'limit', 'offset'])) {
+    return;
+  }
+  
+  try {
+    const { repo, style, template } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    // A key lists its own generations; the admin key lists everyone's, or
+    // one key's with ?owner=<key id>
+    const ownerId = req.principal && !req.principal.admin ? req.principal.id : req.query.owner;
+    
+    const result = await generationStore.list({ repo, style, template, ownerId, limit, offset });
+    
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        items: result.items.map(item => ({ ...item, permalink: `/songs/${item.id}` })),
+        limit,
+        offset
+      }
+    });
+    
+  } catch (error) {
+    console.error('Generation history error:', error);
+    res.status(500).json({ 
+      error: 'Failed to list generations',
+      details: error.message 
+    });
+  }
+});
+
+router.get('/generations/:id', async (req, res) => {
+  try {
+    const record = await generationStore.get(req.params.id);
+    
+    if (!record) {
+      return res.status(404).json({ 
+        error: 'Generation not found' 
+      });
+    }
+    
+    // Permalinks are public; which key made the song is not
+    const { ownerId, ...visible } = record;
+    res.json({
+      success: true,
+      data: {
+        ...visible,
+        generation: { ...record.generation, id: record.id, permalink: `/songs/${record.id}` }
+      }
+    });
+    
+  } catch (error) {
+    console.error('Generation lookup error:', error);
+    res.status(500).json({ 
+      error: 'Failed to load generation',
+      details: error.message 
+    });
+  }
+});
+
+router.delete('/generations/:id', async (req, res) => {
+  try {
+    const record = await generationStore.get(req.params.id);
+    
+    if (!record || !canAccess(req, record.ownerId)) {
+      return res.status(404).json({ 
+        error: 'Generation not found' 
+      });
+    }
+    
+    const deleted = await generationStore.delete(record.id);
+    res.json({
+      success: true,
+      data: { id: record.id, deleted }
+    });
+    
+  } catch (error) {
+    console.error('Generation delete error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete generation',
+      details: error.message 
+    });
+  }
+});
+
+router.delete('/cache', async (req, res) => {
+  // The cache is shared by every key
+  if (req.principal && !req.principal.admin) {
+    return res.status(403).json({ 
+      error: 'Admin API key required',
+      details: 'Clearing the analysis cache affects every key'
+    });
+  }
+  
+  try {
+    const { repoUrl } = req.body;
+    
+    if (!repoUrl || !musicGenerator.validateRepoUrl(repoUrl)) {
+      return res.status(400).json({ 
+        error: 'A valid GitHub repository URL is required' 
+      });
+    }
+    
+    const removed = await musicGenerator.githubScanner.invalidateCache(repoUrl);
+    
+    res.json({
+      success: true,
+      data: { removed }
+    });
+    
+  } catch (error) {
+    console.error('Cache invalidation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to invalidate analysis cache',
+      details: error.message 
+    });
+  }
+});
+
+// services: circuit breaker and quota state of GitHub and the LLM provider,
+// with warnings the UI shows before a scan starts
+router.get('/health', async (req, res) => {
+  await musicGenerator.githubScanner.refreshRateLimit();
+  const services = describeGuards();
+  const cassette = getCassette();
+  
   res.json({ 
-    status: 'healthy',
+    status: Object.values(services).some(service => service.circuit.state === 'open') ? 'degraded' : 'healthy',
+    provider: musicGenerator.deepseekService.provider.name,
+    services,
+    warnings: Object.values(services).flatMap(service => service.warnings),
+    cassette: cassette ? cassette.describe() : undefined,
     timestamp: new Date().toISOString()
   });
 });
@@ -0,0 +1,210 @@
+const express = require('express');
+const AccessControl = require('../services/accessControl');
+
+const router = express.Router();
+const accessControl = new AccessControl();
+const { store } = accessControl;
+
+function readLimit(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+}
+
+async function describePrincipal(principal) {
+  if (principal.admin) {
+    return { key: { id: principal.id, name: principal.name, admin: true }, usage: null };
+  }
+  const usage = await store.getUsage(principal.id);
+  return {
+    key: { id: principal.id, name: principal.name, admin: false, rateLimit: principal.rateLimit },
+    usage: { ...usage, dailyQuota: principal.dailyQuota }
+  };
+}
+
+// Admin routes need ADMIN_API_KEY, sent as an API key (not a session)
+function rejectNonAdmin(req, res) {
+  if (!accessControl.adminKey) {
+    res.status(403).json({ 
+      error: 'Key management is disabled',
+      details: 'Set ADMIN_API_KEY to issue and revoke API keys'
+    });
+    return true;
+  }
+  if (!accessControl.isAdminKey(accessControl.readKey(req))) {
+    res.status(403).json({ 
+      error: 'Admin API key required' 
+    });
+    return true;
+  }
+  return false;
+}
+
+router.get('/session', async (req, res) => {
+  try {
+    const principal = await accessControl.authenticate(req);
+    
+    res.json({
+      success: true,
+      data: {
+        authRequired: accessControl.required,
+        authenticated: Boolean(principal),
+        ...(principal ? await describePrincipal(principal) : {})
+      }
+    });
+    
+  } catch (error) {
+    console.error('Session error:', error);
+    res.status(500).json({ 
+      error: 'Failed to read session',
+      details: error.message 
+    });
+  }
+});
+
+// Exchanges an API key for an httpOnly session cookie, for the web interface
+router.post('/session', async (req, res) => {
+  try {
+    const { apiKey } = req.body;
+    
+    if (!apiKey || typeof apiKey !== 'string') {
+      return res.status(400).json({ 
+        error: 'API key is required' 
+      });
+    }
+    
+    const principal = accessControl.toPrincipal(accessControl.isAdminKey(apiKey) ? 'admin' : await store.find(apiKey), 'session');
+    
+    if (!principal) {
+      return res.status(401).json({ 
+        error: 'Invalid or revoked API key' 
+      });
+    }
+    
+    const session = accessControl.createSession(principal);
+    res.cookie(session.cookie, session.id, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      maxAge: session.maxAge
+    });
+    
+    res.json({
+      success: true,
+      data: { authRequired: accessControl.required, authenticated: true, ...await describePrincipal(principal) }
+    });
+    
+  } catch (error) {
+    console.error('Sign-in error:', error);
+    res.status(500).json({ 
+      error: 'Failed to sign in',
+      details: error.message 
+    });
+  }
+});
+
+router.delete('/session', (req, res) => {
+  res.clearCookie(accessControl.endSession(req));
+  
+  res.json({
+    success: true,
+    data: { authenticated: false }
+  });
+});
+
+router.post('/admin/keys', async (req, res) => {
+  if (rejectNonAdmin(req, res)) {
+    return;
+  }
+  
+  try {
+    const { name } = req.body;
+    const rateLimit = readLimit(req.body.rateLimit);
+    const dailyQuota = readLimit(req.body.dailyQuota);
+    
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ 
+        error: 'Key name is required' 
+      });
+    }
+    
+    if (Number.isNaN(rateLimit) || Number.isNaN(dailyQuota)) {
+      return res.status(400).json({ 
+        error: 'Invalid limits',
+        details: 'rateLimit and dailyQuota must be non-negative integers (0 for unlimited) or null for the server defaults'
+      });
+    }
+    
+    const record = await store.issue(name.trim(), { rateLimit, dailyQuota });
+    
+    res.status(201).json({
+      success: true,
+      data: record
+    });
+    
+  } catch (error) {
+    console.error('Key issue error:', error);
+    res.status(500).json({ 
+      error: 'Failed to issue API key',
+      details: error.message 
+    });
+  }
+});
+
+router.get('/admin/keys', async (req, res) => {
+  if (rejectNonAdmin(req, res)) {
+    return;
+  }
+  
+  try {
+    const keys = await store.list();
+    const data = await Promise.all(keys.map(async key => ({ ...key, usage: await store.getUsage(key.id) })));
+    
+    res.json({
+      success: true,
+      data
+    });
+    
+  } catch (error) {
+    console.error('Key list error:', error);
+    res.status(500).json({ 
+      error: 'Failed to list API keys',
+      details: error.message 
+    });
+  }
+});
+
+router.delete('/admin/keys/:id', async (req, res) => {
+  if (rejectNonAdmin(req, res)) {
+    return;
+  }
+  
+  try {
+    const revoked = await store.revoke(req.params.id);
+    
+    if (!revoked) {
+      return res.status(404).json({ 
+        error: 'API key not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: store.describe(await store.get(req.params.id))
+    });
+    
+  } catch (error) {
+    console.error('Key revoke error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke API key',
+      details: error.message 
+    });
+  }
+});
+
+// Everything mounted after this router needs a key or session when API_AUTH=required
+router.use(accessControl.middleware());
+
+module.exports = router;
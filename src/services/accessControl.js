@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const ApiKeyStore = require('./apiKeyStore');
+
+const SESSION_COOKIE = 'c2m_session';
+const RATE_WINDOW_MS = 60 * 1000;
+// Reachable without a key when authentication is required: the health check
+// and saved generations, whose random ids are what makes a permalink private.
+// Ids are only listed to the key that made the generation (routes/api.js).
+const PUBLIC_ROUTES = [
+  ['GET', /^\/health$/],
+  ['GET', /^\/generations\/[^/]+$/]
+];
+
+const readNumber = (value, fallback) => value !== undefined && value !== '' ? Number(value) : fallback;
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+}
+
+// Optional authentication for the API: API keys (Authorization: Bearer or
+// X-API-Key) or a session cookie issued for a key, so the web interface and
+// its EventSource streams work without sending the key on every request.
+// Each key gets a per-minute rate limit and a daily generation quota; the
+// admin key (ADMIN_API_KEY) manages keys and is not limited.
+class AccessControl {
+  constructor(store = new ApiKeyStore(), {
+    required = process.env.API_AUTH === 'required',
+    adminKey = process.env.ADMIN_API_KEY,
+    rateLimit = readNumber(process.env.API_RATE_LIMIT, 60),
+    dailyQuota = readNumber(process.env.API_DAILY_QUOTA, 50),
+    sessionTtlSeconds = readNumber(process.env.SESSION_TTL_SECONDS, 12 * 60 * 60)
+  } = {}) {
+    this.store = store;
+    this.required = required;
+    this.adminKey = adminKey || null;
+    this.defaults = { rateLimit, dailyQuota };
+    this.sessionTtlMs = sessionTtlSeconds * 1000;
+    this.sessions = new Map();
+    this.windows = new Map();
+  }
+
+  readKey(req) {
+    const bearer = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    return bearer ? bearer[1] : req.get('x-api-key') || null;
+  }
+
+  isAdminKey(key) {
+    return Boolean(this.adminKey && key) && crypto.timingSafeEqual(digest(key), digest(this.adminKey));
+  }
+
+  // Who is calling: { id, name, admin, rateLimit, dailyQuota, via } or null.
+  // A key in the request wins over a session cookie.
+  async authenticate(req) {
+    const key = this.readKey(req);
+    if (key) {
+      return this.toPrincipal(this.isAdminKey(key) ? 'admin' : await this.store.find(key), 'key');
+    }
+
+    const sessionId = parseCookies(req.get('cookie'))[SESSION_COOKIE];
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session || session.expiresAt < Date.now()) {
+      return null;
+    }
+    // Revoking a key ends its sessions too
+    const record = session.keyId === 'admin' ? 'admin' : await this.store.get(session.keyId);
+    return record && !record.revokedAt ? this.toPrincipal(record, 'session') : null;
+  }
+
+  toPrincipal(record, via) {
+    if (!record) {
+      return null;
+    }
+    if (record === 'admin') {
+      return { id: 'admin', name: 'admin', admin: true, rateLimit: 0, dailyQuota: 0, via };
+    }
+    return {
+      id: record.id,
+      name: record.name,
+      admin: false,
+      rateLimit: record.rateLimit ?? this.defaults.rateLimit,
+      dailyQuota: record.dailyQuota ?? this.defaults.dailyQuota,
+      via
+    };
+  }
+
+  createSession(principal) {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt < now) this.sessions.delete(id);
+    }
+
+    const id = crypto.randomBytes(24).toString('base64url');
+    this.sessions.set(id, { keyId: principal.id, expiresAt: now + this.sessionTtlMs });
+    return { id, cookie: SESSION_COOKIE, maxAge: this.sessionTtlMs };
+  }
+
+  endSession(req) {
+    this.sessions.delete(parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+    return SESSION_COOKIE;
+  }
+
+  // Fixed one-minute windows per key. A limit of 0 means unlimited.
+  takeRequest(principal) {
+    if (!principal.rateLimit) {
+      return null;
+    }
+
+    const now = Date.now();
+    let window = this.windows.get(principal.id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + RATE_WINDOW_MS };
+      this.windows.set(principal.id, window);
+    }
+    window.count++;
+
+    return {
+      limit: principal.rateLimit,
+      remaining: Math.max(0, principal.rateLimit - window.count),
+      resetAt: window.resetAt,
+      allowed: window.count <= principal.rateLimit
+    };
+  }
+
+  isPublic(req) {
+    return PUBLIC_ROUTES.some(([method, pattern]) => req.method === method && pattern.test(req.path));
+  }
+
+  // Takes count generations from the key's quota before the route runs them,
+  // so concurrent requests cannot overrun it. Returns false after answering
+  // 429. Sets req.releaseQuota, which gives them back once; it runs when the
+  // response is an error, and /jobs hands it to a job that may fail later.
+  async reserveQuota(req, res, principal, count) {
+    const usage = await this.store.reserveGenerations(principal.id, count, principal.dailyQuota);
+    if (!usage) {
+      const { day, generations } = await this.store.getUsage(principal.id);
+      const midnight = new Date(`${day}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000;
+      res.set('Retry-After', String(Math.ceil((midnight - Date.now()) / 1000)));
+      res.status(429).json({
+        error: 'Daily generation quota reached',
+        details: `This request makes ${count} generation${count === 1 ? '' : 's'}, ${Math.max(0, principal.dailyQuota - generations)} of ${principal.dailyQuota} left today for this key, reset at midnight UTC`
+      });
+      return false;
+    }
+
+    let released = false;
+    req.releaseQuota = () => {
+      if (released) return;
+      released = true;
+      this.store.releaseGenerations(principal.id, count, usage.day).catch(error => console.warn(`Failed to release usage of key ${principal.id}: ${error.message}`));
+    };
+    res.on('finish', () => {
+      if (res.statusCode >= 400) {
+        req.releaseQuota();
+      }
+    });
+    return true;
+  }
+
+  // Express middleware for the API routes. Does nothing unless API_AUTH is
+  // "required". Sets req.principal and X-RateLimit-* headers, and for keys
+  // with a daily quota req.reserveQuota(count), which the routes that spend
+  // LLM calls run once they know how many generations they make.
+  middleware() {
+    return async (req, res, next) => {
+      if (!this.required || this.isPublic(req)) {
+        return next();
+      }
+
+      try {
+        const principal = await this.authenticate(req);
+        if (!principal) {
+          return res.status(401).json({
+            error: 'Authentication required',
+            details: 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>", or sign in with POST /api/session'
+          });
+        }
+
+        const window = this.takeRequest(principal);
+        if (window) {
+          res.set({
+            'X-RateLimit-Limit': String(window.limit),
+            'X-RateLimit-Remaining': String(window.remaining),
+            'X-RateLimit-Reset': String(Math.ceil(window.resetAt / 1000))
+          });
+          if (!window.allowed) {
+            res.set('Retry-After', String(Math.ceil((window.resetAt - Date.now()) / 1000)));
+            return res.status(429).json({
+              error: 'Rate limit exceeded',
+              details: `${window.limit} requests per minute for this key`
+            });
+          }
+        }
+
+        if (principal.dailyQuota) {
+          req.reserveQuota = count => this.reserveQuota(req, res, principal, count);
+        }
+
+        req.principal = principal;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = AccessControl;
@@ -0,0 +1,55 @@
+const DEFAULT_TRACKS = 6;
+const MIN_TRACKS = 2;
+const MAX_TRACKS = 12;
+// Directories with fewer files are too small to carry a track of their own
+const MIN_AREA_FILES = 3;
+// Analyzed files quoted per track as examples of its theme
+const MAX_EXAMPLES = 4;
+
+// Splits a repository into album themes: its largest subsystems (the areas
+// GitHubScanner lists) and the key features the AI found. Directories make
+// up most of the album; features fill in so an album is not only a tour of
+// the folder tree. The AI decides titles and running order afterwards.
+class AlbumPlanner {
+  findThemes(repoAnalysis, trackCount = DEFAULT_TRACKS) {
+    const selectedFiles = repoAnalysis.selectedFiles || [];
+    const examplesFor = path => selectedFiles
+      .filter(file => file.path.startsWith(`${path}/`))
+      .slice(0, MAX_EXAMPLES)
+      .map(file => file.path);
+
+    // Analyses cached before areas were recorded fall back to the directories of the analyzed files
+    const areas = repoAnalysis.areas || this.areasFromFiles(selectedFiles);
+    const directories = areas
+      .filter(area => area.files >= MIN_AREA_FILES || !repoAnalysis.areas)
+      .map(area => ({ kind: 'directory', name: area.path, files: area.files, examples: examplesFor(area.path) }));
+    const features = [...new Set(repoAnalysis.keyFeatures || [])]
+      .map(feature => ({ kind: 'feature', name: feature, files: null, examples: [] }));
+
+    const featureShare = Math.min(features.length, Math.max(1, Math.round(trackCount / 3)));
+    const directoryCount = Math.min(directories.length, trackCount - featureShare);
+    const themes = [
+      ...directories.slice(0, directoryCount),
+      ...features.slice(0, trackCount - directoryCount)
+    ];
+    // Too few features: the remaining directories fill the album
+    themes.push(...directories.slice(directoryCount, directoryCount + trackCount - themes.length));
+
+    return themes;
+  }
+
+  areasFromFiles(files) {
+    const counts = {};
+    for (const file of files) {
+      if (file.path.includes('/')) {
+        const area = file.path.substring(0, file.path.lastIndexOf('/'));
+        counts[area] = (counts[area] || 0) + 1;
+      }
+    }
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([path, count]) => ({ path, files: count }));
+  }
+}
+
+module.exports = { AlbumPlanner, DEFAULT_TRACKS, MIN_TRACKS, MAX_TRACKS };
@@ -0,0 +1,103 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { getCassette } = require('../utils/cassette');
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// One path segment: no separators, and never "." or ".."
+const safe = value => value.replace(/[^a-zA-Z0-9._-]/g, '_').replace(/^\.+$/, dots => '_'.repeat(dots.length));
+
+// Stores finished repository analyses on disk, one JSON file per
+// owner/repo/ref/commit (and subpath), so a new style or a second generation
+// for the same commit skips the GitHub scan and both AI analysis calls.
+class AnalysisCache {
+  constructor({
+    dir = process.env.ANALYSIS_CACHE_DIR || path.join(process.cwd(), '.cache', 'analysis'),
+    ttlSeconds = process.env.ANALYSIS_CACHE_TTL !== undefined ? parseInt(process.env.ANALYSIS_CACHE_TTL, 10) : DEFAULT_TTL_SECONDS
+  } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlSeconds * 1000;
+  }
+
+  // Off while a cassette records or replays, so both runs make the same requests
+  get enabled() {
+    return this.ttlMs > 0 && !getCassette();
+  }
+
+  getFilePath({ owner, repo, ref, commitSha, subpath }) {
+    const scope = subpath ? `-${crypto.createHash('sha1').update(subpath).digest('hex').substring(0, 12)}` : '';
+    return this.resolveInside(safe(owner.toLowerCase()), safe(repo.toLowerCase()), `${safe(ref)}@${commitSha}${scope}.json`);
+  }
+
+  // Joins segments under the cache directory and refuses any path that is not
+  // strictly inside it: an owner or repo of ".." must never reach beyond it
+  resolveInside(...segments) {
+    const root = path.resolve(this.dir);
+    const target = path.resolve(root, ...segments);
+    const relative = path.relative(root, target);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Refusing analysis cache path outside ${root}: ${segments.join('/')}`);
+    }
+    return target;
+  }
+
+  async get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    let filePath;
+    try {
+      filePath = this.getFilePath(key);
+      const entry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (Date.now() - new Date(entry.cachedAt).getTime() > this.ttlMs) {
+        await fs.rm(filePath, { force: true });
+        return null;
+      }
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable analysis cache entry ${filePath || key.owner + '/' + key.repo}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  async set(key, analysis) {
+    if (!this.enabled) {
+      return;
+    }
+
+    let filePath;
+    try {
+      filePath = this.getFilePath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify({
+        key,
+        cachedAt: new Date().toISOString(),
+        analysis
+      }, null, 2));
+    } catch (error) {
+      // A failed cache write should never fail the generation itself
+      console.warn(`Failed to write analysis cache entry ${filePath || key.owner + '/' + key.repo}: ${error.message}`);
+    }
+  }
+
+  // Removes every cached analysis of a repository, across all refs and commits
+  async invalidate({ owner, repo }) {
+    const repoDir = this.resolveInside(safe(owner.toLowerCase()), safe(repo.toLowerCase()));
+    let removed = 0;
+    try {
+      removed = (await fs.readdir(repoDir)).length;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    await fs.rm(repoDir, { recursive: true, force: true });
+    return removed;
+  }
+}
+
+module.exports = AnalysisCache;
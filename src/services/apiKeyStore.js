@@ -0,0 +1,173 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'c2m_';
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+// Daily quotas reset at midnight UTC
+const today = () => new Date().toISOString().substring(0, 10);
+
+// API keys and their usage counters in two JSON files. Only a hash of each
+// key is stored; the key itself is returned once, when it is issued. Both
+// files are read once and rewritten after every change, one write at a time,
+// which is fine for one server process and a few hundred keys.
+class ApiKeyStore {
+  constructor({ dir = process.env.AUTH_STORE_DIR || path.join(process.cwd(), '.data', 'auth') } = {}) {
+    this.dir = dir;
+    this.keys = null;
+    this.usage = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  // Concurrent first calls share one read, so none of them replaces the
+  // records another has already changed. A failed read is tried again.
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const keys = await this.readFile('keys.json', []);
+        const usage = await this.readFile('usage.json', {});
+        this.keys = keys;
+        this.usage = usage;
+      })().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async readFile(name, empty) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return empty;
+      }
+      throw new Error(`Failed to read ${name} from ${this.dir}: ${error.message}`);
+    }
+  }
+
+  // Writes go through a temporary file and are queued, so a crash or two
+  // overlapping changes never leave half a file behind
+  save(name, data) {
+    const filePath = path.join(this.dir, name);
+    // A failed write is reported to its caller and does not block the next
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+      await fs.rename(`${filePath}.tmp`, filePath);
+    });
+    return this.writing;
+  }
+
+  // limits: { rateLimit, dailyQuota }, null for the server-wide defaults.
+  // Returns the record plus the key, which is never shown again.
+  async issue(name, { rateLimit = null, dailyQuota = null } = {}) {
+    await this.load();
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name,
+      prefix: key.substring(0, KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      rateLimit,
+      dailyQuota,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    this.keys.push(record);
+    await this.save('keys.json', this.keys);
+    return { ...this.describe(record), key };
+  }
+
+  // The active key record for a presented key, or null
+  async find(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+    await this.load();
+    const hash = hashKey(key);
+    return this.keys.find(record => record.hash === hash && !record.revokedAt) || null;
+  }
+
+  async get(id) {
+    await this.load();
+    return this.keys.find(record => record.id === id) || null;
+  }
+
+  async list() {
+    await this.load();
+    return this.keys.map(record => this.describe(record));
+  }
+
+  // Revoked keys stay listed with revokedAt; returns false for unknown ids
+  async revoke(id) {
+    await this.load();
+    const record = this.keys.find(item => item.id === id);
+    if (!record) {
+      return false;
+    }
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await this.save('keys.json', this.keys);
+    }
+    return true;
+  }
+
+  // { day, generations, totalGenerations, lastUsedAt }; generations counts
+  // today's only
+  async getUsage(id) {
+    await this.load();
+    return this.readUsage(id);
+  }
+
+  readUsage(id) {
+    const usage = this.usage[id] || { day: today(), generations: 0, totalGenerations: 0, lastUsedAt: null };
+    return usage.day === today() ? usage : { ...usage, day: today(), generations: 0 };
+  }
+
+  // Counts count generations against today's quota before they run, or
+  // returns null when they would exceed it (0: no quota). The check and the
+  // increment happen without an await in between, so concurrent requests
+  // cannot both take the last generation.
+  async reserveGenerations(id, count, quota) {
+    await this.load();
+    const usage = this.readUsage(id);
+    if (quota && usage.generations + count > quota) {
+      return null;
+    }
+
+    this.usage[id] = {
+      ...usage,
+      generations: usage.generations + count,
+      totalGenerations: usage.totalGenerations + count,
+      lastUsedAt: new Date().toISOString()
+    };
+    await this.save('usage.json', this.usage);
+    return this.usage[id];
+  }
+
+  // Gives back a reservation whose request or job failed. A reservation
+  // from before midnight UTC only comes off the total.
+  async releaseGenerations(id, count, day) {
+    await this.load();
+    const usage = this.readUsage(id);
+    this.usage[id] = {
+      ...usage,
+      generations: usage.day === day ? Math.max(0, usage.generations - count) : usage.generations,
+      totalGenerations: Math.max(0, usage.totalGenerations - count)
+    };
+    await this.save('usage.json', this.usage);
+    return this.usage[id];
+  }
+
+  describe(record) {
+    const { hash, ...visible } = record;
+    return visible;
+  }
+}
+
+module.exports = ApiKeyStore;
@@ -0,0 +1,226 @@
+const GitHubSource = require('./sources/githubSource');
+const { IgnoreRules, isBinaryPath } = require('../utils/fileFilter');
+const { createProgressReporter, throwIfCancelled } = require('../utils/progress');
+
+// Diff budget for the summary prompt: the most-changed files first, each
+// patch cut to MAX_PATCH_CHARS, until MAX_DIFF_CHARS are quoted
+const MAX_PATCH_CHARS = 1500;
+const MAX_DIFF_CHARS = 12000;
+// Commit messages and files listed in the prompt and kept in the result
+const MAX_LISTED_COMMITS = 30;
+const MAX_LISTED_FILES = 40;
+const MAX_AREAS = 8;
+// Lines added plus deleted, the upper bounds of "small" and "medium"
+const SIZE_LIMITS = { small: 50, medium: 500 };
+// Conventional-commit prefixes ("feat:", "fix(parser)!:")
+const COMMIT_TYPE_PATTERN = /^(\w+)(?:\([^)]*\))?!?:/;
+
+// What changed in a pull request or between two refs, summarized for a
+// changelog jingle. Separate from the repository analysis: only the diff,
+// the commit messages and the release notes are read, never the whole tree.
+class ChangeScanner {
+  constructor(githubScanner, deepseekService = githubScanner.deepseekService) {
+    this.githubScanner = githubScanner;
+    this.deepseekService = deepseekService;
+  }
+
+  // Accepts
+  //   github.com/owner/repo/pull/<number>
+  //   github.com/owner/repo/compare/<base>...<head>
+  // or a repository URL plus a range "base...head" (two dots work as well)
+  parseChangeUrl(url, range = null) {
+    const pull = url.match(/github\.com\/([^\/]+)\/([^\/#?]+)\/pull\/(\d+)/);
+    if (pull) {
+      return { ...this.githubScanner.parseRepoUrl(`https://github.com/${pull[1]}/${pull[2]}`), pull: Number(pull[3]) };
+    }
+
+    const compare = url.match(/github\.com\/([^\/]+)\/([^\/#?]+)\/compare\/([^#?]+)/);
+    const basehead = range || (compare && decodeURIComponent(compare[3]));
+    const refs = basehead && basehead.match(/^(.+?)\.{2,3}(.+)$/);
+    if (!refs) {
+      throw new Error('Expected a pull request URL, a compare URL or a repository URL with a "base...head" range');
+    }
+
+    const { owner, repo } = this.githubScanner.parseRepoUrl(compare ? `https://github.com/${compare[1]}/${compare[2]}` : url);
+    return { owner, repo, base: refs[1], head: refs[2] };
+  }
+
+  // Options: range (with a repository URL), onProgress, signal and
+  // contributorNames (false replaces commit authors with "Contributor N")
+  async scanChanges(url, { range, onProgress, signal, contributorNames = true } = {}) {
+    const target = this.parseChangeUrl(url, range);
+    const source = new GitHubSource(this.githubScanner.octokit, target);
+    const report = createProgressReporter(onProgress);
+
+    report('repository', { message: 'Fetching repository information' });
+    const repoInfo = await source.getRepositoryInfo();
+    throwIfCancelled(signal);
+
+    report('changes', { message: target.pull ? `Fetching pull request #${target.pull}` : `Comparing ${target.base}...${target.head}` });
+    const fetched = target.pull ? await source.getPullRequest(target.pull) : await source.compareRefs(target.base, target.head);
+    const changes = this.applyContributorPrivacy(fetched, contributorNames);
+    // A compare that ends at a tag is usually a release
+    const release = target.pull ? null : await source.getRelease(target.head);
+    report('changes', {
+      message: `${changes.totalCommits} commits, ${changes.totalFiles} files, +${changes.additions} -${changes.deletions}`,
+      commits: changes.totalCommits,
+      files: changes.totalFiles
+    });
+    throwIfCancelled(signal);
+
+    const digest = this.digestChanges(changes);
+    report('summary', { message: 'Summarizing the changes' });
+    const summary = await this.summarizeChangesWithAI(repoInfo, changes, digest, release);
+    report('summary', { message: summary.headline });
+
+    return {
+      repository: {
+        ...this.githubScanner.describeRepository(source, repoInfo),
+        ref: changes.head,
+        commitSha: changes.headSha
+      },
+      changes: {
+        kind: changes.kind,
+        number: changes.number,
+        title: changes.title,
+        url: changes.url,
+        state: changes.state,
+        author: changes.author,
+        base: changes.base,
+        head: changes.head,
+        date: changes.date,
+        stats: {
+          commits: changes.totalCommits,
+          files: changes.totalFiles,
+          additions: changes.additions,
+          deletions: changes.deletions
+        },
+        ...digest,
+        commits: changes.commits.slice(0, MAX_LISTED_COMMITS),
+        files: changes.files.slice(0, MAX_LISTED_FILES).map(({ patch, ...file }) => file)
+      },
+      release,
+      summary,
+      promptTemplates: { 'change-summary': this.deepseekService.prompts.describe('change-summary') }
+    };
+  }
+
+  // The ensemble's privacy rules (EnsembleBuilder.createAnonymizer) for
+  // commit authors. Applied before anything reaches the model.
+  applyContributorPrivacy(changes, contributorNames) {
+    const nameOf = this.githubScanner.ensembleBuilder.createAnonymizer({ hideAll: !contributorNames });
+
+    return {
+      ...changes,
+      author: nameOf(changes.author),
+      commits: changes.commits.map(commit => ({ ...commit, author: nameOf(commit.author) }))
+    };
+  }
+
+  // The deterministic part of the summary: size, commit authors, the
+  // directories that changed most and the conventional-commit types
+  digestChanges(changes) {
+    const churn = changes.additions + changes.deletions;
+    const size = churn <= SIZE_LIMITS.small ? 'small' : churn <= SIZE_LIMITS.medium ? 'medium' : 'large';
+
+    const areas = {};
+    for (const file of changes.files) {
+      const area = file.path.includes('/') ? file.path.substring(0, file.path.lastIndexOf('/')) : '.';
+      areas[area] = areas[area] || { path: area, files: 0, additions: 0, deletions: 0 };
+      areas[area].files++;
+      areas[area].additions += file.additions;
+      areas[area].deletions += file.deletions;
+    }
+
+    const commitTypes = {};
+    for (const commit of changes.commits) {
+      const type = commit.message.match(COMMIT_TYPE_PATTERN)?.[1].toLowerCase();
+      if (type) {
+        commitTypes[type] = (commitTypes[type] || 0) + 1;
+      }
+    }
+
+    return {
+      size,
+      authors: [...new Set([changes.author, ...changes.commits.map(commit => commit.author)].filter(Boolean))],
+      areas: Object.values(areas)
+        .sort((a, b) => (b.additions + b.deletions) - (a.additions + a.deletions))
+        .slice(0, MAX_AREAS),
+      commitTypes
+    };
+  }
+
+  // Patches of the most-changed files within the diff budget. Lock files,
+  // generated and binary files count in the stats but are not quoted.
+  selectPatches(files) {
+    const rules = new IgnoreRules();
+    const patches = [];
+    let budget = MAX_DIFF_CHARS;
+
+    const quotable = files
+      .filter(file => file.patch && !rules.ignores(file.path) && !isBinaryPath(file.path))
+      .sort((a, b) => (b.additions + b.deletions) - (a.additions + a.deletions));
+    for (const file of quotable) {
+      if (budget <= 0) break;
+      const patch = file.patch.substring(0, Math.min(MAX_PATCH_CHARS, budget));
+      patches.push({ path: file.path, patch: patch + (patch.length < file.patch.length ? '\n...' : '') });
+      budget -= patch.length;
+    }
+
+    return patches;
+  }
+
+  async summarizeChangesWithAI(repoInfo, changes, digest, release) {
+    const patches = this.selectPatches(changes.files);
+    const subject = changes.kind === 'pull'
+      ? `Pull request #${changes.number}: "${changes.title}" (${changes.head} into ${changes.base}, ${changes.state})`
+      : `Changes from ${changes.base} to ${changes.head}`;
+
+    const prompt = this.deepseekService.prompts.render('change-summary', {
+      repository: this.deepseekService.describePromptRepository(repoInfo),
+      subject,
+      description: changes.body ? changes.body.substring(0, 1500) : null,
+      release: release ? { name: release.name, notes: release.body ? release.body.substring(0, 1500) : null } : null,
+      stats: { commits: changes.totalCommits, files: changes.totalFiles, additions: changes.additions, deletions: changes.deletions, size: digest.size },
+      authors: digest.authors,
+      areas: digest.areas.map(area => `${area.path} (+${area.additions} -${area.deletions})`),
+      commits: changes.commits.slice(0, MAX_LISTED_COMMITS).map(commit => `- ${commit.message}`).join('\n'),
+      files: changes.files.slice(0, MAX_LISTED_FILES).map(file => `- ${file.path} (${file.status}, +${file.additions} -${file.deletions})`).join('\n'),
+      patches: patches.map(file => `--- ${file.path}\n${file.patch}`).join('\n\n')
+    });
+
+    const fallback = this.fallbackSummary(changes, digest, release);
+    try {
+      const response = await this.deepseekService.generateJSONResponse(prompt);
+      const summary = this.githubScanner.parseJSONResponse(response);
+      // Fields the model left out or got the type wrong keep the fallback value
+      return Object.fromEntries(Object.entries(fallback).map(([field, value]) => {
+        if (Array.isArray(value)) {
+          return [field, Array.isArray(summary[field]) && summary[field].length > 0 ? summary[field].map(String) : value];
+        }
+        return [field, typeof summary[field] === 'string' && summary[field].trim() ? summary[field].trim() : value];
+      }));
+    } catch (error) {
+      console.warn('AI change summary failed, using basic summary:', error.message);
+      return fallback;
+    }
+  }
+
+  fallbackSummary(changes, digest, release) {
+    const [topType] = Object.entries(digest.commitTypes).sort((a, b) => b[1] - a[1]);
+    const changeType = release ? 'release' : ({ feat: 'feature', fix: 'fix', refactor: 'refactor', perf: 'performance', docs: 'docs' })[topType?.[0]] || 'mixed';
+
+    return {
+      headline: changes.title || release?.name || `${changes.totalCommits} commits from ${changes.base} to ${changes.head}`,
+      summary: `${changes.totalCommits} commits changed ${changes.totalFiles} files (+${changes.additions} -${changes.deletions})${digest.areas.length > 0 ? `, mostly in ${digest.areas.slice(0, 3).map(area => area.path).join(', ')}` : ''}.`,
+      changeType,
+      highlights: changes.commits.slice(0, 5).map(commit => commit.message),
+      themes: ['progress', 'change', 'teamwork'],
+      emotions: ['proud', 'relieved', 'excited'],
+      technicalConcepts: digest.areas.slice(0, 3).map(area => area.path),
+      musicalMetaphors: ['a key change', 'a new verse']
+    };
+  }
+}
+
+module.exports = ChangeScanner;
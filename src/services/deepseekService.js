@@ -1,65 +1,71 @@
-const axios = require('axios');
+const { createProvider } = require('./providers');
+const StyleRegistry = require('./styleRegistry');
+const ProfileRegistry = require('./profileRegistry');
+const PromptLibrary = require('./promptLibrary');
+const { parseLyrics, renderLyrics, measureText, replaceSection, getRequirements, describeRequirements, validateLyrics, insertSection, repeatChoruses, fitToLimit, SECTION_LABELS, resolveLanguage, buildGlossary } = require('./lyrics');
+
+const ANALYSIS_SYSTEM_MESSAGE = 'You are an AI assistant that analyzes GitHub repositories. Always respond with pure JSON only - no markdown formatting, no code blocks, no explanations, just the JSON response.';
+const CREATIVE_SYSTEM_MESSAGE = 'You are a creative AI assistant that specializes in generating music prompts and lyrics based on code repositories. You analyze the technical content and create artistic interpretations.';
+const MAX_ALBUM_MOTIFS = 4;
+// Minimum sections of a duet or battle on top of the style's own: two verses
+// per voice and a chorus the two sing together, heard at least twice
+const DUET_SECTIONS = { verse: 4, chorus: 2 };
+const DUET_MODES = {
+  duet: 'duet',
+  battle: 'rap battle'
+};
+// A changelog jingle is short whatever the style: a verse and a chorus, and
+// lyrics well under any profile's limit
+const JINGLE_SECTIONS = { verse: 1, chorus: 1 };
+const JINGLE_LYRICS_LIMIT = 1000;
+const JINGLE_HIGHLIGHTS = 5;
+
+// Models sometimes wrap JSON in a code block despite the system message
+const parseJSON = response => JSON.parse(response.trim().replace(/^```(json)?\s*/, '').replace(/\s*```$/, ''));
 
 class DeepSeekService {
-  constructor() {
-    this.apiKey = process.env.DEEPSEEK_API_KEY;
-    this.baseURL = 'https://api.deepseek.com/v1';
-    
-    if (!this.apiKey) {
-      throw new Error('DEEPSEEK_API_KEY environment variable is required');
-    }
+  constructor(provider = createProvider(), styleRegistry = new StyleRegistry(), profileRegistry = new ProfileRegistry(), prompts = new PromptLibrary()) {
+    this.provider = provider;
+    this.styleRegistry = styleRegistry;
+    this.profileRegistry = profileRegistry;
+    this.prompts = prompts;
   }
 
-  async generateJSONResponse(prompt, model = 'deepseek-chat') {
+  async generateJSONResponse(prompt, model = this.provider.models.analysis) {
     return await this.generateResponse(prompt, model, true);
   }
 
-  async generateResponse(prompt, model = 'deepseek-chat', requireJSON = false) {
-    try {
-      const systemMessage = requireJSON 
-        ? 'You are an AI assistant that analyzes GitHub repositories. Always respond with pure JSON only - no markdown formatting, no code blocks, no explanations, just the JSON response.'
-        : 'You are a creative AI assistant that specializes in generating music prompts and lyrics based on code repositories. You analyze the technical content and create artistic interpretations.';
-      
-      const response = await axios.post(`${this.baseURL}/chat/completions`, {
-        model: model,
-        messages: [
-          {
-            role: 'system',
-            content: systemMessage
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: requireJSON ? 1000 : 4000,
-        temperature: requireJSON ? 0.3 : 0.8
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      return response.data.choices[0].message.content;
-    } catch (error) {
-      if (error.response) {
-        throw new Error(`DeepSeek API error: ${error.response.status} - ${error.response.data?.error?.message || error.response.statusText}`);
-      } else if (error.request) {
-        throw new Error('No response from DeepSeek API');
-      } else {
-        throw new Error(`DeepSeek API request failed: ${error.message}`);
-      }
-    }
+  async generateResponse(prompt, model = this.provider.models.chat, requireJSON = false) {
+    return await this.provider.chat([
+      { role: 'system', content: requireJSON ? ANALYSIS_SYSTEM_MESSAGE : CREATIVE_SYSTEM_MESSAGE },
+      { role: 'user', content: prompt }
+    ], {
+      model,
+      maxTokens: requireJSON ? 1000 : 4000,
+      temperature: requireJSON ? 0.3 : 0.8,
+      json: requireJSON
+    });
   }
 
-  async generateMusicPrompt(repoAnalysis, musicStyle = 'electronic') {
-    const prompt = this.buildMusicPrompt(repoAnalysis, musicStyle);
+  // The prompt asks for the export profile's limit up front; truncation is
+  // only a safety net for models that overshoot
+  // track: an album track (see planAlbum) the prompt is written for
+  async generateMusicPrompt(repoAnalysis, musicStyle = 'electronic', profileId, track = null) {
+    const profile = this.profileRegistry.get(profileId);
+    const prompt = this.buildMusicPrompt(repoAnalysis, musicStyle, profile, track);
     const response = await this.generateResponseWithLimit(prompt, 3000);
-    return this.truncateToCharLimit(response, 1000);
+    return this.truncateToCharLimit(response.trim(), profile.limits.prompt);
   }
 
-  async generateLyrics(repoAnalysis, musicStyle = 'electronic') {
+  // Returns { text, structure, validation, repaired }. Lyrics missing sections the
+  // style requires are repaired, or regenerated once if the repair falls
+  // short; lyrics over the profile's limit lose whole sections, never half a
+  // chorus. The text uses the profile's section marker. Options: profile
+  // (export profile id), language (BCP 47 tag, default English) and track
+  // (an album track, see planAlbum).
+  async generateLyrics(repoAnalysis, musicStyle = 'electronic', { profile: profileId, language: languageCode, track = null } = {}) {
+    const profile = this.profileRegistry.get(profileId);
+    const language = resolveLanguage(languageCode) || resolveLanguage();
     let actualStyle = musicStyle;
     
     // If auto mode, let AI decide the best style based on repository
@@ -67,67 +73,152 @@ class DeepSeekService {
       actualStyle = await this.determineBestMusicStyle(repoAnalysis);
     }
     
-    const prompt = this.buildLyricsPrompt(repoAnalysis, actualStyle);
-    const response = await this.generateResponseWithLimit(prompt, 4000);
-    return this.truncateToCharLimit(response, 3000);
+    const requirements = getRequirements(this.styleRegistry.get(actualStyle).lyrics.sections, repoAnalysis);
+    const prompt = this.buildLyricsPrompt(repoAnalysis, actualStyle, requirements, profile, language, track);
+    return this.writeLyrics(prompt, requirements, repoAnalysis.repository.name, actualStyle, profile, language);
+  }
+
+  // The pipeline behind generateLyrics and generateDuetLyrics: generate,
+  // repair or regenerate once, then fit to the profile's limit. subject names
+  // what the song is about in the repair prompt; repaired in the result says
+  // whether that prompt was sent.
+  async writeLyrics(prompt, requirements, subject, musicStyle, profile, language) {
+    let lyrics = parseLyrics(await this.generateResponseWithLimit(prompt, 4000));
+    let validation = validateLyrics(lyrics, requirements);
+    let repaired = false;
+
+    if (!validation.valid) {
+      ({ lyrics, prompted: repaired } = await this.repairLyrics(lyrics, requirements, subject, musicStyle, language));
+      validation = validateLyrics(lyrics, requirements);
+    }
+
+    if (!validation.valid) {
+      console.warn(`Lyrics still ${validation.problems.join(', ')}, regenerating`);
+      const retry = parseLyrics(await this.generateResponseWithLimit(
+        `${prompt}\nA previous attempt was rejected: ${validation.problems.join(', ')}. Include every required section.`, 4000));
+      const retryValidation = validateLyrics(retry, requirements);
+      if (retryValidation.missing.length < validation.missing.length) {
+        lyrics = retry;
+      }
+    }
+
+    const fitted = fitToLimit(lyrics, profile.limits.lyrics, requirements, profile.sectionMarker);
+    return {
+      text: renderLyrics(fitted, profile.sectionMarker),
+      structure: { style: musicStyle, ...fitted },
+      validation: validateLyrics(fitted, requirements),
+      repaired
+    };
+  }
+
+  // Rewrites the section at index following the instruction; every other
+  // section is left exactly as it was. If the song outgrows the limit, only
+  // the revised section loses lines.
+  async reviseLyricsSection(repoAnalysis, lyrics, index, instruction, musicStyle, { profile: profileId, language: languageCode } = {}) {
+    const profile = this.profileRegistry.get(profileId);
+    const language = resolveLanguage(languageCode) || resolveLanguage();
+    const original = lyrics.sections[index];
+    const prompt = this.buildRevisionPrompt(repoAnalysis, lyrics, index, instruction, musicStyle, language);
+    const [rewritten] = parseLyrics(await this.generateResponseWithLimit(prompt, 1500)).sections;
+
+    if (!rewritten || rewritten.lines.length === 0) {
+      throw new Error('The model did not return a rewritten section');
+    }
+
+    let revised = replaceSection(lyrics, index, { ...original, lines: rewritten.lines });
+    while (measureText(renderLyrics(revised, profile.sectionMarker)) > profile.limits.lyrics && revised.sections[index].lines.length > 2) {
+      revised = replaceSection(revised, index, { ...original, lines: revised.sections[index].lines.slice(0, -1) });
+    }
+
+    const requirements = getRequirements(this.styleRegistry.get(musicStyle).lyrics.sections, repoAnalysis);
+    return {
+      text: renderLyrics(revised, profile.sectionMarker),
+      structure: { ...revised, style: musicStyle },
+      validation: validateLyrics(revised, requirements)
+    };
+  }
+
+  buildRevisionPrompt(repoAnalysis, lyrics, index, instruction, musicStyle, language = resolveLanguage()) {
+    const { repository, purpose, themes, emotions, technicalConcepts, musicalMetaphors, ensemble } = repoAnalysis;
+    const section = lyrics.sections[index];
+
+    return this.prompts.render('lyrics-revision', {
+      repository: this.describePromptRepository(repository),
+      purpose,
+      themes: themes || [],
+      emotions: emotions || [],
+      technicalConcepts: technicalConcepts || [],
+      musicalMetaphors: musicalMetaphors || [],
+      ensemble: ensemble ? this.describeEnsemble(ensemble) : null,
+      lyrics: renderLyrics(lyrics),
+      section: { label: section.label, number: index + 1, total: lyrics.sections.length, lines: section.lines.length },
+      instruction,
+      style: this.describePromptStyle(musicStyle),
+      language: language.english ? null : language.name
+    }, { style: musicStyle });
+  }
+
+  // Fills in missing sections: choruses by repeating the first one, anything
+  // else by asking the model for just those sections. Returns { lyrics,
+  // prompted }, prompted being whether the model was asked.
+  async repairLyrics(lyrics, requirements, subject, musicStyle, language = resolveLanguage()) {
+    let repaired = repeatChoruses(lyrics, requirements);
+    const { missing } = validateLyrics(repaired, requirements);
+    if (missing.length === 0) {
+      return { lyrics: repaired, prompted: false };
+    }
+
+    const wanted = missing.flatMap(({ type, count }) => Array(count).fill(SECTION_LABELS[type] || type));
+    const prompt = this.prompts.render('lyrics-repair', {
+      style: this.describePromptStyle(musicStyle),
+      subject,
+      lyrics: renderLyrics(repaired),
+      language: language.english ? null : language.name,
+      missing: wanted.map(label => `- [${label}]`).join('\n')
+    }, { style: musicStyle });
+
+    try {
+      const remaining = Object.fromEntries(missing.map(({ type, count }) => [type, count]));
+      const added = parseLyrics(await this.generateResponseWithLimit(prompt, 1500)).sections;
+      for (const section of added) {
+        if (remaining[section.type] > 0) {
+          remaining[section.type]--;
+          repaired = insertSection(repaired, section);
+        }
+      }
+    } catch (error) {
+      console.warn('Lyrics repair failed:', error.message);
+    }
+
+    return { lyrics: repaired, prompted: true };
   }
 
   async determineBestMusicStyle(repoAnalysis) {
     const { repository, purpose, themes, emotions, technicalConcepts, complexity, innovationLevel, artisticInterpretation } = repoAnalysis;
+    const styles = this.styleRegistry.getSelectable();
     
-    const prompt = `
-You are a music expert analyzing a GitHub repository to determine the perfect musical style that captures its essence.
-
-REPOSITORY ANALYSIS:
-- Name: "${repository.name}"
-- Description: "${repository.description || 'No description'}"
-- Language: "${repository.language || 'Unknown'}"
-- Topics: ${repository.topics?.join(', ') || 'No topics'}
-- Purpose: "${purpose}"
-- Core Themes: ${themes.join(', ')}
-- Emotional Tone: ${emotions.join(', ')}
-- Technical Concepts: ${technicalConcepts.join(', ')}
-- Complexity: ${complexity}
-- Innovation Level: ${innovationLevel}
-- Artistic Essence: "${artisticInterpretation}"
-
-MUSIC STYLE MATCHING GUIDE:
-Analyze the repository's characteristics and match them to these styles:
-
-ELECTRONIC: For modern, innovative, technical projects. Perfect for AI, data science, cutting-edge tech. Use for complex algorithms, futuristic concepts, digital systems.
-ROCK: For projects with energy, impact, and strong foundations. Great for infrastructure, frameworks, tools that empower others.
-HARDROCK: For intense, powerful systems. Database engines, compilers, performance-critical applications.
-HEAVY-METAL: For complex, aggressive, highly technical systems. Operating systems, game engines, cryptography.
-POP: For user-friendly, accessible projects. UI libraries, educational tools, applications with mass appeal.
-JAZZ: For creative, improvisational, elegant solutions. Creative coding, generative art, experimental projects.
-CLASSICAL: For timeless, structured, elegant architectures. Foundational libraries, mathematical systems, well-engineered solutions.
-HIP-HOP: For modern, rhythmic, community-driven projects. Social apps, collaboration tools, trend-setting technologies.
-AMBIENT: For background services, subtle tools, atmospheric projects. APIs, microservices, utilities that work behind the scenes.
-
-Consider these factors:
-- Emotional tone and user experience
-- Technical complexity and innovation level
-- Project purpose and target audience
-- The "soul" of the codebase
-
-Choose ONE style that best represents the repository's character. Respond with ONLY the style name: electronic, rock, hardrock, heavy-metal, pop, jazz, classical, hip-hop, or ambient
-    `;
+    const prompt = this.prompts.render('style-selection', {
+      repository: this.describePromptRepository(repository),
+      purpose,
+      themes,
+      emotions,
+      technicalConcepts,
+      complexity,
+      innovationLevel,
+      artisticInterpretation,
+      styleGuide: styles.map(style => `${style.id.toUpperCase()}: ${style.selection}`).join('\n'),
+      styleIds: styles.map(style => style.id)
+    });
 
     try {
       const response = await this.generateResponseWithLimit(prompt, 500);
       const cleanResponse = response.trim().toLowerCase();
       
-      // Validate the response is one of the allowed styles
-      const validStyles = ['electronic', 'rock', 'hardrock', 'heavy-metal', 'pop', 'jazz', 'classical', 'hip-hop', 'ambient'];
-      if (validStyles.includes(cleanResponse)) {
-        return cleanResponse;
-      }
-      
-      // Try to extract style from response if it contains extra text
-      for (const style of validStyles) {
-        if (cleanResponse.includes(style)) {
-          return style;
-        }
+      // Validate the response is one of the allowed styles, or extract one
+      // from a response with extra text
+      const style = this.styleRegistry.findInText(cleanResponse, styles);
+      if (style) {
+        return style;
       }
       
       console.warn(`Invalid style response: ${cleanResponse}, using default`);
@@ -166,190 +257,403 @@ Choose ONE style that best represents the repository's character. Respond with O
   }
 
   async generateResponseWithLimit(prompt, maxTokens) {
-    try {
-      const response = await axios.post(`${this.baseURL}/chat/completions`, {
-        model: 'deepseek-chat',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a creative AI assistant that specializes in generating music prompts and lyrics based on code repositories. You analyze the technical content and create artistic interpretations.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: maxTokens,
-        temperature: 0.8
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
+    return await this.provider.chat([
+      { role: 'system', content: CREATIVE_SYSTEM_MESSAGE },
+      { role: 'user', content: prompt }
+    ], {
+      model: this.provider.models.chat,
+      maxTokens,
+      temperature: 0.8
+    });
+  }
 
-      return response.data.choices[0].message.content;
-    } catch (error) {
-      if (error.response) {
-        throw new Error(`DeepSeek API error: ${error.response.status} - ${error.response.data?.error?.message || error.response.statusText}`);
-      } else if (error.request) {
-        throw new Error('No response from DeepSeek API');
-      } else {
-        throw new Error(`DeepSeek API request failed: ${error.message}`);
-      }
-    }
+  buildMusicPrompt(repoAnalysis, musicStyle = 'electronic', profile = this.profileRegistry.get(), track = null) {
+    const { technicalConcepts, musicalMetaphors } = repoAnalysis;
+    return this.prompts.render('music-prompt', {
+      ...this.buildSongPromptValues(repoAnalysis, musicStyle, profile),
+      leadConcepts: technicalConcepts.slice(0, 3),
+      leadMetaphors: musicalMetaphors.slice(0, 2).join(' and '),
+      track: track ? this.describeAlbumTrack(track) : null
+    }, { style: musicStyle });
   }
 
-  buildMusicPrompt(repoAnalysis, musicStyle = 'electronic') {
-    const { repository, purpose, themes, emotions, technicalConcepts, musicalMetaphors, keyFeatures, innovationLevel, complexity, userImpact, artisticInterpretation } = repoAnalysis;
-    
-    return `
-Generate a detailed music prompt for AI music generation in ${musicStyle.toUpperCase()} style:
-
-Repository: "${repository.name}" - ${purpose}
-${repository.description ? `Description: "${repository.description}"` : ''}
-Language: ${repository.language || 'Unknown'} | Topics: ${repository.topics.join(', ') || 'None'}
-
-Analysis:
-- Purpose: ${purpose}
-- Themes: ${themes.join(', ')}
-- Emotions: ${emotions.join(', ')}
-- Technical Concepts: ${technicalConcepts.join(', ')}
-- Musical Metaphors: ${musicalMetaphors.join(', ')}
-- Key Features: ${keyFeatures.join(', ')}
-- Innovation: ${innovationLevel}
-- Complexity: ${complexity}
-- Artistic Essence: ${artisticInterpretation}
-
-Create a ${musicStyle} music prompt that includes:
-1. Genre and Style: Pure ${musicStyle} - ${this.getStyleDescription(musicStyle)}
-2. Mood and Atmosphere: Capture ${emotions.join(', ')} emotions
-3. Tempo and Rhythm: Reflect ${technicalConcepts.slice(0, 3).join(', ')}
-4. Instrumentation: ${this.getStyleInstruments(musicStyle)}
-5. Musical Character: ${complexity} complexity with ${innovationLevel} innovation
-6. Creative Elements: Incorporate ${musicalMetaphors.slice(0, 2).join(' and ')}
-
-Focus on creating a cohesive musical piece that translates the technical essence into ${musicStyle} expression. The prompt should be ready for AI music generation tools.
-
-IMPORTANT: Keep under 1000 characters. No timing instructions or section durations.
-    `;
-  }
-
-  buildLyricsPrompt(repoAnalysis, musicStyle) {
-    const { repository, purpose, themes, emotions, technicalConcepts, musicalMetaphors, keyFeatures, innovationLevel, complexity, userImpact, artisticInterpretation } = repoAnalysis;
-    
-    return `
-Based on the following enhanced GitHub repository analysis, generate song lyrics in the ${musicStyle} style:
-
-Repository Information:
-- Name: ${repository.name}
-- Description: ${repository.description || 'No description'}
-- Primary Language: ${repository.language || 'Unknown'}
-- Topics: ${repository.topics.join(', ') || 'No topics'}
-
-AI-Enhanced Analysis:
-- Purpose: ${purpose}
-- Core Themes: ${themes.join(', ')}
-- Emotional Tone: ${emotions.join(', ')}
-- Technical Concepts: ${technicalConcepts.join(', ')}
-- Musical Metaphors: ${musicalMetaphors.join(', ')}
-- Key Features: ${keyFeatures.join(', ')}
-- Innovation Level: ${innovationLevel}
-- Complexity: ${complexity}
-- User Impact: ${userImpact}
-- Artistic Interpretation: ${artisticInterpretation}
-
-Generate song lyrics that:
-1. **Tell the Story**: Narrate the repository's purpose and impact
-2. **Emotional Connection**: Reflect the identified emotional tones
-3. **Technical Poetry**: Weave technical concepts into artistic metaphors
-4. **Style Authenticity**: Match the ${musicStyle} genre conventions
-5. **Creative Structure**: Include verses, choruses, and bridges naturally
-6. **Metaphorical Depth**: Use the musical metaphors as lyrical inspiration
-7. **Human Experience**: Connect the technical to universal human experiences
-
-The lyrics should be deeply creative and artistic, transforming code and algorithms into relatable human stories. Use technical terms not literally, but as poetic devices that convey emotion, struggle, innovation, and triumph.
-
-Make the lyrics accessible to non-technical listeners while maintaining the essence of the repository's soul.
-
-Format the response with clear [Verse], [Chorus], [Bridge], [Outro] labels for structure.
-
-IMPORTANT: Keep your response under 3000 characters total to ensure compatibility with music generation AI tools.
-    `;
-  }
-
-  getStyleDescription(musicStyle) {
-    const descriptions = {
-      electronic: "modern, innovative, technical with synthesizers and digital effects",
-      rock: "energetic, powerful with electric guitars and driving rhythms",
-      hardrock: "intense, amplified with distorted guitars and heavy drums",
-      'heavy-metal': "aggressive, complex with extreme distortion and powerful vocals",
-      pop: "catchy, accessible with clear structure and memorable hooks",
-      jazz: "improvisational, sophisticated with complex harmonies and brass/piano",
-      classical: "structured, elegant with orchestral instruments and emotional depth",
-      'hip-hop': "rhythmic, modern with strong beats and urban sounds",
-      ambient: "atmospheric, evolving with subtle textures and minimal percussion"
+  buildLyricsPrompt(repoAnalysis, musicStyle, requirements = getRequirements(this.styleRegistry.get(musicStyle).lyrics.sections, repoAnalysis), profile = this.profileRegistry.get(), language = resolveLanguage(), track = null) {
+    const { timeline } = repoAnalysis;
+    return this.prompts.render('lyrics-prompt', {
+      ...this.buildSongPromptValues(repoAnalysis, musicStyle, profile),
+      songArc: timeline ? this.describeSongArc(timeline) : null,
+      track: track ? this.describeAlbumTrack(track) : null,
+      languageInstructions: language.english ? null : this.describeLanguage(repoAnalysis, language),
+      requirements: describeRequirements(requirements)
+    }, { style: musicStyle });
+  }
+
+  // Values the music and lyrics prompt templates share
+  buildSongPromptValues(repoAnalysis, musicStyle, profile) {
+    const { repository, purpose, themes, emotions, technicalConcepts, musicalMetaphors, keyFeatures, innovationLevel, complexity, userImpact, artisticInterpretation, ensemble } = repoAnalysis;
+
+    return {
+      repository: this.describePromptRepository(repository),
+      purpose,
+      themes,
+      emotions,
+      technicalConcepts,
+      musicalMetaphors,
+      keyFeatures,
+      innovationLevel,
+      complexity,
+      userImpact,
+      artisticInterpretation,
+      ensemble: ensemble ? this.describeEnsemble(ensemble) : null,
+      style: this.describePromptStyle(musicStyle),
+      profile: this.describePromptProfile(profile)
+    };
+  }
+
+  // The style and the export profile as every song template expects them
+  describePromptStyle(musicStyle) {
+    const style = this.styleRegistry.get(musicStyle);
+    return {
+      id: musicStyle,
+      label: musicStyle.toUpperCase(),
+      description: style.description,
+      instruments: style.instruments,
+      directions: style.directions,
+      conventions: style.lyrics.conventions
     };
-    return descriptions[musicStyle] || "creative and expressive";
-  }
-
-  getStyleInstruments(musicStyle) {
-    const instruments = {
-      electronic: "synthesizers, drum machines, digital effects",
-      rock: "electric guitars, bass, drums, passionate vocals",
-      hardrock: "distorted guitars, heavy drums, intense vocals",
-      'heavy-metal': "extreme distortion guitars, double-bass drums, powerful vocals",
-      pop: "modern production, catchy melodies, clear vocals",
-      jazz: "brass, piano, upright bass, sophisticated rhythms",
-      classical: "orchestral strings, woodwinds, piano, structured arrangements",
-      'hip-hop': "strong beats, samples, rhythmic vocals",
-      ambient: "atmospheric pads, subtle textures, evolving soundscapes"
+  }
+
+  describePromptProfile(profile) {
+    return {
+      name: profile.name,
+      tags: profile.tags.vocabulary,
+      promptLimit: profile.limits.prompt,
+      lyricsLimit: profile.limits.lyrics,
+      target: profile.id === this.profileRegistry.defaultId ? 'music generation AI tools' : profile.name
     };
-    return instruments[musicStyle] || "appropriate instrumentation";
-  }
-
-  getStyleSpecificDirections(musicStyle) {
-    const directions = {
-      electronic: "Use synthesizers, drum machines, and digital effects. Create futuristic, precise sounds with clean rhythms. Incorporate glitch effects for complexity, pads for atmosphere, and arpeggios for technical patterns.",
-      rock: "Use electric guitars, bass, drums, and passionate vocals. Build energy with driving rhythms and powerful chord progressions. Include guitar solos for technical brilliance and breakdowns for complex sections.",
-      hardrock: "Amplify with distorted guitars, heavy drums, and intense energy. Create powerful riffs that represent strong foundations and screaming solos for innovation.",
-      'heavy-metal': "Use extreme distortion, double-bass drums, and aggressive tones. Create complex time signatures for intricate systems and powerful vocals for impact.",
-      pop: "Focus on catchy melodies, clear structure, and accessibility. Use modern production, memorable hooks, and relatable emotional expression.",
-      jazz: "Incorporate improvisation, complex harmonies, and sophisticated rhythms. Use brass, piano, and upright bass for elegance and creativity.",
-      classical: "Use orchestral instruments, structured compositions, and emotional depth. Create themes that develop like algorithms and harmonies that build like architectures.",
-      'hip-hop': "Use strong beats, samples, and rhythmic flow. Incorporate modern production techniques and urban sounds that reflect community and innovation.",
-      ambient: "Create atmospheric pads, subtle textures, and evolving soundscapes. Use minimal percussion and focus on mood and space over traditional structure."
+  }
+
+  // Repository details as the prompt templates expect them, for analyses and
+  // for GitHub repository info alike
+  describePromptRepository(repository) {
+    return {
+      name: repository.name,
+      description: repository.description || null,
+      language: repository.language || 'Unknown',
+      topics: repository.topics || []
     };
-    
-    return directions[musicStyle] || "Create music that captures the essence of the repository through appropriate instrumentation and style.";
   }
 
-  extractCodeThemes(codeContent) {
-    const themes = [];
-    
-    if (codeContent.includes('function') || codeContent.includes('def')) {
-      themes.push('functions and methods');
+  // Template versions behind a song's prompts, recorded in results so saved
+  // generations can be compared across prompt revisions. autoStyle adds the
+  // style selection prompt; names limits the song prompts described.
+  // repaired and translated add the lyrics repair and translation prompts,
+  // which are only sent for some songs.
+  describePromptTemplates(musicStyle, { autoStyle = false, names = ['music-prompt', 'lyrics-prompt'], repaired = false, translated = false } = {}) {
+    return Object.fromEntries([
+      ...(autoStyle ? [['style-selection', this.prompts.describe('style-selection')]] : []),
+      ...names.map(name => [name, this.prompts.describe(name, musicStyle)]),
+      ...(repaired ? [['lyrics-repair', this.prompts.describe('lyrics-repair', musicStyle)]] : []),
+      ...(translated ? [['lyrics-translation', this.prompts.describe('lyrics-translation')]] : [])
+    ]);
+  }
+
+  // The commit-history arc as a section-by-section outline for the lyrics
+  describeSongArc(timeline) {
+    const lines = [];
+    for (const part of timeline.arc) {
+      if (part.kind === 'era') {
+        const era = timeline.eras[part.era];
+        const moments = era.highlights.map(message => `"${message}"`).join(', ');
+        lines.push(`- [${part.section}] ${era.start} to ${era.end}: ${era.commits} commits at a ${era.pace} pace${moments ? `; moments: ${moments}` : ''}`);
+      } else if (part.kind === 'release') {
+        lines.push(`- [${part.section}] Celebrate the release ${part.release.name} (${part.release.date})`);
+      } else if (part.kind === 'refrain') {
+        lines.push(`- [${part.section}] The project's recurring hook`);
+      } else if (part.kind === 'refactor') {
+        lines.push(`- [${part.section}] The biggest refactor: "${part.refactor.message}" (${part.refactor.date})`);
+      } else if (part.kind === 'present') {
+        lines.push(`- [${part.section}] Where the project stands now, last commit ${timeline.latest.date}`);
+      }
     }
-    if (codeContent.includes('class')) {
-      themes.push('classes and objects');
+
+    const history = [`${timeline.totalCommits} commits`];
+    if (timeline.founded) {
+      history.unshift(`Founded ${timeline.founded.date} ("${timeline.founded.message}")`);
     }
-    if (codeContent.includes('async') || codeContent.includes('await')) {
-      themes.push('asynchronous operations');
+    if (timeline.bursts.length > 0) {
+      history.push(`bursts of activity: ${timeline.bursts.map(burst => `${burst.start} (${burst.commits} commits)`).join(', ')}`);
     }
-    if (codeContent.includes('import') || codeContent.includes('require')) {
-      themes.push('dependencies and imports');
+    if (timeline.quietPeriods.length > 0) {
+      history.push(`quiet periods: ${timeline.quietPeriods.map(period => `${period.days} days from ${period.start}`).join(', ')}`);
     }
-    if (codeContent.includes('API') || codeContent.includes('api')) {
-      themes.push('API interactions');
+
+    return `Song Structure (derived from the commit history):
+History: ${history.join('; ')}
+${lines.join('\n')}`;
+  }
+
+  // Native lyrics rather than translated ones, with technical terms kept
+  // consistent and the section labels left in English for the parser and
+  // the music platforms. repoAnalyses is one analysis, or both of a duet.
+  describeLanguage(repoAnalyses, language) {
+    const glossary = [...new Set([].concat(repoAnalyses).flatMap(repoAnalysis => buildGlossary(repoAnalysis)))];
+    return `Language: Write the lyrics in ${language.name} (${language.nativeName}) as a native songwriter would - not a translation of English lyrics, with rhymes and rhythm that work in ${language.name}.
+- Keep these names exactly as written: ${glossary.join(', ')}
+- Translate each technical concept once and use that same wording everywhere; keep widely used English terms (commit, merge, API) where ${language.name}-speaking developers use them
+- Keep the section labels in English: [Verse 1], [Chorus], [Bridge], [Outro]`;
+  }
+
+  // English translation aligned with the lyrics: one array of lines per
+  // section, line for line. Sections whose line count the model gets wrong
+  // are padded or cut to stay aligned and flagged with aligned: false.
+  async translateLyrics(lyrics, languageCode) {
+    const language = resolveLanguage(languageCode) || resolveLanguage();
+    const prompt = this.prompts.render('lyrics-translation', {
+      language: language.name,
+      lyrics: lyrics.sections.map(section => `[${section.label}] (${section.lines.length} lines)\n${section.lines.join('\n')}`).join('\n\n')
+    });
+
+    const response = parseJSON(await this.generateJSONResponse(prompt, this.provider.models.chat));
+    const translated = Array.isArray(response.sections) ? response.sections : [];
+
+    return {
+      language: 'en',
+      from: language.code,
+      sections: lyrics.sections.map((section, index) => {
+        const lines = Array.isArray(translated[index]) ? translated[index].map(String) : [];
+        return {
+          label: section.label,
+          lines: section.lines.map((line, lineIndex) => lines[lineIndex] || ''),
+          aligned: lines.length === section.lines.length
+        };
+      })
+    };
+  }
+
+  // Title, running order and album-wide direction for a concept album, one
+  // track per theme (see AlbumPlanner). Returns { title, direction, motifs,
+  // linerNotes, tracks: [{ theme, title, concept, mood }] } with every theme
+  // used exactly once, whatever the model skipped or repeated.
+  async planAlbum(repoAnalysis, themes, musicStyle) {
+    const { repository, purpose, themes: analysisThemes, emotions, musicalMetaphors, artisticInterpretation } = repoAnalysis;
+    const style = this.styleRegistry.get(musicStyle);
+    const prompt = this.prompts.render('album-plan', {
+      repository: this.describePromptRepository(repository),
+      purpose,
+      themes: analysisThemes,
+      emotions,
+      musicalMetaphors,
+      artisticInterpretation,
+      style: this.describePromptStyle(musicStyle),
+      albumThemes: themes.map((theme, index) => `- Theme ${index + 1}: ${this.describeAlbumTheme(theme)}`).join('\n'),
+      maxMotifs: MAX_ALBUM_MOTIFS
+    }, { style: musicStyle });
+
+    const response = parseJSON(await this.provider.chat([
+      { role: 'system', content: ANALYSIS_SYSTEM_MESSAGE },
+      { role: 'user', content: prompt }
+    ], {
+      model: this.provider.models.chat,
+      maxTokens: 3000,
+      temperature: 0.8,
+      json: true
+    }));
+
+    const used = new Set();
+    const tracks = [];
+    for (const track of Array.isArray(response.tracks) ? response.tracks : []) {
+      const index = Number(track.theme) - 1;
+      if (!themes[index] || used.has(index)) {
+        continue;
+      }
+      used.add(index);
+      tracks.push({ theme: themes[index], title: String(track.title || themes[index].name), concept: track.concept || '', mood: track.mood || '' });
     }
-    if (codeContent.includes('data') || codeContent.includes('database')) {
-      themes.push('data handling');
+    themes.forEach((theme, index) => {
+      if (!used.has(index)) {
+        tracks.push({ theme, title: theme.name, concept: '', mood: '' });
+      }
+    });
+
+    return {
+      title: response.title || repository.name,
+      direction: response.direction || style.directions,
+      motifs: (Array.isArray(response.motifs) ? response.motifs : []).map(String).slice(0, MAX_ALBUM_MOTIFS),
+      linerNotes: response.linerNotes || '',
+      tracks
+    };
+  }
+
+  describeAlbumTheme(theme) {
+    if (theme.kind === 'directory') {
+      return `the ${theme.name} part of the code (${theme.files} files${theme.examples.length > 0 ? `, e.g. ${theme.examples.join(', ')}` : ''})`;
     }
-    if (codeContent.includes('error') || codeContent.includes('try') || codeContent.includes('catch')) {
-      themes.push('error handling');
+    return `the feature "${theme.name}"`;
+  }
+
+  // track: { number, total, title, concept, mood, theme, album: { title, direction, motifs } }
+  describeAlbumTrack(track) {
+    const { album } = track;
+    return `Album Track ${track.number} of ${track.total}: "${track.title}" from the concept album "${album.title}"
+- Theme: ${this.describeAlbumTheme(track.theme)}
+${track.concept ? `- Concept: ${track.concept}
+` : ''}${track.mood ? `- Mood: ${track.mood}
+` : ''}- Album Direction (shared by every track): ${album.direction}
+${album.motifs.length > 0 ? `- Recurring Motifs: work in at least one of ${album.motifs.map(motif => `"${motif}"`).join(', ')}, worded as written
+` : ''}This track is about its theme; the rest of the repository is only the backdrop.`;
+  }
+
+  // A music prompt for a duet or battle: one lead voice per repository (see
+  // RepositoryComparer for the voices)
+  async generateDuetMusicPrompt(analyses, comparison, musicStyle, mode = 'duet', profileId) {
+    const profile = this.profileRegistry.get(profileId);
+    const prompt = this.buildDuetMusicPrompt(analyses, comparison, musicStyle, mode, profile);
+    const response = await this.generateResponseWithLimit(prompt, 3000);
+    return this.truncateToCharLimit(response.trim(), profile.limits.prompt);
+  }
+
+  // One song for two repositories, returned like generateLyrics. Verses are
+  // labelled with their singer ("[Verse 1: name]") and alternate between
+  // the voices; the chorus is sung by both. Options: profile, language.
+  async generateDuetLyrics(analyses, comparison, musicStyle, mode = 'duet', { profile: profileId, language: languageCode } = {}) {
+    const profile = this.profileRegistry.get(profileId);
+    const language = resolveLanguage(languageCode) || resolveLanguage();
+    const requirements = { ...getRequirements(this.styleRegistry.get(musicStyle).lyrics.sections) };
+    for (const [type, count] of Object.entries(DUET_SECTIONS)) {
+      requirements[type] = Math.max(requirements[type] || 0, count);
     }
-    
-    return themes.join(', ') || 'general programming concepts';
+
+    const prompt = this.buildDuetLyricsPrompt(analyses, comparison, musicStyle, mode, requirements, profile, language);
+    const subject = comparison.voices.map(voice => voice.name).join(' and ');
+    return this.writeLyrics(prompt, requirements, subject, musicStyle, profile, language);
+  }
+
+  buildDuetMusicPrompt(analyses, comparison, musicStyle, mode, profile = this.profileRegistry.get()) {
+    const { voices, shared } = comparison;
+
+    return this.prompts.render('duet-music-prompt', {
+      mode: DUET_MODES[mode],
+      battle: mode === 'battle',
+      voices: voices.map((voice, index) => `Voice ${index + 1} - ${voice.name}: ${analyses[index].purpose}
+- Vocal: ${voice.delivery}${voice.emotions.length > 0 ? `, ${voice.emotions.join(' and ')}` : ''}
+- Complexity: ${voice.complexity} | Innovation: ${analyses[index].innovationLevel || 'medium'}
+- Musical Metaphors: ${(analyses[index].musicalMetaphors || []).slice(0, 2).join(', ')}`).join('\n\n'),
+      commonGround: [...shared.themes, ...shared.technicalConcepts],
+      style: this.describePromptStyle(musicStyle),
+      profile: this.describePromptProfile(profile)
+    }, { style: musicStyle });
+  }
+
+  buildDuetLyricsPrompt(analyses, comparison, musicStyle, mode, requirements, profile = this.profileRegistry.get(), language = resolveLanguage()) {
+    const { voices, shared, unique, complexity } = comparison;
+    const [first, second] = voices.map(voice => voice.name);
+    const contrast = complexity.more === null
+      ? `Both are rated ${complexity.values[0] || 'moderate'} in complexity`
+      : `${voices[complexity.more].name} is the more complex of the two (${complexity.values[complexity.more]} against ${complexity.values[1 - complexity.more]})`;
+
+    return this.prompts.render('duet-lyrics-prompt', {
+      mode: DUET_MODES[mode],
+      battle: mode === 'battle',
+      voices: analyses.map((repoAnalysis, index) => `Voice ${index + 1} - ${voices[index].name}
+- Repository: ${repoAnalysis.repository.name}${repoAnalysis.repository.description ? ` - ${repoAnalysis.repository.description}` : ''}
+- Primary Language: ${repoAnalysis.repository.language || 'Unknown'}
+- Purpose: ${repoAnalysis.purpose}
+- Core Themes: ${(repoAnalysis.themes || []).join(', ')}
+- Technical Concepts: ${(repoAnalysis.technicalConcepts || []).join(', ')}
+- Complexity: ${repoAnalysis.complexity || 'moderate'} | Innovation: ${repoAnalysis.innovationLevel || 'medium'}
+- Emotional Tone: ${(repoAnalysis.emotions || []).join(', ')}
+- Only ${voices[index].name}: ${[...unique[index].themes, ...unique[index].technicalConcepts].join(', ') || 'nothing the other lacks'}`).join('\n\n'),
+      first,
+      second,
+      contrast,
+      commonGround: [...shared.themes, ...shared.technicalConcepts, ...shared.keyFeatures],
+      deliveries: voices.map(voice => `${voice.name}: ${voice.delivery}`).join('; '),
+      style: this.describePromptStyle(musicStyle),
+      profile: this.describePromptProfile(profile),
+      languageInstructions: language.english ? null : this.describeLanguage(analyses, language),
+      requirements: describeRequirements(requirements)
+    }, { style: musicStyle });
+  }
+
+  // changeSet: the result of ChangeScanner.scanChanges
+  async generateJingleMusicPrompt(changeSet, musicStyle, profileId) {
+    const profile = this.profileRegistry.get(profileId);
+    const prompt = this.buildJingleMusicPrompt(changeSet, musicStyle, profile);
+    const response = await this.generateResponseWithLimit(prompt, 2000);
+    return this.truncateToCharLimit(response.trim(), profile.limits.prompt);
+  }
+
+  // Short lyrics about what changed, returned like generateLyrics. The
+  // style's own section template does not apply; a jingle needs a verse and
+  // a chorus and stays under JINGLE_LYRICS_LIMIT characters.
+  async generateJingleLyrics(changeSet, musicStyle, { profile: profileId, language: languageCode } = {}) {
+    const profile = this.profileRegistry.get(profileId);
+    const language = resolveLanguage(languageCode) || resolveLanguage();
+    const jingleProfile = { ...profile, limits: { ...profile.limits, lyrics: Math.min(profile.limits.lyrics, JINGLE_LYRICS_LIMIT) } };
+    const prompt = this.buildJingleLyricsPrompt(changeSet, musicStyle, jingleProfile, language);
+    return this.writeLyrics(prompt, JINGLE_SECTIONS, `${changeSet.repository.name} ${this.describeChangeSubject(changeSet.changes)}`, musicStyle, jingleProfile, language);
+  }
+
+  describeChangeSubject(changes) {
+    return changes.kind === 'pull' ? `pull request #${changes.number} "${changes.title}"` : `${changes.base}...${changes.head}`;
+  }
+
+  describeChanges(changeSet) {
+    const { repository, changes, release, summary } = changeSet;
+    return `Repository: "${repository.name}" - ${repository.description || 'No description'}
+Changes: ${this.describeChangeSubject(changes)}${changes.kind === 'pull' ? ` (${changes.state})` : ''}${release ? ` - release ${release.name}` : ''}
+- Headline: ${summary.headline}
+- Summary: ${summary.summary}
+- Change Type: ${summary.changeType} | Size: ${changes.size} (${changes.stats.commits} commits, +${changes.stats.additions} -${changes.stats.deletions} lines)
+- Highlights: ${summary.highlights.slice(0, JINGLE_HIGHLIGHTS).join('; ')}
+- Themes: ${summary.themes.join(', ')}
+- Emotions: ${summary.emotions.join(', ')}
+- Technical Concepts: ${summary.technicalConcepts.join(', ')}${changes.authors.length > 0 ? `
+- Thanks to: ${changes.authors.join(', ')}` : ''}`;
+  }
+
+  buildJingleMusicPrompt(changeSet, musicStyle, profile = this.profileRegistry.get()) {
+    const { summary } = changeSet;
+
+    return this.prompts.render('jingle-music-prompt', {
+      changes: this.describeChanges(changeSet),
+      emotions: summary.emotions,
+      changeType: summary.changeType,
+      musicalMetaphors: summary.musicalMetaphors || [],
+      style: this.describePromptStyle(musicStyle),
+      profile: this.describePromptProfile(profile)
+    }, { style: musicStyle });
+  }
+
+  buildJingleLyricsPrompt(changeSet, musicStyle, profile = this.profileRegistry.get(), language = resolveLanguage()) {
+    return this.prompts.render('jingle-lyrics-prompt', {
+      changes: this.describeChanges(changeSet),
+      release: changeSet.release ? changeSet.release.name : null,
+      authors: changeSet.changes.authors,
+      style: this.describePromptStyle(musicStyle),
+      profile: this.describePromptProfile(profile),
+      languageInstructions: language.english ? null : this.describeLanguage(changeSet, language)
+    }, { style: musicStyle });
+  }
+
+  // The contributor cast and its call-and-response pairs
+  describeEnsemble(ensemble) {
+    const lines = ensemble.voices.map(voice => {
+      const areas = voice.areas.length > 0 ? `, mostly in ${voice.areas.map(area => area.path).join(', ')}` : '';
+      const active = voice.active ? `, active ${voice.active.first} to ${voice.active.last}` : '';
+      return `- ${voice.part}: ${voice.name} (${Math.round(voice.share * 100)}% of commits${areas}${active})`;
+    });
+    if (ensemble.choir.contributors > 0) {
+      lines.push(`- choir: ${ensemble.choir.contributors} other contributors (${Math.round(ensemble.choir.share * 100)}% of commits)`);
+    }
+
+    const nameOf = index => index === null ? 'the choir' : ensemble.voices[index].name;
+    const pairs = ensemble.callAndResponse.map(pair => `${nameOf(pair.call)} and ${nameOf(pair.response)}`);
+
+    return `Ensemble (${ensemble.contributorCount} contributors, one part per major contributor):
+${lines.join('\n')}${pairs.length > 0 ? `
+Call and response: ${pairs.join('; ')}` : ''}`;
   }
 }
 
@@ -0,0 +1,181 @@
+const MAX_VOICES = 6;
+const MIN_VOICE_SHARE = 0.05;
+const MAX_AREAS_PER_VOICE = 3;
+
+const BOT_PATTERN = /\[bot\]$|^(dependabot|renovate|greenkeeper|snyk-bot|github-actions)\b/i;
+const EMAIL_PATTERN = /[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+/;
+
+// CONTRIBUTOR_OPT_OUT: comma-separated logins or author names never named in songs
+const readOptOut = () => (process.env.CONTRIBUTOR_OPT_OUT || '').split(',').map(name => name.trim()).filter(Boolean);
+
+// The two leading contributors sing; everyone else gets an instrument that
+// fits the part of the tree they work in most
+const VOCAL_PARTS = ['lead vocal', 'answering vocal'];
+const AREA_PARTS = [
+  { pattern: /test|spec|bench/i, part: 'drums' },
+  { pattern: /doc|example|guide|tutorial/i, part: 'spoken word' },
+  { pattern: /ui|web|public|frontend|client|component|view|style|asset/i, part: 'keys' },
+  { pattern: /^\.|ci|script|build|config|deploy|infra|docker|tool/i, part: 'bass' }
+];
+const GENERAL_PARTS = ['lead guitar', 'strings', 'synth lead', 'brass', 'percussion', 'bass', 'keys', 'drums'];
+
+// Turns contributor statistics into a cast: one distinct part per major
+// contributor, with everyone else singing as the choir. Names are logins or
+// git author names; anything that looks like an email is never kept.
+class EnsembleBuilder {
+  isBot(name) {
+    return BOT_PATTERN.test(name);
+  }
+
+  // stats: { contributors: [{ name, commits }] | null, areaCommits: { area: { name: count } }, commits }
+  // contributors falls back to counting the authors of the sampled commits
+  build(stats, timeline = null) {
+    const totals = new Map();
+    const add = (name, count) => {
+      if (!name || this.isBot(name) || EMAIL_PATTERN.test(name)) return;
+      totals.set(name, (totals.get(name) || 0) + count);
+    };
+
+    if (stats.contributors) {
+      stats.contributors.forEach(contributor => add(contributor.name, contributor.commits));
+    } else {
+      (stats.commits || []).forEach(commit => add(commit.author, 1));
+    }
+
+    const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    if (ranked.length === 0) {
+      return null;
+    }
+
+    const totalCommits = ranked.reduce((sum, [, commits]) => sum + commits, 0);
+    const major = ranked
+      .filter(([, commits], index) => index === 0 || commits / totalCommits >= MIN_VOICE_SHARE)
+      .slice(0, MAX_VOICES);
+
+    const usedParts = new Set();
+    const voices = major.map(([name, commits], index) => {
+      const areas = this.getAreas(name, stats.areaCommits || {});
+      const part = this.assignPart(index, areas, usedParts);
+      usedParts.add(part);
+
+      return {
+        name,
+        part,
+        commits,
+        share: Math.round((commits / totalCommits) * 1000) / 1000,
+        areas,
+        active: this.getActivity(name, stats.commits || [], timeline)
+      };
+    });
+
+    const choirCommits = totalCommits - voices.reduce((sum, voice) => sum + voice.commits, 0);
+
+    return {
+      totalCommits,
+      contributorCount: ranked.length,
+      voices,
+      choir: {
+        contributors: ranked.length - voices.length,
+        share: Math.round((choirCommits / totalCommits) * 1000) / 1000
+      },
+      callAndResponse: this.pairVoices(voices, ranked.length > voices.length),
+      anonymized: false
+    };
+  }
+
+  getAreas(name, areaCommits) {
+    return Object.entries(areaCommits)
+      .map(([area, counts]) => ({ path: area, commits: counts[name] || 0 }))
+      .filter(area => area.commits > 0)
+      .sort((a, b) => b.commits - a.commits)
+      .slice(0, MAX_AREAS_PER_VOICE);
+  }
+
+  assignPart(index, areas, usedParts) {
+    if (index < VOCAL_PARTS.length) {
+      return VOCAL_PARTS[index];
+    }
+
+    for (const area of areas) {
+      const match = AREA_PARTS.find(entry => entry.pattern.test(area.path));
+      if (match && !usedParts.has(match.part)) {
+        return match.part;
+      }
+    }
+
+    return GENERAL_PARTS.find(part => !usedParts.has(part)) || `voice ${index + 1}`;
+  }
+
+  // First and last commit in the sampled history, plus the timeline eras
+  // the contributor was active in
+  getActivity(name, commits, timeline) {
+    const dates = commits
+      .filter(commit => commit.author === name)
+      .map(commit => commit.date.substring(0, 10))
+      .sort();
+
+    if (dates.length === 0) {
+      return null;
+    }
+
+    const eras = (timeline?.eras || [])
+      .map((era, index) => dates.some(date => date >= era.start && date <= era.end) ? index : null)
+      .filter(index => index !== null);
+
+    return { first: dates[0], last: dates[dates.length - 1], eras };
+  }
+
+  // Neighbouring voices answer each other; a voice left over is answered by
+  // the choir (response: null), or by the lead when there is no choir
+  pairVoices(voices, hasChoir) {
+    const pairs = [];
+    for (let i = 0; i < voices.length; i += 2) {
+      if (i + 1 < voices.length) {
+        pairs.push({ call: i, response: i + 1 });
+      } else if (hasChoir) {
+        pairs.push({ call: i, response: null });
+      } else if (i > 0) {
+        pairs.push({ call: i, response: 0 });
+      }
+    }
+    return pairs;
+  }
+
+  // The privacy rules for contributor names, shared by every place that shows
+  // them. Returns hide(name, number), which gives "Contributor <number>" (by
+  // default numbered in order of first appearance) for everyone when hideAll
+  // is set, otherwise only for the names in optOut (case-insensitive,
+  // CONTRIBUTOR_OPT_OUT by default), and passes other names through.
+  createAnonymizer({ hideAll = false, optOut = readOptOut() } = {}) {
+    const hidden = new Set(optOut.map(name => name.toLowerCase()));
+    const aliases = new Map();
+    return (name, number) => {
+      if (!name || (!hideAll && !hidden.has(name.toLowerCase()))) {
+        return name;
+      }
+      if (!aliases.has(name)) {
+        aliases.set(name, `Contributor ${number ?? aliases.size + 1}`);
+      }
+      return aliases.get(name);
+    };
+  }
+
+  // Voices keep their rank: the second voice becomes "Contributor 2"
+  anonymize(ensemble, options) {
+    const hide = this.createAnonymizer(options);
+    let anonymized = ensemble.anonymized;
+
+    const voices = ensemble.voices.map((voice, index) => {
+      const name = hide(voice.name, index + 1);
+      if (name === voice.name) {
+        return voice;
+      }
+      anonymized = true;
+      return { ...voice, name };
+    });
+
+    return { ...ensemble, voices, anonymized };
+  }
+}
+
+module.exports = EnsembleBuilder;
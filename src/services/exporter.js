@@ -0,0 +1,268 @@
+const AdmZip = require('adm-zip');
+const { renderLyrics, measureText, getRequirements, fitToLimit } = require('./lyrics');
+
+const FORMATS = {
+  json: { extension: 'json', contentType: 'application/json' },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  text: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  lrc: { extension: 'lrc', contentType: 'text/plain; charset=utf-8' }
+};
+
+// Timing of the .lrc skeleton: a steady line rate the user retimes against
+// the rendered track
+const LRC_LEAD_IN_SECONDS = 8;
+const LRC_SECONDS_PER_LINE = 4;
+const LRC_SECTION_GAP_SECONDS = 2;
+const LRC_INSTRUMENTAL_SECONDS = 8;
+
+const METADATA_LABELS = {
+  title: 'Title',
+  style: 'Style',
+  tags: 'Tags',
+  repository: 'Repository',
+  commit: 'Commit',
+  language: 'Language',
+  generatedAt: 'Generated',
+  profile: 'Profile'
+};
+
+const escapePattern = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const slugify = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Turns a generation into downloadable files for an export profile. Lyrics
+// longer than the profile allows lose whole sections; a music prompt over the
+// limit is reported in warnings rather than cut.
+class Exporter {
+  constructor(styleRegistry, profileRegistry) {
+    this.styleRegistry = styleRegistry;
+    this.profileRegistry = profileRegistry;
+  }
+
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  // Tags from the profile's vocabulary that the style or the music prompt
+  // mention; without a vocabulary, the style name and the emotions
+  buildTags(profile, musicStyle, generation) {
+    const style = this.styleRegistry.get(musicStyle);
+    const emotions = (generation.emotions || []).map(emotion => emotion.toLowerCase());
+    let tags;
+
+    if (profile.tags.vocabulary.length > 0) {
+      const text = [style.name, style.description, style.instruments, generation.musicPrompt || '', ...emotions].join(' ').toLowerCase();
+      tags = profile.tags.vocabulary.filter(tag => new RegExp(`(^|[^a-z0-9])${escapePattern(tag)}([^a-z0-9]|$)`).test(text));
+    } else {
+      tags = [style.name.toLowerCase(), ...emotions];
+    }
+
+    return [...new Set(tags)].slice(0, profile.tags.max);
+  }
+
+  // target: { style, structure } as returned by MusicGenerator.getLyricsTarget
+  buildExport(generation, target, profile) {
+    const requirements = getRequirements(this.styleRegistry.get(target.style).lyrics.sections, generation);
+    const structure = fitToLimit(target.structure, profile.limits.lyrics, requirements, profile.sectionMarker);
+    const lyrics = renderLyrics(structure, profile.sectionMarker);
+    const musicPrompt = (generation.musicPrompt || '').trim();
+    const tags = this.buildTags(profile, target.style, generation);
+
+    const warnings = [];
+    if (measureText(musicPrompt) > profile.limits.prompt) {
+      warnings.push(`The music prompt has ${measureText(musicPrompt)} characters, ${profile.name} allows ${profile.limits.prompt}; generate with the ${profile.id} profile for a prompt that fits`);
+    }
+    if (structure.sections.length < target.structure.sections.length) {
+      warnings.push(`Lyrics shortened to ${profile.limits.lyrics} characters by dropping ${target.structure.sections.length - structure.sections.length} section(s)`);
+    }
+
+    // The translation follows the lyrics section by section and line by line,
+    // which only holds while no section was dropped
+    let translation = null;
+    if (target.translation && structure.sections.length === target.structure.sections.length) {
+      translation = {
+        ...target.translation,
+        sections: structure.sections.map((section, index) => ({
+          ...target.translation.sections[index],
+          label: section.label,
+          lines: (target.translation.sections[index]?.lines || []).slice(0, section.lines.length)
+        }))
+      };
+    } else if (target.translation) {
+      warnings.push('The English translation is left out because lyric sections were dropped');
+    }
+
+    // Cut by code point so a title in a non-Latin script never ends in half a character
+    const title = [...(structure.title || generation.repository.name)].slice(0, profile.limits.title).join('');
+    const values = {
+      title,
+      style: this.styleRegistry.get(target.style).name,
+      tags: tags.join(profile.tags.separator),
+      repository: generation.repository.name,
+      commit: generation.repository.commitSha || null,
+      language: generation.language ? `${generation.language.name} (${generation.language.nativeName})` : null,
+      generatedAt: generation.generatedAt || null,
+      profile: profile.name
+    };
+    const metadata = Object.fromEntries(profile.metadata
+      .filter(field => values[field])
+      .map(field => [field, values[field]]));
+
+    return {
+      title,
+      metadata,
+      musicPrompt,
+      tags,
+      lyrics,
+      structure,
+      translation: translation && renderLyrics(translation, profile.sectionMarker),
+      translationStructure: translation,
+      warnings
+    };
+  }
+
+  // Returns { filename, contentType, content }
+  export(generation, target, profile, format) {
+    const { extension, contentType } = FORMATS[format];
+    const bundle = this.buildExport(generation, target, profile);
+    const slug = slugify(`${generation.repository.name}-${target.style}-${profile.id}`);
+
+    const renderers = {
+      json: () => this.toJSON(bundle, profile),
+      markdown: () => this.toMarkdown(bundle),
+      text: () => this.toText(bundle),
+      lrc: () => this.toLrc(bundle, generation)
+    };
+
+    return {
+      filename: `${slug}.${extension}`,
+      contentType,
+      content: renderers[format]()
+    };
+  }
+
+  // A .zip of the whole album: README.md with the liner notes and tracklist,
+  // album.json, and a Markdown and .lrc file per track
+  exportAlbum(generation, profile) {
+    const { album } = generation;
+    const zip = new AdmZip();
+    const pad = number => String(number).padStart(2, '0');
+
+    for (const track of album.tracks) {
+      const trackGeneration = { ...generation, musicPrompt: track.musicPrompt };
+      const target = { style: album.style, structure: track.lyricsStructure, translation: track.lyricsTranslation };
+      const name = `${pad(track.number)}-${slugify(track.title) || 'track'}`;
+      zip.addFile(`${name}.md`, Buffer.from(this.export(trackGeneration, target, profile, 'markdown').content));
+      zip.addFile(`${name}.lrc`, Buffer.from(this.export(trackGeneration, target, profile, 'lrc').content));
+    }
+
+    zip.addFile('README.md', Buffer.from(this.toAlbumMarkdown(generation)));
+    zip.addFile('album.json', Buffer.from(JSON.stringify(generation, null, 2)));
+
+    return {
+      filename: `${slugify(`${generation.repository.name}-${album.title}-${profile.id}`) || 'album'}.zip`,
+      contentType: 'application/zip',
+      content: zip.toBuffer()
+    };
+  }
+
+  toAlbumMarkdown(generation) {
+    const { album } = generation;
+    const lines = [
+      `# ${album.title}`,
+      '',
+      `- **Repository:** ${generation.repository.name}`,
+      `- **Style:** ${this.styleRegistry.get(album.style).name}`,
+      `- **Tracks:** ${album.tracks.length}`,
+      '',
+      '## Liner Notes',
+      '',
+      album.linerNotes,
+      '',
+      '## Direction',
+      '',
+      album.direction
+    ];
+    if (album.motifs.length > 0) {
+      lines.push('', '## Recurring Motifs', '', ...album.motifs.map(motif => `- ${motif}`));
+    }
+    lines.push('', '## Tracklist', '', ...album.tracks.map(track =>
+      `${track.number}. **${track.title}** - ${track.theme.kind === 'directory' ? `\`${track.theme.name}\`` : track.theme.name}${track.concept ? `: ${track.concept}` : ''}`));
+    return `${lines.join('\n')}\n`;
+  }
+
+  toJSON(bundle, profile) {
+    return JSON.stringify({
+      profile: {
+        id: profile.id,
+        name: profile.name,
+        limits: profile.limits,
+        sectionMarker: profile.sectionMarker
+      },
+      metadata: bundle.metadata,
+      musicPrompt: bundle.musicPrompt,
+      tags: bundle.tags,
+      lyrics: bundle.lyrics,
+      lyricsStructure: bundle.structure,
+      translation: bundle.translationStructure,
+      warnings: bundle.warnings,
+      exportedAt: new Date().toISOString()
+    }, null, 2);
+  }
+
+  toMarkdown(bundle) {
+    const lines = [`# ${bundle.title}`, ''];
+    for (const [field, value] of Object.entries(bundle.metadata)) {
+      if (field !== 'title') lines.push(`- **${METADATA_LABELS[field]}:** ${value}`);
+    }
+    lines.push('', '## Music Prompt', '', bundle.musicPrompt, '', '## Lyrics', '', '```', bundle.lyrics, '```');
+    if (bundle.translation) {
+      lines.push('', '## English Translation', '', '```', bundle.translation, '```');
+    }
+    if (bundle.warnings.length > 0) {
+      lines.push('', ...bundle.warnings.map(warning => `> ⚠️ ${warning}`));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  toText(bundle) {
+    const header = Object.entries(bundle.metadata).map(([field, value]) => `${METADATA_LABELS[field]}: ${value}`);
+    const translation = bundle.translation ? ['', 'ENGLISH TRANSLATION', bundle.translation] : [];
+    return `${[...header, '', 'MUSIC PROMPT', bundle.musicPrompt, '', 'LYRICS', bundle.lyrics, ...translation].join('\n')}\n`;
+  }
+
+  // A timed skeleton: every lyric line gets a timestamp at a steady rate,
+  // instrumental sections a blank line that holds their place
+  toLrc(bundle, generation) {
+    const stamp = seconds => {
+      const minutes = Math.floor(seconds / 60);
+      return `[${String(minutes).padStart(2, '0')}:${(seconds - minutes * 60).toFixed(2).padStart(5, '0')}]`;
+    };
+
+    const timed = [];
+    let time = LRC_LEAD_IN_SECONDS;
+    for (const section of bundle.structure.sections) {
+      if (section.lines.length === 0) {
+        timed.push(stamp(time));
+        time += LRC_INSTRUMENTAL_SECONDS;
+        continue;
+      }
+      for (const line of section.lines) {
+        timed.push(`${stamp(time)}${line}`);
+        time += LRC_SECONDS_PER_LINE;
+      }
+      time += LRC_SECTION_GAP_SECONDS;
+    }
+
+    const length = stamp(time).slice(1, -4);
+    return `${[
+      `[ti:${bundle.title}]`,
+      `[ar:${generation.repository.name}]`,
+      `[length:${length}]`,
+      '[by:code-to-music]',
+      '',
+      ...timed
+    ].join('\n')}\n`;
+  }
+}
+
+module.exports = Exporter;
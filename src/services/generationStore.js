@@ -0,0 +1,143 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{12}$/;
+
+// Keeps finished generations on disk, one JSON file per generation, so
+// results survive a page refresh and can be shared by permalink. Listing
+// reads every file; that is fine for a local history of a few thousand songs.
+class GenerationStore {
+  constructor({ dir = process.env.GENERATIONS_DIR || path.join(process.cwd(), '.data', 'generations') } = {}) {
+    this.dir = dir;
+  }
+
+  getFilePath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  // source: the repository URL, both URLs of a duet, the pull request or
+  // compare URL of an anthem, or null for uploads and local directories.
+  // ownerId is the API key that made the generation, null without
+  // authentication.
+  async save(kind, source, generation, { ownerId = null } = {}) {
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomBytes(9).toString('base64url'),
+      kind,
+      source,
+      ownerId,
+      createdAt: now,
+      updatedAt: now,
+      generation
+    };
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.getFilePath(record.id), JSON.stringify(record, null, 2));
+    return record;
+  }
+
+  async get(id) {
+    if (!ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.getFilePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(id) {
+    if (!ID_PATTERN.test(id)) {
+      return false;
+    }
+
+    try {
+      await fs.unlink(this.getFilePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Newest first. repo matches the repository name or URL (case-insensitive
+  // substring), style any style of the generation, template any prompt
+  // template version behind it ("lyrics-prompt@v2" also matches the style
+  // overrides of v2), ownerId the key that made it (undefined for all).
+  // Returns { total, items } with summaries, not full generations.
+  async list({ repo, style, template, ownerId, limit = 20, offset = 0 } = {}) {
+    let files;
+    try {
+      files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { total: 0, items: [] };
+      }
+      throw error;
+    }
+
+    const records = [];
+    for (const file of files) {
+      try {
+        records.push(JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8')));
+      } catch (error) {
+        console.warn(`Ignoring unreadable generation ${file}: ${error.message}`);
+      }
+    }
+
+    const repoQuery = repo ? repo.toLowerCase() : null;
+    const styleQuery = style ? style.toLowerCase() : null;
+    const templateQuery = template ? template.toLowerCase() : null;
+    const summaries = records
+      .map(record => this.summarize(record))
+      .filter(summary => !repoQuery || [summary.repository, ...[].concat(summary.source)].some(value => value && value.toLowerCase().includes(repoQuery)))
+      .filter(summary => !styleQuery || summary.styles.includes(styleQuery))
+      .filter(summary => ownerId === undefined || summary.ownerId === ownerId)
+      .filter(summary => !templateQuery || summary.promptTemplates.some(value => value === templateQuery || value.startsWith(`${templateQuery}.`)))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: summaries.length,
+      items: summaries.slice(offset, offset + limit)
+    };
+  }
+
+  summarize(record) {
+    const { generation } = record;
+    const styles = Array.isArray(generation.lyrics)
+      ? generation.lyrics.map(entry => entry.style)
+      : [generation.selectedStyle].filter(Boolean);
+    // Multi-style generations record the lyrics prompt per style, duets the
+    // analysis prompts per repository
+    const templateSets = [
+      generation.promptTemplates,
+      ...(Array.isArray(generation.lyrics) ? generation.lyrics.map(entry => entry.promptTemplates) : []),
+      ...(generation.repositories || []).map(repository => repository.promptTemplates)
+    ].filter(Boolean);
+
+    return {
+      id: record.id,
+      kind: record.kind,
+      source: record.source,
+      ownerId: record.ownerId ?? null,
+      repository: generation.repository?.name || null,
+      ref: generation.repository?.ref || null,
+      title: generation.album?.title || generation.lyricsStructure?.title || generation.lyrics?.[0]?.structure?.title || null,
+      styles,
+      profile: generation.profile?.id || null,
+      language: generation.language?.code || null,
+      promptTemplates: [...new Set(templateSets.flatMap(templates => Object.entries(templates).map(([name, version]) => `${name}@${version}`)))].sort(),
+      createdAt: record.createdAt
+    };
+  }
+}
+
+module.exports = GenerationStore;
@@ -1,123 +1,358 @@
+const { isDeepStrictEqual } = require('util');
 const { Octokit } = require('@octokit/rest');
 const DeepSeekService = require('./deepseekService');
+const GitHubSource = require('./sources/githubSource');
+const AnalysisCache = require('./analysisCache');
+const TimelineBuilder = require('./timelineBuilder');
+const EnsembleBuilder = require('./ensembleBuilder');
+const { isBinaryContent } = require('../utils/fileFilter');
+const { getGuard, guardOctokit, readSetting } = require('../utils/resilience');
+const { cassetteOctokit } = require('../utils/cassette');
+const { createProgressReporter, throwIfCancelled } = require('../utils/progress');
+const { measureFile, aggregateMetrics, classifyComplexity, describeFileMetrics } = require('./metrics');
+
+// User or organization names, and repository names (never "." or "..")
+const OWNER_NAME = /^[a-z0-9](?:[a-z0-9-]{0,38})$/i;
+const REPO_NAME = /^[\w.-]{1,100}$/;
+// Newest commits read for the song arc unless HISTORY_MAX_COMMITS says otherwise
+const DEFAULT_MAX_COMMITS = 500;
+// Commits whose stats are fetched one by one when looking for the biggest refactor
+const MAX_REFACTOR_LOOKUPS = 5;
+// Directories whose per-contributor commit counts are fetched
+const MAX_CONTRIBUTOR_AREAS = 8;
+// Directories listed in the analysis as the repository's subsystems
+const MAX_AREAS = 12;
+// Directories that only group code; their subdirectories are the subsystems
+const CONTAINER_DIRECTORIES = ['src', 'lib', 'app', 'apps', 'packages', 'services', 'modules', 'components', 'plugins', 'pkg', 'internal', 'crates'];
 
 class GitHubScanner {
-  constructor() {
-    this.octokit = new Octokit({
+  constructor(deepseekService = new DeepSeekService(), analysisCache = new AnalysisCache(), timelineBuilder = new TimelineBuilder(), ensembleBuilder = new EnsembleBuilder()) {
+    this.guard = getGuard('github', { label: 'GitHub', timeoutMs: readSetting('GITHUB_TIMEOUT_MS', 30000, { min: 1 }) });
+    this.octokit = cassetteOctokit(guardOctokit(new Octokit({
       auth: process.env.GITHUB_TOKEN
-    });
-    this.deepseekService = new DeepSeekService();
+    }), this.guard));
+    this.deepseekService = deepseekService;
+    this.analysisCache = analysisCache;
+    this.timelineBuilder = timelineBuilder;
+    this.ensembleBuilder = ensembleBuilder;
   }
 
+  // Accepts plain repository URLs as well as links that pin a ref and subpath:
+  //   github.com/owner/repo/tree/<ref>[/<subpath>]
+  //   github.com/owner/repo/blob/<ref>/<file>
+  //   github.com/owner/repo/commit/<sha>
+  //   github.com/owner/repo/releases/tag/<tag>
+  // Refs may contain slashes, so "tree" paths are split into ref and subpath
+  // later by GitHubSource.resolveTarget, which can ask GitHub which refs exist.
   parseRepoUrl(url) {
-    const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
+    const match = url.match(/github\.com\/([^\/]+)\/([^\/#?]+)(?:\/(tree|blob|commit|releases\/tag)\/([^#?]+))?/);
     if (!match) {
       throw new Error('Invalid GitHub repository URL');
     }
-    return {
+
+    const target = {
       owner: match[1],
-      repo: match[2].replace('.git', '')
+      repo: match[2].replace(/\.git$/, '')
     };
+    // GitHub's naming rules; also keeps "." and ".." out of cache paths
+    if (!OWNER_NAME.test(target.owner) || !REPO_NAME.test(target.repo) || /^\.+$/.test(target.repo)) {
+      throw new Error('Invalid GitHub repository URL');
+    }
+
+    if (match[4]) {
+      const refPath = decodeURIComponent(match[4]).replace(/\/+$/, '');
+      if (match[3] === 'tree' || match[3] === 'blob') {
+        target.refPath = refPath;
+      } else {
+        target.ref = refPath;
+      }
+    }
+
+    return target;
   }
 
-  async getRepositoryInfo(owner, repo) {
+  // Asks GitHub for the current quota when the last known one is older than
+  // maxAgeMs. GET /rate_limit does not count against the quota; the guard
+  // records its headers like those of any other response.
+  async refreshRateLimit(maxAgeMs = 60000) {
+    const quota = this.guard.quota.core;
+    if (quota && Date.now() - Date.parse(quota.updatedAt) < maxAgeMs) {
+      return;
+    }
+
     try {
-      const { data } = await this.octokit.repos.get({
-        owner,
-        repo
-      });
-      return data;
+      await this.octokit.rateLimit.get({ request: { attempts: 1, timeoutMs: 5000 } });
     } catch (error) {
-      throw new Error(`Failed to fetch repository info: ${error.message}`);
+      console.warn('Could not check the GitHub rate limit:', error.message);
     }
   }
 
-  async getRepositoryFiles(owner, repo, path = '') {
-    try {
-      const { data } = await this.octokit.repos.getContent({
-        owner,
-        repo,
-        path
-      });
-
-      const files = [];
-      const directories = [];
-
-      for (const item of data) {
-        if (item.type === 'file') {
-          files.push({
-            name: item.name,
-            path: item.path,
-            size: item.size,
-            download_url: item.download_url
-          });
-        } else if (item.type === 'dir') {
-          directories.push(item.path);
-        }
-      }
-
-      for (const dir of directories) {
-        const subFiles = await this.getRepositoryFiles(owner, repo, dir);
-        files.push(...subFiles);
-      }
-
-      return files;
-    } catch (error) {
-      throw new Error(`Failed to fetch repository files: ${error.message}`);
+  // HISTORY_MAX_COMMITS: 0 turns history off; a value that is not a
+  // non-negative integer falls back to the default instead of reading nothing
+  getMaxCommits(value = process.env.HISTORY_MAX_COMMITS) {
+    if (value === undefined || value.trim() === '') {
+      return DEFAULT_MAX_COMMITS;
+    }
+    const maxCommits = Number(value);
+    if (!Number.isInteger(maxCommits) || maxCommits < 0) {
+      console.warn(`Ignoring HISTORY_MAX_COMMITS=${value}: expected a non-negative integer, using ${DEFAULT_MAX_COMMITS}`);
+      return DEFAULT_MAX_COMMITS;
     }
+    return maxCommits;
   }
 
-  async getFileContent(downloadUrl) {
-    try {
-      const response = await fetch(downloadUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch file: ${response.statusText}`);
-      }
-      return await response.text();
-    } catch (error) {
-      throw new Error(`Failed to fetch file content: ${error.message}`);
+  createSource(target) {
+    if (typeof target !== 'string') {
+      return target;
     }
+    return new GitHubSource(this.octokit, this.parseRepoUrl(target));
   }
 
-  async analyzeRepository(repoUrl) {
-    const { owner, repo } = this.parseRepoUrl(repoUrl);
+  // Options:
+  //   refresh    - ignore and overwrite a cached analysis
+  //   onProgress - receives typed progress events ({ type, ...data })
+  //   signal     - AbortSignal, checked between steps
+  //   contributorNames - false replaces contributor names with "Contributor N"
+  async analyzeRepository(target, { refresh = false, onProgress, signal, contributorNames = true } = {}) {
+    const source = this.createSource(target);
+    const report = createProgressReporter(onProgress);
     
     console.log('Step 1: Fetching repository information...');
-    const repoInfo = await this.getRepositoryInfo(owner, repo);
+    report('repository', { message: 'Fetching repository information' });
+    const repoInfo = await source.getRepositoryInfo();
+    throwIfCancelled(signal);
+
+    const cacheKey = this.getCacheKey(source, repoInfo);
+    const promptTemplates = this.describePromptTemplates();
+
+    if (cacheKey && !refresh) {
+      const cached = await this.analysisCache.get(cacheKey);
+      // An analysis written with other prompt template versions is redone,
+      // so a prompt revision is not hidden behind the cache
+      if (cached && !isDeepStrictEqual(cached.analysis.promptTemplates, promptTemplates)) {
+        console.log(`Cached analysis for ${cacheKey.owner}/${cacheKey.repo} used other prompt templates, analyzing again`);
+      } else if (cached) {
+        console.log(`Using cached analysis from ${cached.cachedAt} for ${cacheKey.owner}/${cacheKey.repo}@${cacheKey.commitSha.substring(0, 7)}`);
+        report('cache-hit', { message: 'Reusing cached analysis', cachedAt: cached.cachedAt });
+        return this.applyContributorPrivacy({ ...cached.analysis, cache: { hit: true, cachedAt: cached.cachedAt } }, contributorNames);
+      }
+    }
     
     console.log('Step 2: Listing all repository files...');
-    const allFiles = await this.getRepositoryFiles(owner, repo);
+    report('listing', { message: 'Listing repository files' });
+    const allFiles = await source.getRepositoryFiles();
+    report('listing', { message: `Found ${allFiles.length} candidate files`, total: allFiles.length });
+    throwIfCancelled(signal);
     
     console.log('Step 3: Using AI to select relevant files for analysis...');
+    report('file-selection', { message: 'Selecting relevant files' });
     const selectedFiles = await this.selectRelevantFiles(allFiles, repoInfo);
     console.log(`AI selected ${selectedFiles.length} files out of ${allFiles.length} total`);
+    report('file-selection', { message: `Selected ${selectedFiles.length} of ${allFiles.length} files`, selected: selectedFiles.length, total: allFiles.length });
+    throwIfCancelled(signal);
     
     console.log('Step 4: Fetching content of selected files...');
-    const fileContents = await this.fetchSelectedFileContents(selectedFiles);
+    const fileContents = await this.fetchSelectedFileContents(source, selectedFiles, { onProgress, signal });
     
-    console.log('Step 5: Using AI to analyze repository content and themes...');
+    console.log('Step 5: Reading commit history...');
+    report('history', { message: 'Reading commit history' });
+    const history = await this.loadHistory(source);
+    const timeline = history ? this.timelineBuilder.build(history) : null;
+    if (timeline) {
+      report('history', { message: `${timeline.totalCommits} commits, ${timeline.releases.length} releases, ${timeline.eras.length} eras`, commits: timeline.totalCommits });
+    }
+    throwIfCancelled(signal);
+
+    console.log('Step 6: Gathering contributor statistics...');
+    report('contributors', { message: 'Gathering contributor statistics' });
+    const ensemble = await this.buildEnsemble(source, allFiles, repoInfo, history, timeline);
+    if (ensemble) {
+      report('contributors', { message: `${ensemble.voices.length} voices from ${ensemble.contributorCount} contributors`, contributors: ensemble.contributorCount });
+    }
+    throwIfCancelled(signal);
+
+    console.log('Step 7: Using AI to analyze repository content and themes...');
+    report('analysis', { message: 'Analyzing repository content and themes' });
     const analysis = await this.analyzeRepositoryWithAI(repoInfo, fileContents);
     console.log('AI analysis completed, purpose:', analysis.purpose);
+    report('analysis', { message: 'Analysis complete', purpose: analysis.purpose });
+    throwIfCancelled(signal);
     
-    return {
-      repository: {
-        name: repoInfo.name,
-        description: repoInfo.description,
-        language: repoInfo.language,
-        stars: repoInfo.stargazers_count,
-        forks: repoInfo.forks_count,
-        topics: repoInfo.topics || []
-      },
+    const repoAnalysis = {
+      repository: this.describeRepository(source, repoInfo),
       fileStats: {
         total: allFiles.length,
         selected: selectedFiles.length,
-        analyzed: fileContents.length
+        analyzed: fileContents.length,
+        listing: source.listingSummary
       },
       selectedFiles: selectedFiles.map(f => ({ name: f.name, path: f.path, type: f.type })),
-      ...analysis
+      areas: this.describeAreas(allFiles, repoInfo.subpath),
+      timeline,
+      ensemble,
+      ...analysis,
+      promptTemplates
+    };
+
+    if (cacheKey) {
+      await this.analysisCache.set(cacheKey, repoAnalysis);
+    }
+
+    return this.applyContributorPrivacy({ ...repoAnalysis, cache: { hit: false } }, contributorNames);
+  }
+
+  // Lists the repository without any AI calls, for deterministic consumers
+  // such as the MIDI composer. Cached analyses are deliberately not used, so
+  // the result does not depend on what happened to be analyzed before.
+  async scanStructure(target) {
+    const source = this.createSource(target);
+    const repoInfo = await source.getRepositoryInfo();
+    const files = await source.getRepositoryFiles();
+
+    return {
+      repository: { ...this.describeRepository(source, repoInfo), fullName: repoInfo.fullName },
+      files: files.map(file => ({
+        path: file.path,
+        size: file.size,
+        category: this.categorizeFile(file.name, file.path)
+      }))
+    };
+  }
+
+  // History is optional: sources without it, or failing history requests,
+  // leave the song with its default structure
+  async loadHistory(source) {
+    const maxCommits = this.getMaxCommits();
+    if (!source.getHistory || maxCommits === 0) {
+      return null;
+    }
+
+    try {
+      const history = await source.getHistory({ maxCommits });
+      if (!history) {
+        return null;
+      }
+
+      if (source.getCommitStats) {
+        const candidates = history.commits
+          .filter(commit => !commit.stats && this.timelineBuilder.isRefactor(commit))
+          .slice(0, MAX_REFACTOR_LOOKUPS);
+        for (const commit of candidates) {
+          commit.stats = await source.getCommitStats(commit.sha);
+        }
+      }
+
+      return history;
+    } catch (error) {
+      console.warn('Commit history unavailable, using the default song structure:', error.message);
+      return null;
+    }
+  }
+
+  // Optional like the history: without contributor statistics the song
+  // simply has no cast
+  async buildEnsemble(source, files, repoInfo, history, timeline) {
+    if (!source.getContributors) {
+      return null;
+    }
+
+    try {
+      const stats = await source.getContributors({ areas: this.getTreeAreas(files, repoInfo.subpath) });
+      if (!stats) {
+        return null;
+      }
+      return this.ensembleBuilder.build({ ...stats, commits: history?.commits || [] }, timeline);
+    } catch (error) {
+      console.warn('Contributor statistics unavailable, skipping the ensemble:', error.message);
+      return null;
+    }
+  }
+
+  // The directories one level below the scanned root holding the most files
+  getTreeAreas(files, subpath) {
+    const prefix = subpath ? `${subpath}/` : '';
+    const counts = {};
+    for (const file of files) {
+      const [area, ...rest] = file.path.substring(prefix.length).split('/');
+      if (rest.length > 0) {
+        counts[prefix + area] = (counts[prefix + area] || 0) + 1;
+      }
+    }
+
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_CONTRIBUTOR_AREAS)
+      .map(([area]) => area);
+  }
+
+  // The repository's subsystems with their file counts, largest first.
+  // Container directories (src, packages, ...) are split into their
+  // subdirectories, so "src" does not swallow the whole codebase.
+  describeAreas(files, subpath) {
+    const prefix = subpath ? `${subpath}/` : '';
+    const counts = {};
+    for (const file of files) {
+      const parts = file.path.substring(prefix.length).split('/');
+      const depth = parts.length > 2 && CONTAINER_DIRECTORIES.includes(parts[0].toLowerCase()) ? 2 : 1;
+      if (parts.length > depth) {
+        const area = prefix + parts.slice(0, depth).join('/');
+        counts[area] = (counts[area] || 0) + 1;
+      }
+    }
+
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_AREAS)
+      .map(([path, count]) => ({ path, files: count }));
+  }
+
+  // Contributors listed in CONTRIBUTOR_OPT_OUT are never named; applied on
+  // every read so cached analyses follow the current setting
+  applyContributorPrivacy(repoAnalysis, contributorNames) {
+    if (!repoAnalysis.ensemble) {
+      return repoAnalysis;
+    }
+
+    return {
+      ...repoAnalysis,
+      ensemble: this.ensembleBuilder.anonymize(repoAnalysis.ensemble, { hideAll: !contributorNames })
+    };
+  }
+
+  describeRepository(source, repoInfo) {
+    return {
+      name: repoInfo.name,
+      description: repoInfo.description,
+      language: repoInfo.language,
+      stars: repoInfo.stars,
+      forks: repoInfo.forks,
+      topics: repoInfo.topics || [],
+      source: source.type,
+      ref: repoInfo.ref,
+      commitSha: repoInfo.commitSha,
+      subpath: repoInfo.subpath
     };
   }
 
+  // Only commit-pinned sources can be cached; local directories change under us
+  getCacheKey(source, repoInfo) {
+    if (!repoInfo.commitSha) {
+      return null;
+    }
+    return {
+      owner: source.owner,
+      repo: source.repo,
+      ref: repoInfo.ref,
+      commitSha: repoInfo.commitSha,
+      subpath: repoInfo.subpath
+    };
+  }
+
+  async invalidateCache(repoUrl) {
+    const { owner, repo } = this.parseRepoUrl(repoUrl);
+    return await this.analysisCache.invalidate({ owner, repo });
+  }
+
   async selectRelevantFiles(files, repoInfo) {
     const fileList = files.map(file => ({
       name: file.name,
@@ -127,38 +362,19 @@ class GitHubScanner {
       type: this.categorizeFile(file.name, file.path)
     }));
 
-    const prompt = `
-You are an AI assistant helping to analyze a GitHub repository for music generation inspiration. 
-
-Repository Information:
-- Name: ${repoInfo.name}
-- Description: ${repoInfo.description || 'No description'}
-- Primary Language: ${repoInfo.language || 'Unknown'}
-- Topics: ${repoInfo.topics?.join(', ') || 'No topics'}
-
-Available Files (${files.length} total):
-${fileList.map((file, index) => 
-  `${index + 1}. ${file.path} (${file.type}, ${file.size} bytes, .${file.extension})`
-).join('\n')}
-
-Your task: Select the 10-15 most relevant files that would provide the best understanding of this repository's purpose, functionality, and character for creative music generation. Consider:
-
-1. Core functionality files (main entry points, key classes/modules)
-2. Configuration and documentation that reveals purpose
-3. Unique or interesting algorithmic implementations
-4. Files that represent the project's main features
-5. Files with creative or interesting naming/patterns
-
-Prioritize files that would inspire musical themes over boilerplate or test files.
-
-Return your selection ONLY as a JSON array (no markdown formatting, no code blocks):
-["path/to/file1.js", "path/to/file2.py", ...]
-`;
+    const prompt = this.deepseekService.prompts.render('file-selection', {
+      repository: this.deepseekService.describePromptRepository(repoInfo),
+      scope: this.describeScope(repoInfo),
+      fileCount: files.length,
+      fileList: fileList.map((file, index) => 
+        `${index + 1}. ${file.path} (${file.type}, ${file.size} bytes, .${file.extension})`
+      ).join('\n')
+    });
 
     try {
-      console.log('Sending request to DeepSeek for file selection...');
-      const response = await this.deepseekService.generateJSONResponse(prompt, 'deepseek-coder');
-      console.log('DeepSeek response received:', response.substring(0, 200) + '...');
+      console.log(`Sending request to ${this.deepseekService.provider.name} for file selection...`);
+      const response = await this.deepseekService.generateJSONResponse(prompt);
+      console.log('AI response received:', response.substring(0, 200) + '...');
       const selectedPaths = this.parseJSONResponse(response);
       console.log('Parsed selected paths:', selectedPaths);
       
@@ -171,6 +387,25 @@ Return your selection ONLY as a JSON array (no markdown formatting, no code bloc
     }
   }
 
+  // Versions of the two analysis prompts, stored with the analysis
+  describePromptTemplates() {
+    return {
+      'file-selection': this.deepseekService.prompts.describe('file-selection'),
+      'repository-analysis': this.deepseekService.prompts.describe('repository-analysis')
+    };
+  }
+
+  describeScope(repoInfo) {
+    const scope = [];
+    if (repoInfo.subpath) {
+      scope.push(`- Scope: only the "${repoInfo.subpath}" part of the repository is analyzed`);
+    }
+    if (repoInfo.ref && repoInfo.ref !== repoInfo.defaultBranch) {
+      scope.push(`- Version: ${repoInfo.ref}`);
+    }
+    return scope.map(line => `${line}\n`).join('');
+  }
+
   categorizeFile(fileName, filePath) {
     const name = fileName.toLowerCase();
     const path = filePath.toLowerCase();
@@ -233,17 +468,26 @@ Return your selection ONLY as a JSON array (no markdown formatting, no code bloc
     return 50;
   }
 
-  async fetchSelectedFileContents(selectedFiles) {
+  async fetchSelectedFileContents(source, selectedFiles, { onProgress, signal } = {}) {
+    const report = createProgressReporter(onProgress);
     const contents = [];
     
-    for (const file of selectedFiles) {
+    for (const [index, file] of selectedFiles.entries()) {
+      throwIfCancelled(signal);
+      report('fetching', { message: `Fetching ${file.path}`, current: index + 1, total: selectedFiles.length, path: file.path });
       try {
-        const content = await this.getFileContent(file.download_url);
+        const content = await source.getFileContent(file);
+        if (isBinaryContent(content)) {
+          console.warn(`Skipping ${file.path}: binary content`);
+          continue;
+        }
         contents.push({
           name: file.name,
           path: file.path,
           type: this.categorizeFile(file.name, file.path),
           size: file.size,
+          // Measured on the full file, before the content is cut for the prompt
+          metrics: measureFile(file.path, content),
           content: content.length > 10000 ? content.substring(0, 10000) + '...' : content
         });
       } catch (error) {
@@ -282,88 +526,47 @@ Return your selection ONLY as a JSON array (no markdown formatting, no code bloc
   }
 
   async analyzeRepositoryWithAI(repoInfo, fileContents) {
+    const metrics = aggregateMetrics(fileContents);
+    const measuredComplexity = classifyComplexity(metrics);
+
     const contentSummary = fileContents.map(file => ({
       path: file.path,
       type: file.type,
       preview: file.content.substring(0, 500) + (file.content.length > 500 ? '...' : ''),
-      keyFeatures: this.extractKeyFeatures(file.content, file.type)
+      keyFeatures: describeFileMetrics(file.metrics)
     }));
 
-    const prompt = `
-You are analyzing a GitHub repository to extract themes, concepts, and characteristics for music generation inspiration.
-
-Repository Context:
-- Name: ${repoInfo.name}
-- Description: ${repoInfo.description || 'No description'}
-- Language: ${repoInfo.language || 'Unknown'}
-- Topics: ${repoInfo.topics?.join(', ') || 'No topics'}
-
-File Contents Analysis:
-${contentSummary.map((file, index) => `
+    const prompt = this.deepseekService.prompts.render('repository-analysis', {
+      repository: this.deepseekService.describePromptRepository(repoInfo),
+      scope: this.describeScope(repoInfo),
+      fileSummaries: contentSummary.map((file, index) => `
 File ${index + 1}: ${file.path} (${file.type})
 Preview: ${file.preview}
-Key Features: ${file.keyFeatures.join(', ')}
-`).join('\n')}
-
-Based on this analysis, provide a comprehensive assessment focusing on:
-
-1. **Core Purpose & Functionality**: What does this repository do? What problem does it solve?
-2. **Technical Themes**: What algorithms, patterns, or concepts are prominent?
-3. **User Experience & Impact**: How does this affect users? What emotions might it evoke?
-4. **Architectural Patterns**: What structures and design patterns are used?
-5. **Innovation & Uniqueness**: What makes this project special or innovative?
-6. **Musical Metaphors**: How could the technical concepts translate to musical elements?
-
-Respond ONLY with a JSON object (no markdown formatting, no code blocks):
-{
-  "purpose": "Brief description of what the repository does",
-  "themes": ["theme1", "theme2", "theme3"],
-  "emotions": ["emotion1", "emotion2", "emotion3"],
-  "technicalConcepts": ["concept1", "concept2", "concept3"],
-  "musicalMetaphors": ["metaphor1", "metaphor2", "metaphor3"],
-  "keyFeatures": ["feature1", "feature2", "feature3"],
-  "innovationLevel": "low|medium|high",
-  "complexity": "simple|moderate|complex",
-  "userImpact": "description of how users interact with this",
-  "artisticInterpretation": "creative interpretation of the project's essence"
-}
-`;
+Measured: ${file.keyFeatures.join(', ')}
+`).join('\n'),
+      metrics: metrics ? {
+        ...metrics,
+        asyncPercent: Math.round(metrics.asyncRatio * 100),
+        commentPercent: Math.round(metrics.commentRatio * 100)
+      } : null,
+      measuredComplexity
+    });
 
+    let analysis;
     try {
-      const response = await this.deepseekService.generateJSONResponse(prompt, 'deepseek-coder');
-      return this.parseJSONResponse(response);
+      const response = await this.deepseekService.generateJSONResponse(prompt);
+      analysis = this.parseJSONResponse(response);
     } catch (error) {
       console.warn('AI analysis failed, using basic analysis:', error.message);
-      return this.fallbackAnalysis(repoInfo, fileContents);
+      analysis = this.fallbackAnalysis(repoInfo, fileContents);
     }
-  }
 
-  extractKeyFeatures(content, fileType) {
-    const features = [];
-    const lowerContent = content.toLowerCase();
-    
-    if (fileType === 'source-code') {
-      if (lowerContent.includes('async') || lowerContent.includes('await')) features.push('asynchronous');
-      if (lowerContent.includes('class')) features.push('object-oriented');
-      if (lowerContent.includes('function') || lowerContent.includes('def')) features.push('functional');
-      if (lowerContent.includes('api') || lowerContent.includes('http')) features.push('api-interaction');
-      if (lowerContent.includes('database') || lowerContent.includes('sql')) features.push('data-persistence');
-      if (lowerContent.includes('algorithm') || lowerContent.includes('sort')) features.push('algorithms');
-      if (lowerContent.includes('render') || lowerContent.includes('draw')) features.push('visualization');
-      if (lowerContent.includes('encrypt') || lowerContent.includes('secure')) features.push('security');
-    }
-    
-    if (fileType === 'documentation') {
-      if (lowerContent.includes('tutorial') || lowerContent.includes('guide')) features.push('educational');
-      if (lowerContent.includes('api') || lowerContent.includes('endpoint')) features.push('api-documentation');
-    }
-    
-    if (fileType === 'configuration') {
-      if (lowerContent.includes('deploy') || lowerContent.includes('build')) features.push('deployment');
-      if (lowerContent.includes('test') || lowerContent.includes('ci')) features.push('testing');
-    }
-    
-    return features.length > 0 ? features : ['general'];
+    // Measurements win over the model's guess whenever there is code to measure
+    return {
+      ...analysis,
+      complexity: measuredComplexity || analysis.complexity,
+      metrics
+    };
   }
 
   fallbackAnalysis(repoInfo, fileContents) {
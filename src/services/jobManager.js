@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { runCancellable } = require('../utils/progress');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Runs generations in the background and keeps their progress events in
+// memory, so clients can poll a job or replay and follow its event stream.
+// Finished jobs are forgotten after JOB_RETENTION_SECONDS (default: one hour).
+class JobManager {
+  constructor({ retentionSeconds = parseInt(process.env.JOB_RETENTION_SECONDS, 10) || 60 * 60 } = {}) {
+    this.jobs = new Map();
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.retentionMs = retentionSeconds * 1000;
+  }
+
+  // runner receives { onProgress, signal } and resolves with the job result.
+  // Requests it makes through a ServiceGuard abort when the job is cancelled.
+  // ownerId is the API key that started the job, null without authentication.
+  // onFailed runs once if the job ends failed or cancelled.
+  createJob(kind, params, runner, { ownerId = null, onFailed = null } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      kind,
+      params,
+      ownerId,
+      status: 'running',
+      events: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      controller: new AbortController(),
+      onFailed
+    };
+    this.jobs.set(job.id, job);
+
+    this.addEvent(job, { type: 'started', message: 'Job started' });
+
+    runCancellable(job.controller.signal, () => runner({
+      onProgress: event => this.addEvent(job, event),
+      signal: job.controller.signal
+    }))
+      .then(result => {
+        if (job.status !== 'running') return;
+        job.result = result;
+        this.finish(job, 'completed', { type: 'completed', message: 'Generation complete' });
+      })
+      .catch(error => {
+        if (job.status !== 'running') return;
+        job.error = error.message;
+        this.finish(job, 'failed', { type: 'failed', message: error.message });
+      });
+
+    return this.toJSON(job);
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toJSON(job) : null;
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    if (job.status === 'running') {
+      job.controller.abort();
+      this.finish(job, 'cancelled', { type: 'cancelled', message: 'Job cancelled' });
+    }
+    return this.toJSON(job);
+  }
+
+  // Calls listener with every past event, then with new ones as they happen.
+  // Returns an unsubscribe function.
+  subscribe(id, listener) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    job.events.forEach(listener);
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      return () => {};
+    }
+
+    this.emitter.on(id, listener);
+    return () => this.emitter.off(id, listener);
+  }
+
+  // A finished job keeps its terminal event last: progress the runner reports
+  // after a cancellation is dropped
+  addEvent(job, event) {
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      return;
+    }
+    const entry = { id: job.events.length, at: new Date().toISOString(), ...event };
+    job.events.push(entry);
+    this.emitter.emit(job.id, entry);
+  }
+
+  finish(job, status, event) {
+    job.finishedAt = new Date().toISOString();
+    this.addEvent(job, { ...event, status });
+    job.status = status;
+    this.emitter.removeAllListeners(job.id);
+    if (status !== 'completed' && job.onFailed) {
+      job.onFailed();
+    }
+
+    setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+  }
+
+  isTerminal(event) {
+    return TERMINAL_STATUSES.includes(event.type);
+  }
+
+  toJSON(job) {
+    return {
+      id: job.id,
+      kind: job.kind,
+      params: job.params,
+      ownerId: job.ownerId,
+      status: job.status,
+      progress: job.events[job.events.length - 1] || null,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt
+    };
+  }
+}
+
+module.exports = JobManager;
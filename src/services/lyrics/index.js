@@ -0,0 +1,5 @@
+const structure = require('./structure');
+const templates = require('./templates');
+const language = require('./language');
+
+module.exports = { ...structure, ...templates, ...language };
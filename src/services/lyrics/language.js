@@ -0,0 +1,33 @@
+const DEFAULT_LANGUAGE = 'en';
+
+// Resolves a BCP 47 language tag ("de", "ja", "pt-BR") to its English and
+// native names. Returns null for tags that are malformed or name no known
+// language.
+function resolveLanguage(code = DEFAULT_LANGUAGE) {
+  let tag;
+  try {
+    [tag] = Intl.getCanonicalLocales(String(code).trim());
+  } catch (error) {
+    return null;
+  }
+
+  const name = tag && new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' }).of(tag);
+  if (!name) {
+    return null;
+  }
+
+  return {
+    code: tag,
+    name,
+    nativeName: new Intl.DisplayNames([tag], { type: 'language', fallback: 'none' }).of(tag) || name,
+    english: tag.split('-')[0] === 'en'
+  };
+}
+
+// Names and terms that must read the same in every language and section
+function buildGlossary(repoAnalysis) {
+  const { repository } = repoAnalysis;
+  return [...new Set([repository.name, repository.language, ...(repository.topics || [])].filter(Boolean))];
+}
+
+module.exports = { DEFAULT_LANGUAGE, resolveLanguage, buildGlossary };
@@ -0,0 +1,168 @@
+// Lyrics as data: { title, sections: [{ type, label, lines }] }. Parsing is
+// forgiving about how models mark sections ("[Verse 1]", "**Chorus**",
+// "Bridge:", "(Outro)"); rendering uses "[Label]" headers unless an export
+// profile asks for another section marker ("{label}:").
+
+// words are names in scripts that separate words, matched as whole words so
+// "Coroutines:" is not a chorus ("coro") or "(raindrops)" an instrumental;
+// names in Japanese and Chinese, written without spaces, match anywhere.
+// exact matches a label that is nothing but a section name and a number.
+function sectionNames(words, names = []) {
+  return {
+    pattern: new RegExp([`(?<!\\p{L})(?:${words.join('|')})(?!\\p{L})`, ...names].join('|'), 'u'),
+    exact: new RegExp(`^(?:${[...words, ...names].join('|')})(?:\\s*\\d+)?$`, 'u')
+  };
+}
+
+// Lyrics in other languages keep English labels, but models sometimes
+// translate them, so the common localized names are recognized as well
+const SECTION_TYPES = [
+  { type: 'pre-chorus', ...sectionNames(['pre-?chorus', 'pr[eé]-?refrain', 'pre-?estribillo', 'bメロ', '프리코러스'], ['预副歌']) },
+  { type: 'call-and-response', ...sectionNames(['call\\s*(?:and|&|-)\\s*response']) },
+  { type: 'chorus', ...sectionNames(['chorus', 'refrain', 'hook', 'estribillo', 'coro', 'ritornello', '후렴', 'припев'], ['サビ', 'コーラス', '副歌']) },
+  { type: 'verse', ...sectionNames(['verse', 'stanza', 'strophe', 'couplet', 'verso', 'estrofa', 'strofa', 'aメロ', '벌스', '절', 'куплет'], ['主歌']) },
+  { type: 'bridge', ...sectionNames(['bridge', 'brücke', 'pont', 'puente', 'ponte', '브릿지', 'бридж'], ['ブリッジ', '桥段']) },
+  { type: 'intro', ...sectionNames(['intro', 'prelude', '인트로', 'вступление'], ['イントロ', '前奏']) },
+  { type: 'outro', ...sectionNames(['outro', 'coda', 'finale', '아웃트로', 'кода'], ['アウトロ', '尾声']) },
+  { type: 'instrumental', ...sectionNames(['instrumental', 'solo', 'breakdown', 'drop', 'interlude', '간주', 'проигрыш'], ['間奏', '间奏']) }
+];
+
+const HEADER_PATTERNS = [
+  /^\[([^\]]{1,40})\]:?$/,
+  /^【([^】]{1,40})】$/,
+  /^\*\*\[?([^*\]]{1,40})\]?\*\*:?$/,
+  /^\(([^)]{1,40})\):?$/,
+  /^#{1,4}\s*(.{1,40})$/,
+  /^(\p{L}[\p{L}\p{M}\d &'-]{0,30}?\s*\d*)[:：]$/u
+];
+
+const TITLE_PATTERN = /^(\*\*)?title:\s*(.+?)(\*\*)?$/i;
+
+// exact: the label must be a section name alone, plus an optional number
+function classifySection(label, { exact = false } = {}) {
+  const normalized = label.toLowerCase().trim();
+  return SECTION_TYPES.find(entry => (exact ? entry.exact : entry.pattern).test(normalized))?.type || 'other';
+}
+
+// Only labels that name a known section type count as headers, so a lyric
+// line that happens to end with a colon stays a lyric line. Parentheses also
+// mark ad-libs ("(let it drop)"), so there the label must be the name alone.
+function parseHeader(line) {
+  for (const pattern of HEADER_PATTERNS) {
+    const match = line.match(pattern);
+    if (match) {
+      const label = match[1].replace(/\*+/g, '').trim();
+      const type = classifySection(label, { exact: pattern === HEADER_PATTERNS[3] });
+      if (type !== 'other' || pattern === HEADER_PATTERNS[0] || pattern === HEADER_PATTERNS[1]) {
+        return { type, label };
+      }
+    }
+  }
+  return null;
+}
+
+function parseLyrics(text) {
+  const sections = [];
+  const preamble = [];
+  let title = null;
+  let current = null;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || /^```/.test(line)) continue;
+
+    const header = parseHeader(line);
+    if (header) {
+      current = { ...header, lines: [] };
+      sections.push(current);
+      continue;
+    }
+
+    const titleMatch = !current && line.match(TITLE_PATTERN);
+    if (titleMatch) {
+      title = titleMatch[2].trim();
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      preamble.push(line);
+    }
+  }
+
+  // Unlabelled text is kept as a verse only when the model used no labels at
+  // all; before the first label it is usually a chatty lead-in
+  if (sections.length === 0 && preamble.length > 0) {
+    sections.push({ type: 'verse', label: 'Verse 1', lines: preamble });
+  }
+
+  return {
+    title,
+    sections: sections.filter(section => section.lines.length > 0 || section.type === 'instrumental')
+  };
+}
+
+const DEFAULT_SECTION_MARKER = '[{label}]';
+
+function renderSection(section, sectionMarker = DEFAULT_SECTION_MARKER) {
+  return [sectionMarker.replace('{label}', section.label), ...section.lines].join('\n');
+}
+
+function renderLyrics(lyrics, sectionMarker = DEFAULT_SECTION_MARKER) {
+  return lyrics.sections.map(section => renderSection(section, sectionMarker)).join('\n\n');
+}
+
+function countSections(lyrics) {
+  const counts = {};
+  for (const section of lyrics.sections) {
+    counts[section.type] = (counts[section.type] || 0) + 1;
+  }
+  return counts;
+}
+
+// Accepts a section index (0-based), an exact label ("Verse 2") or a type
+// with an optional 1-based ordinal ("chorus 2", "bridge"). Returns -1 when
+// nothing matches.
+function findSection(lyrics, identifier) {
+  const { sections } = lyrics;
+
+  if (typeof identifier === 'number' || /^\d+$/.test(String(identifier).trim())) {
+    const index = Number(identifier);
+    return index >= 0 && index < sections.length ? index : -1;
+  }
+
+  const wanted = String(identifier || '').trim().toLowerCase();
+  const byLabel = sections.findIndex(section => section.label.toLowerCase() === wanted);
+  if (byLabel !== -1) {
+    return byLabel;
+  }
+
+  const match = wanted.match(/^(.*?)\s*(\d+)?$/);
+  const type = classifySection(match[1]);
+  if (type === 'other') {
+    return -1;
+  }
+  const ordinal = match[2] ? Number(match[2]) : 1;
+  const ofType = sections
+    .map((section, index) => ({ section, index }))
+    .filter(({ section }) => section.type === type);
+  return ofType[ordinal - 1]?.index ?? -1;
+}
+
+function replaceSection(lyrics, index, section) {
+  return {
+    ...lyrics,
+    sections: lyrics.sections.map((existing, i) => i === index ? section : existing)
+  };
+}
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// Character count used for every lyrics limit: user-perceived characters,
+// so a Devanagari syllable with its vowel sign or an emoji counts once
+// (String length counts UTF-16 units)
+function measureText(text) {
+  let count = 0;
+  for (const segment of graphemes.segment(text)) count++;
+  return count;
+}
+
+module.exports = { parseLyrics, renderLyrics, renderSection, classifySection, countSections, findSection, replaceSection, measureText };
@@ -0,0 +1,195 @@
+const { countSections, renderLyrics, measureText } = require('./structure');
+
+// Minimum number of sections of each type for styles that do not define
+// their own (styles set theirs in lyrics.sections of their config file)
+const DEFAULT_TEMPLATE = { verse: 2, chorus: 1 };
+
+// Labels for sections added by a repair
+const SECTION_LABELS = {
+  verse: 'Verse',
+  chorus: 'Chorus',
+  'pre-chorus': 'Pre-Chorus',
+  bridge: 'Bridge',
+  intro: 'Intro',
+  outro: 'Outro',
+  'call-and-response': 'Call and Response',
+  instrumental: 'Instrumental'
+};
+
+// Lower numbers are dropped first when lyrics have to be shortened
+const DROP_PRIORITY = {
+  other: 0,
+  instrumental: 0,
+  intro: 1,
+  'pre-chorus': 2,
+  verse: 3,
+  'call-and-response': 4,
+  bridge: 5,
+  chorus: 6,
+  outro: 7
+};
+
+const MIN_LINES_PER_SECTION = 2;
+
+// The style's section template plus what the analysis asks for: a bridge
+// when the commit-history arc has one, a call-and-response section for an
+// ensemble
+function getRequirements(template, repoAnalysis = {}) {
+  const requirements = { ...(template || DEFAULT_TEMPLATE) };
+
+  if (repoAnalysis.timeline?.arc?.some(part => part.kind === 'refactor')) {
+    requirements.bridge = Math.max(requirements.bridge || 0, 1);
+  }
+  if (repoAnalysis.ensemble?.callAndResponse?.length > 0) {
+    requirements['call-and-response'] = 1;
+  }
+
+  return requirements;
+}
+
+function describeRequirements(requirements) {
+  return Object.entries(requirements)
+    .map(([type, count]) => `${count}x [${SECTION_LABELS[type] || type}]`)
+    .join(', ');
+}
+
+function validateLyrics(lyrics, requirements) {
+  const counts = countSections(lyrics);
+  const missing = Object.entries(requirements)
+    .filter(([type, count]) => (counts[type] || 0) < count)
+    .map(([type, count]) => ({ type, count: count - (counts[type] || 0) }));
+
+  const problems = missing.map(({ type, count }) => `missing ${count} ${SECTION_LABELS[type] || type} section${count > 1 ? 's' : ''}`);
+  if (lyrics.sections.length === 0) {
+    problems.unshift('no sections found');
+  }
+
+  return {
+    valid: problems.length === 0,
+    counts,
+    missing,
+    problems
+  };
+}
+
+// Where a section of the given type goes: choruses follow the first verse
+// without one, bridges and call-and-response sit before a closing chorus or
+// the outro, verses join the other verses, intros open and outros close.
+function findInsertIndex(sections, type) {
+  const lastIndexOf = predicate => {
+    for (let i = sections.length - 1; i >= 0; i--) {
+      if (predicate(sections[i])) return i;
+    }
+    return -1;
+  };
+  const outroIndex = sections.findIndex(section => section.type === 'outro');
+  const beforeOutro = outroIndex === -1 ? sections.length : outroIndex;
+
+  if (type === 'intro') {
+    return 0;
+  }
+  if (type === 'outro') {
+    return sections.length;
+  }
+  if (type === 'chorus') {
+    const verseIndex = sections.findIndex((section, index) =>
+      section.type === 'verse' && sections[index + 1]?.type !== 'chorus');
+    return verseIndex === -1 ? beforeOutro : verseIndex + 1;
+  }
+  if (type === 'verse') {
+    const lastVerse = lastIndexOf(section => section.type === 'verse');
+    if (lastVerse === -1) return sections[0]?.type === 'intro' ? 1 : 0;
+    // After the chorus that follows the last verse, so the verses stay apart
+    return sections[lastVerse + 1]?.type === 'chorus' ? lastVerse + 2 : lastVerse + 1;
+  }
+
+  // A song ending on its chorus keeps that final chorus after the insert
+  const lastChorus = lastIndexOf(section => section.type === 'chorus');
+  return lastChorus > 0 && lastChorus === beforeOutro - 1 ? lastChorus : beforeOutro;
+}
+
+function insertSection(lyrics, section) {
+  const sections = [...lyrics.sections];
+  sections.splice(findInsertIndex(sections, section.type), 0, section);
+  return { ...lyrics, sections: renumberVerses(sections) };
+}
+
+function renumberVerses(sections) {
+  let verse = 0;
+  return sections.map(section => {
+    if (section.type !== 'verse' || !/^verse\s*\d*$/i.test(section.label)) {
+      return section;
+    }
+    verse++;
+    return { ...section, label: `Verse ${verse}` };
+  });
+}
+
+// Choruses repeat, so a missing chorus can be filled in with the first one
+// without asking the model
+function repeatChoruses(lyrics, requirements) {
+  const chorus = lyrics.sections.find(section => section.type === 'chorus');
+  let repaired = lyrics;
+  if (!chorus) {
+    return repaired;
+  }
+
+  let missing = (requirements.chorus || 0) - countSections(repaired).chorus;
+  while (missing-- > 0) {
+    repaired = insertSection(repaired, { ...chorus, lines: [...chorus.lines] });
+  }
+  return repaired;
+}
+
+// Shortens lyrics to maxChars by dropping whole sections (lowest priority
+// first, never below the requirements, keeping the outro), then by removing
+// lines from the longest sections. Lines are never cut in half. Length is
+// measured as rendered with the export profile's section marker.
+function fitToLimit(lyrics, maxChars, requirements = {}, sectionMarker) {
+  const sections = [...lyrics.sections];
+  const length = () => measureText(renderLyrics({ sections }, sectionMarker));
+
+  while (length() > maxChars && sections.length > 1) {
+    const counts = countSections({ sections });
+    const droppable = sections
+      .map((section, index) => ({ section, index }))
+      .filter(({ section }) => section.type !== 'outro' && (counts[section.type] || 0) > (requirements[section.type] || 0));
+
+    if (droppable.length === 0) break;
+
+    droppable.sort((a, b) =>
+      (DROP_PRIORITY[a.section.type] ?? 0) - (DROP_PRIORITY[b.section.type] ?? 0) || b.index - a.index);
+    sections.splice(droppable[0].index, 1);
+  }
+
+  while (length() > maxChars) {
+    const longest = sections
+      .map((section, index) => ({ section, index }))
+      .filter(({ section }) => section.lines.length > MIN_LINES_PER_SECTION)
+      .sort((a, b) => b.section.lines.length - a.section.lines.length)[0];
+
+    if (!longest) break;
+    sections[longest.index] = { ...longest.section, lines: longest.section.lines.slice(0, -1) };
+  }
+
+  // Still too long with every section at its minimum: the requirements
+  // give way, the outro last
+  while (length() > maxChars && sections.length > 1) {
+    const [lowest] = sections
+      .map((section, index) => ({ section, index }))
+      .sort((a, b) => (DROP_PRIORITY[a.section.type] ?? 0) - (DROP_PRIORITY[b.section.type] ?? 0) || b.index - a.index);
+    sections.splice(lowest.index, 1);
+  }
+
+  return { ...lyrics, sections: renumberVerses(sections) };
+}
+
+module.exports = {
+  SECTION_LABELS,
+  getRequirements,
+  describeRequirements,
+  validateLyrics,
+  insertSection,
+  repeatChoruses,
+  fitToLimit
+};
@@ -0,0 +1,140 @@
+// Line-based approximations for languages without a bundled parser. They
+// are not exact, but count the same things as the JavaScript AST metrics so
+// the numbers stay comparable across a polyglot repository.
+
+const LANGUAGE_RULES = {
+  python: {
+    extensions: ['py'],
+    comment: /^\s*#/,
+    blockComment: /^\s*("""|''')/,
+    fn: /^\s*(async\s+)?def\s+\w+/,
+    decision: /\b(if|elif|for|while|except|and|or|case)\b/g,
+    asyncUsage: /\b(async|await)\b/g,
+    imports: [/^\s*from\s+([\w.]+)\s+import/, /^\s*import\s+([\w.]+)/],
+    indentation: true
+  },
+  ruby: {
+    extensions: ['rb'],
+    comment: /^\s*#/,
+    fn: /^\s*def\s+/,
+    decision: /\b(if|elsif|unless|while|until|for|rescue|when|and|or)\b|&&|\|\|/g,
+    asyncUsage: /\b(Thread\.new|Fiber|async)\b/g,
+    imports: [/^\s*require(?:_relative)?\s+['"]([^'"]+)['"]/],
+    indentation: true
+  },
+  go: {
+    extensions: ['go'],
+    comment: /^\s*\/\//,
+    fn: /^\s*func\s+/,
+    decision: /\b(if|for|case|select)\b|&&|\|\|/g,
+    asyncUsage: /\bgo\s+\w|\bchan\b|<-/g,
+    imports: [/^\s*import\s+(?:\w+\s+)?"([^"]+)"/, /^\s+(?:\w+\s+)?"([^"]+)"\s*$/]
+  },
+  rust: {
+    extensions: ['rs'],
+    comment: /^\s*\/\//,
+    fn: /\bfn\s+\w+/,
+    decision: /\b(if|for|while|loop|match)\b|=>|&&|\|\||\?;/g,
+    asyncUsage: /\b(async|await)\b/g,
+    imports: [/^\s*use\s+([\w:]+)/, /^\s*mod\s+(\w+)\s*;/]
+  },
+  cLike: {
+    extensions: ['c', 'h', 'cpp', 'cc', 'hpp', 'java', 'kt', 'scala', 'cs', 'swift', 'php', 'dart'],
+    comment: /^\s*(\/\/|\/\*|\*)/,
+    fn: /^\s*(?:(?:public|private|protected|internal|static|final|override|virtual|async|inline|suspend|open|func|fun|function|def)\s+)*[\w<>\[\],.*&:?]+\s+\*?\w+\s*\([^;]*\)\s*(?:[\w\s,:<>]*)\{?\s*$/,
+    decision: /\b(if|for|foreach|while|case|catch|when)\b|&&|\|\||\?\?/g,
+    asyncUsage: /\b(async|await|Thread|Task|Future|CompletableFuture|suspend|launch|DispatchQueue)\b/g,
+    imports: [/^\s*#include\s+[<"]([^>"]+)[>"]/, /^\s*import\s+(?:static\s+)?([\w.]+)/, /^\s*using\s+([\w.]+)\s*;/, /^\s*(?:require|include)(?:_once)?\s*\(?\s*['"]([^'"]+)['"]/]
+  }
+};
+
+const RULES_BY_EXTENSION = {};
+for (const rules of Object.values(LANGUAGE_RULES)) {
+  rules.extensions.forEach(extension => { RULES_BY_EXTENSION[extension] = rules; });
+}
+
+function getHeuristicRules(filePath) {
+  return RULES_BY_EXTENSION[filePath.split('.').pop()?.toLowerCase()] || null;
+}
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+// Without a parser the decision points cannot be attributed to individual
+// functions, so they are spread evenly across the functions found.
+function measureHeuristically(filePath, content) {
+  const rules = getHeuristicRules(filePath) || LANGUAGE_RULES.cLike;
+  const lines = content.split(/\r?\n/);
+
+  let commentLines = 0;
+  let functions = 0;
+  let decisions = 0;
+  let asyncUsage = 0;
+  let maxNesting = 0;
+  let braceDepth = 0;
+  let inBlockComment = false;
+  const imports = [];
+  const indentUnit = rules.indentation ? detectIndentUnit(lines) : 0;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    if (rules.blockComment && rules.blockComment.test(line)) {
+      commentLines++;
+      const delimiters = countMatches(trimmed, /"""|'''/g);
+      if (delimiters === 1) inBlockComment = !inBlockComment;
+      continue;
+    }
+    if (inBlockComment || rules.comment.test(line)) {
+      commentLines++;
+      continue;
+    }
+
+    if (rules.fn.test(line)) functions++;
+    decisions += countMatches(line, rules.decision);
+    asyncUsage += countMatches(line, rules.asyncUsage);
+
+    for (const pattern of rules.imports) {
+      const match = line.match(pattern);
+      if (match) {
+        imports.push(match[1]);
+        break;
+      }
+    }
+
+    if (rules.indentation) {
+      const indent = line.length - line.trimStart().length;
+      maxNesting = Math.max(maxNesting, indentUnit ? Math.floor(indent / indentUnit) : 0);
+    } else {
+      for (const char of trimmed) {
+        if (char === '{') maxNesting = Math.max(maxNesting, ++braceDepth);
+        if (char === '}') braceDepth = Math.max(0, braceDepth - 1);
+      }
+    }
+  }
+
+  const perFunction = functions > 0 ? 1 + decisions / functions : 1 + decisions;
+
+  return {
+    parser: 'heuristic',
+    functions,
+    functionComplexities: Array(Math.max(functions, 1)).fill(Math.round(perFunction * 10) / 10),
+    topLevelComplexity: 1,
+    maxNesting,
+    asyncFunctions: 0,
+    awaits: asyncUsage,
+    imports,
+    commentLines
+  };
+}
+
+function detectIndentUnit(lines) {
+  const indents = lines
+    .map(line => line.length - line.trimStart().length)
+    .filter(indent => indent > 0);
+  return indents.length ? Math.min(...indents) : 4;
+}
+
+module.exports = { measureHeuristically, getHeuristicRules };
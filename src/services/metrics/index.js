@@ -0,0 +1,161 @@
+const path = require('path');
+const { measureJavaScript } = require('./javascriptMetrics');
+const { measureHeuristically, getHeuristicRules } = require('./heuristicMetrics');
+
+const JAVASCRIPT_FILE = /\.(js|jsx|mjs|cjs|ts|tsx|mts|cts)$/i;
+const RESOLVABLE_EXTENSIONS = ['', '.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs', '/index.js', '/index.ts', '.py', '.rb', '.rs', '.go'];
+
+const round = value => Math.round(value * 100) / 100;
+
+// Per-file metrics for any supported source file, or null for files that are
+// not code (docs, config, ...). JavaScript/TypeScript is parsed; everything
+// else goes through the heuristic tokenizer.
+function measureFile(filePath, content) {
+  const lines = content.split(/\r?\n/);
+  const codeLines = lines.filter(line => line.trim()).length;
+
+  let measured;
+  if (JAVASCRIPT_FILE.test(filePath)) {
+    try {
+      measured = measureJavaScript(filePath, content);
+    } catch (error) {
+      measured = measureHeuristically(filePath, content);
+    }
+  } else if (getHeuristicRules(filePath)) {
+    measured = measureHeuristically(filePath, content);
+  } else {
+    return null;
+  }
+
+  const complexities = measured.functionComplexities.length ? measured.functionComplexities : [measured.topLevelComplexity];
+
+  return {
+    parser: measured.parser,
+    lines: lines.length,
+    codeLines,
+    functions: measured.functions,
+    avgCyclomatic: round(complexities.reduce((sum, value) => sum + value, 0) / complexities.length),
+    maxCyclomatic: Math.max(...complexities, measured.topLevelComplexity),
+    maxNesting: measured.maxNesting,
+    asyncFunctions: measured.asyncFunctions,
+    awaits: measured.awaits,
+    imports: [...new Set(measured.imports)],
+    commentRatio: codeLines ? round(measured.commentLines / codeLines) : 0
+  };
+}
+
+// Maps an import specifier to one of the analyzed files, if it points at one
+function resolveImport(fromPath, specifier, knownPaths) {
+  const candidates = [];
+
+  if (specifier.startsWith('.')) {
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromPath), specifier));
+    RESOLVABLE_EXTENSIONS.forEach(extension => candidates.push(base + extension));
+  } else {
+    // Module paths like "pkg.sub.mod", "crate::sub::mod" or "pkg/sub/mod"
+    const modulePath = specifier.replace(/^crate::/, '').replace(/::|\./g, '/');
+    for (const known of knownPaths) {
+      const withoutExtension = known.replace(/\.[^./]+$/, '');
+      if (withoutExtension.endsWith(`/${modulePath}`) || withoutExtension === modulePath) {
+        candidates.push(known);
+      }
+    }
+  }
+
+  return candidates.find(candidate => knownPaths.has(candidate)) || null;
+}
+
+// Aggregates per-file metrics into repository-level numbers, including the
+// import graph between the analyzed files.
+function aggregateMetrics(files) {
+  const measured = files.filter(file => file.metrics);
+  if (measured.length === 0) {
+    return null;
+  }
+
+  const knownPaths = new Set(measured.map(file => file.path));
+  const fanIn = {};
+  const fanOut = {};
+  const externalDependencies = new Set();
+
+  for (const file of measured) {
+    fanOut[file.path] = 0;
+    for (const specifier of file.metrics.imports) {
+      const target = resolveImport(file.path, specifier, knownPaths);
+      if (target && target !== file.path) {
+        fanOut[file.path]++;
+        fanIn[target] = (fanIn[target] || 0) + 1;
+      } else if (!specifier.startsWith('.')) {
+        externalDependencies.add(specifier.split('/')[0].split('::')[0]);
+      }
+    }
+  }
+
+  const sum = key => measured.reduce((total, file) => total + file.metrics[key], 0);
+  const max = key => Math.max(...measured.map(file => file.metrics[key]));
+  const top = counts => {
+    const [entry] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return entry ? { path: entry[0], count: entry[1] } : null;
+  };
+
+  const functions = sum('functions');
+  const codeLines = sum('codeLines');
+
+  return {
+    filesMeasured: measured.length,
+    parsedFiles: measured.filter(file => file.metrics.parser === 'ast').length,
+    codeLines,
+    functions,
+    avgCyclomatic: round(measured.reduce((total, file) => total + file.metrics.avgCyclomatic * Math.max(file.metrics.functions, 1), 0) /
+      measured.reduce((total, file) => total + Math.max(file.metrics.functions, 1), 0)),
+    maxCyclomatic: max('maxCyclomatic'),
+    maxNesting: max('maxNesting'),
+    asyncFunctions: sum('asyncFunctions'),
+    awaits: sum('awaits'),
+    asyncRatio: functions ? round(sum('asyncFunctions') / functions) : 0,
+    commentRatio: codeLines ? round(measured.reduce((total, file) => total + file.metrics.commentRatio * file.metrics.codeLines, 0) / codeLines) : 0,
+    importGraph: {
+      internalEdges: Object.values(fanOut).reduce((total, count) => total + count, 0),
+      avgFanOut: round(Object.values(fanOut).reduce((total, count) => total + count, 0) / measured.length),
+      maxFanIn: top(fanIn),
+      maxFanOut: top(fanOut),
+      externalDependencies: externalDependencies.size
+    }
+  };
+}
+
+// Grounds the simple|moderate|complex label in the measurements
+function classifyComplexity(metrics) {
+  if (!metrics) {
+    return null;
+  }
+
+  let score = 0;
+  if (metrics.avgCyclomatic > 6) score += 2;
+  else if (metrics.avgCyclomatic > 3) score += 1;
+  if (metrics.maxCyclomatic > 20) score += 1;
+  if (metrics.maxNesting > 6) score += 2;
+  else if (metrics.maxNesting > 4) score += 1;
+  if ((metrics.importGraph.maxFanIn?.count || 0) >= 5) score += 1;
+  if (metrics.codeLines > 3000) score += 1;
+
+  if (score >= 4) return 'complex';
+  if (score >= 2) return 'moderate';
+  return 'simple';
+}
+
+// Short descriptive tags for one file, used in the analysis prompt
+function describeFileMetrics(metrics) {
+  if (!metrics) {
+    return ['non-code'];
+  }
+
+  const features = [`${metrics.functions} functions`, `avg complexity ${metrics.avgCyclomatic}`, `nesting ${metrics.maxNesting}`];
+  if (metrics.asyncFunctions + metrics.awaits > 0) features.push('asynchronous');
+  if (metrics.maxCyclomatic > 10) features.push('branch-heavy');
+  if (metrics.commentRatio > 0.25) features.push('well-commented');
+  if (metrics.imports.length > 8) features.push('many dependencies');
+  return features;
+}
+
+module.exports = { measureFile, aggregateMetrics, classifyComplexity, describeFileMetrics };
@@ -0,0 +1,124 @@
+const { parse } = require('@babel/parser');
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod'
+]);
+
+// Each adds one path through the code (McCabe)
+const DECISION_TYPES = new Set([
+  'IfStatement',
+  'ConditionalExpression',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+  'CatchClause'
+]);
+
+const NESTING_TYPES = new Set([
+  'IfStatement',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'WhileStatement',
+  'DoWhileStatement',
+  'SwitchStatement',
+  'TryStatement',
+  ...FUNCTION_TYPES
+]);
+
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'comments', 'leadingComments', 'trailingComments', 'innerComments']);
+
+function parseSource(filePath, content) {
+  const isTypeScript = /\.(ts|tsx|mts|cts)$/.test(filePath);
+  return parse(content, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    plugins: isTypeScript ? ['typescript', 'jsx', 'decorators-legacy'] : ['jsx', 'flow', 'decorators-legacy']
+  });
+}
+
+// Measures a JavaScript/TypeScript file from its AST. Throws if the file
+// cannot be parsed at all; callers fall back to the heuristic tokenizer.
+function measureJavaScript(filePath, content) {
+  const ast = parseSource(filePath, content);
+
+  const functionComplexities = [];
+  const imports = [];
+  let asyncFunctions = 0;
+  let awaits = 0;
+  let maxNesting = 0;
+
+  // Complexity of code outside any function counts as one more "function"
+  const stack = [{ complexity: 1 }];
+
+  const visit = (node, depth) => {
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+
+    const isFunction = FUNCTION_TYPES.has(node.type);
+    const nests = NESTING_TYPES.has(node.type);
+    const nextDepth = nests ? depth + 1 : depth;
+    maxNesting = Math.max(maxNesting, nextDepth);
+
+    if (isFunction) {
+      stack.push({ complexity: 1 });
+      if (node.async) asyncFunctions++;
+    }
+
+    const current = stack[stack.length - 1];
+    if (DECISION_TYPES.has(node.type)) current.complexity++;
+    if (node.type === 'SwitchCase' && node.test) current.complexity++;
+    if (node.type === 'LogicalExpression') current.complexity++;
+    if (node.type === 'AwaitExpression') awaits++;
+
+    if ((node.type === 'ImportDeclaration' || node.type === 'ExportAllDeclaration' || node.type === 'ExportNamedDeclaration') && node.source) {
+      imports.push(node.source.value);
+    }
+    if (node.type === 'CallExpression' && node.arguments[0]?.type === 'StringLiteral' &&
+        ((node.callee.type === 'Identifier' && node.callee.name === 'require') || node.callee.type === 'Import')) {
+      imports.push(node.arguments[0].value);
+    }
+
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => visit(item, nextDepth));
+      } else if (child && typeof child === 'object') {
+        visit(child, nextDepth);
+      }
+    }
+
+    if (isFunction) {
+      functionComplexities.push(stack.pop().complexity);
+    }
+  };
+
+  visit(ast.program, 0);
+
+  const commentLines = (ast.comments || []).reduce((total, comment) =>
+    total + comment.loc.end.line - comment.loc.start.line + 1, 0);
+
+  return {
+    parser: 'ast',
+    functions: functionComplexities.length,
+    functionComplexities,
+    topLevelComplexity: stack[0].complexity,
+    maxNesting,
+    asyncFunctions,
+    awaits,
+    imports,
+    commentLines
+  };
+}
+
+module.exports = { measureJavaScript };
@@ -0,0 +1,302 @@
+const { encodeMidi } = require('../utils/midiWriter');
+
+// Deterministic sonification of a repository's structure. No LLM is involved,
+// and nothing but the listing is read: the same listing always yields the
+// same notes, seeded from the repository name and commit.
+//
+//   language         -> key and instrument palette
+//   complexity       -> tempo, bass and drum density (file count and depth)
+//   variety          -> mode (major, dorian, lydian) from the kinds of files
+//   top-level dirs   -> one section each, after an intro built from root files
+//   file name/depth  -> pitch of each motif note (deeper files sit higher)
+//   file size        -> note length
+//   file category    -> which instrument a file feeds (see categorizeFile)
+
+const TICKS_PER_BEAT = 480;
+const BEATS_PER_BAR = 4;
+const BARS_PER_SECTION = 4;
+const MAX_SECTIONS = 6;
+const MOTIF_LENGTH = 8;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const SCALES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  lydian: [0, 2, 4, 6, 7, 9, 11]
+};
+
+// Semitones from a mode's tonic down to the major key sharing its signature
+const PARENT_MAJOR_OFFSET = { major: 0, dorian: 2, lydian: 5 };
+const SHARPS_BY_MAJOR_TONIC = { 0: 0, 7: 1, 2: 2, 9: 3, 4: 4, 11: 5, 6: 6, 5: -1, 10: -2, 3: -3, 8: -4, 1: -5 };
+
+const MODES_BY_VARIETY = { low: 'major', medium: 'dorian', high: 'lydian' };
+const TEMPO_BY_COMPLEXITY = { simple: 84, moderate: 100, complex: 120 };
+
+// General MIDI programs (0-based)
+const LANGUAGE_PROFILES = {
+  JavaScript: { tonic: 4, tempoOffset: 6, lead: 80, pad: 89, bass: 38 },
+  TypeScript: { tonic: 11, tempoOffset: 4, lead: 81, pad: 88, bass: 38 },
+  Python: { tonic: 7, tempoOffset: -6, lead: 73, pad: 48, bass: 32 },
+  Rust: { tonic: 2, tempoOffset: 10, lead: 30, pad: 91, bass: 33 },
+  Go: { tonic: 9, tempoOffset: 8, lead: 11, pad: 89, bass: 33 },
+  Java: { tonic: 0, tempoOffset: 0, lead: 61, pad: 48, bass: 32 },
+  Kotlin: { tonic: 3, tempoOffset: 2, lead: 62, pad: 49, bass: 33 },
+  C: { tonic: 5, tempoOffset: 2, lead: 19, pad: 48, bass: 43 },
+  'C++': { tonic: 10, tempoOffset: 4, lead: 29, pad: 48, bass: 34 },
+  'C#': { tonic: 1, tempoOffset: 0, lead: 56, pad: 48, bass: 33 },
+  Ruby: { tonic: 8, tempoOffset: -2, lead: 4, pad: 52, bass: 32 },
+  PHP: { tonic: 6, tempoOffset: 0, lead: 16, pad: 89, bass: 33 },
+  Swift: { tonic: 9, tempoOffset: 2, lead: 46, pad: 48, bass: 32 },
+  Shell: { tonic: 5, tempoOffset: 4, lead: 22, pad: 95, bass: 33 }
+};
+const DEFAULT_PROFILE = { tonic: 0, tempoOffset: 0, lead: 0, pad: 48, bass: 32 };
+
+const PROGRESSIONS = [
+  [0, 4, 5, 3],
+  [0, 5, 3, 4],
+  [0, 3, 4, 4],
+  [5, 3, 0, 4],
+  [0, 2, 3, 4]
+];
+
+const CHANNELS = { lead: 0, pad: 1, bass: 2, bells: 3, drums: 9 };
+const DRUMS = { kick: 36, snare: 38, hihat: 42 };
+const BELLS_PROGRAM = 9;
+
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: tiny seeded PRNG, good enough for musical choices
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class MidiComposer {
+  // files: [{ path, size, category }] as listed by GitHubScanner.scanStructure
+  compose({ repository, files }) {
+    const random = createRandom(hashString(`${repository.fullName || repository.name}@${repository.commitSha || ''}/${repository.subpath || ''}`));
+    const profile = LANGUAGE_PROFILES[repository.language] || DEFAULT_PROFILE;
+    const complexity = this.estimateComplexity(files);
+    const variety = this.estimateVariety(files);
+    const mode = MODES_BY_VARIETY[variety];
+    const tempo = (TEMPO_BY_COMPLEXITY[complexity] || 100) + profile.tempoOffset;
+
+    const scale = SCALES[mode];
+    const degreeToPitch = (degree, octave) => {
+      const wrapped = ((degree % 7) + 7) % 7;
+      return 12 * (octave + 1) + profile.tonic + scale[wrapped] + 12 * Math.floor(degree / 7);
+    };
+
+    const tracks = {
+      lead: { name: 'Code', channel: CHANNELS.lead, program: profile.lead, notes: [] },
+      pad: { name: 'Docs', channel: CHANNELS.pad, program: profile.pad, notes: [] },
+      bass: { name: 'Config', channel: CHANNELS.bass, program: profile.bass, notes: [] },
+      bells: { name: 'Frontend', channel: CHANNELS.bells, program: BELLS_PROGRAM, notes: [] },
+      drums: { name: 'Tests', channel: CHANNELS.drums, program: 0, notes: [] }
+    };
+
+    const groups = this.groupFiles(files);
+    const sections = [
+      { name: 'Intro', files: groups[0]?.files || [] },
+      ...groups.slice(groups[0]?.name === '(root)' ? 1 : 0, MAX_SECTIONS + 1).map(group => ({ name: group.name, files: group.files })),
+      { name: 'Outro', files: groups[0]?.files || [], reprise: true }
+    ];
+
+    const sectionTicks = BARS_PER_SECTION * BEATS_PER_BAR * TICKS_PER_BEAT;
+    sections.forEach((section, index) => {
+      const start = index * sectionTicks;
+      const progression = PROGRESSIONS[Math.floor(random() * PROGRESSIONS.length)];
+      const counts = this.countCategories(section.files);
+      const velocityScale = section.reprise ? 0.7 : 1;
+
+      this.writeLead(tracks.lead, section.files, start, sectionTicks, degreeToPitch, velocityScale);
+      this.writePad(tracks.pad, progression, start, degreeToPitch, 50 + Math.round(30 * counts.share('documentation')), velocityScale);
+      this.writeBass(tracks.bass, progression, start, degreeToPitch, complexity, counts.has('configuration'), velocityScale);
+      if (counts.has('frontend')) {
+        this.writeBells(tracks.bells, progression, start, degreeToPitch, velocityScale);
+      }
+      if (!section.reprise || index === 0) {
+        this.writeDrums(tracks.drums, start, complexity, counts.has('test'), random);
+      }
+    });
+
+    return {
+      title: repository.name,
+      ticksPerBeat: TICKS_PER_BEAT,
+      tempo,
+      timeSignature: [BEATS_PER_BAR, 4],
+      key: {
+        sharpsOrFlats: SHARPS_BY_MAJOR_TONIC[(profile.tonic - PARENT_MAJOR_OFFSET[mode] + 12) % 12],
+        minor: false
+      },
+      tracks: Object.values(tracks).filter(track => track.notes.length > 0),
+      summary: {
+        key: `${NOTE_NAMES[profile.tonic]} ${mode}`,
+        tempo,
+        complexity,
+        variety,
+        sections: sections.map(section => ({ name: section.name, files: section.files.length })),
+        durationSeconds: Math.round(sections.length * BARS_PER_SECTION * BEATS_PER_BAR * 60 / tempo)
+      }
+    };
+  }
+
+  encode(composition) {
+    return encodeMidi(composition);
+  }
+
+  estimateComplexity(files) {
+    const maxDepth = Math.max(0, ...files.map(file => file.path.split('/').length - 1));
+    if (files.length > 150 || maxDepth > 5) return 'complex';
+    if (files.length > 30 || maxDepth > 2) return 'moderate';
+    return 'simple';
+  }
+
+  // How many kinds of files (code, tests, docs, configuration, frontend, ...)
+  // the repository has
+  estimateVariety(files) {
+    const categories = new Set(files.map(file => file.category).filter(category => category !== 'other'));
+    if (categories.size >= 6) return 'high';
+    if (categories.size >= 4) return 'medium';
+    return 'low';
+  }
+
+  // Root files first, then top-level directories by size (ties by name)
+  groupFiles(files) {
+    const byName = new Map();
+    for (const file of files) {
+      const name = file.path.includes('/') ? file.path.split('/')[0] : '(root)';
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(file);
+    }
+
+    const groups = [...byName.entries()].map(([name, groupFiles]) => ({
+      name,
+      files: groupFiles.sort((a, b) => a.path.localeCompare(b.path))
+    }));
+
+    return groups.sort((a, b) => {
+      if (a.name === '(root)') return -1;
+      if (b.name === '(root)') return 1;
+      return b.files.length - a.files.length || a.name.localeCompare(b.name);
+    });
+  }
+
+  countCategories(files) {
+    const counts = {};
+    files.forEach(file => { counts[file.category] = (counts[file.category] || 0) + 1; });
+    return {
+      has: category => Boolean(counts[category]),
+      share: category => files.length ? (counts[category] || 0) / files.length : 0
+    };
+  }
+
+  // One note per file, looped to fill the section
+  writeLead(track, files, start, length, degreeToPitch, velocityScale) {
+    const motifFiles = files.filter(file => file.category !== 'test').slice(0, MOTIF_LENGTH);
+    if (motifFiles.length === 0) return;
+
+    const motif = motifFiles.map(file => {
+      const depth = file.path.split('/').length - 1;
+      const sizeBucket = Math.min(3, Math.max(0, Math.floor(Math.log2(file.size + 1)) - 9));
+      return {
+        pitch: degreeToPitch(hashString(file.path) % 7 + 7 * Math.min(depth, 2), 4),
+        duration: [0.5, 1, 1.5, 2][sizeBucket] * TICKS_PER_BEAT,
+        velocity: file.category === 'entry-point' ? 110 : file.category === 'source-code' ? 96 : 80
+      };
+    });
+
+    let tick = start;
+    for (let i = 0; tick < start + length; i++) {
+      const note = motif[i % motif.length];
+      const duration = Math.min(note.duration, start + length - tick);
+      track.notes.push({ pitch: note.pitch, start: tick, duration, velocity: Math.round(note.velocity * velocityScale) });
+      tick += note.duration;
+    }
+  }
+
+  writePad(track, progression, start, degreeToPitch, velocity, velocityScale) {
+    progression.forEach((degree, bar) => {
+      [0, 2, 4].forEach(interval => {
+        track.notes.push({
+          pitch: degreeToPitch(degree + interval, 3),
+          start: start + bar * BEATS_PER_BAR * TICKS_PER_BEAT,
+          duration: BEATS_PER_BAR * TICKS_PER_BEAT,
+          velocity: Math.round(velocity * velocityScale)
+        });
+      });
+    });
+  }
+
+  writeBass(track, progression, start, degreeToPitch, complexity, hasConfiguration, velocityScale) {
+    const step = { simple: 2, moderate: 1, complex: 0.5 }[complexity] || 1;
+    const velocity = Math.round((hasConfiguration ? 100 : 80) * velocityScale);
+
+    progression.forEach((degree, bar) => {
+      for (let beat = 0; beat < BEATS_PER_BAR; beat += step) {
+        track.notes.push({
+          pitch: degreeToPitch(degree, 2),
+          start: start + (bar * BEATS_PER_BAR + beat) * TICKS_PER_BEAT,
+          duration: step * TICKS_PER_BEAT * 0.9,
+          velocity
+        });
+      }
+    });
+  }
+
+  // Arpeggio over the last bar of the section
+  writeBells(track, progression, start, degreeToPitch, velocityScale) {
+    const degree = progression[progression.length - 1];
+    const barStart = start + (BARS_PER_SECTION - 1) * BEATS_PER_BAR * TICKS_PER_BEAT;
+    [0, 2, 4, 7, 4, 2, 0, 2].forEach((interval, index) => {
+      track.notes.push({
+        pitch: degreeToPitch(degree + interval, 5),
+        start: barStart + index * TICKS_PER_BEAT / 2,
+        duration: TICKS_PER_BEAT / 2,
+        velocity: Math.round(70 * velocityScale)
+      });
+    });
+  }
+
+  // Tests keep time: hi-hats only play in sections that contain tests
+  writeDrums(track, start, complexity, hasTests, random) {
+    const hit = (pitch, beat, velocity) => track.notes.push({
+      pitch,
+      start: start + beat * TICKS_PER_BEAT,
+      duration: TICKS_PER_BEAT / 4,
+      velocity
+    });
+
+    for (let bar = 0; bar < BARS_PER_SECTION; bar++) {
+      const barBeat = bar * BEATS_PER_BAR;
+      hit(DRUMS.kick, barBeat, 100);
+      hit(DRUMS.kick, barBeat + 2, complexity === 'simple' ? 80 : 100);
+      if (complexity !== 'simple') {
+        hit(DRUMS.snare, barBeat + 1, 90);
+        hit(DRUMS.snare, barBeat + 3, 90);
+      }
+      if (complexity === 'complex' && random() < 0.5) {
+        hit(DRUMS.kick, barBeat + 3.5, 80);
+      }
+      if (hasTests) {
+        for (let beat = 0; beat < BEATS_PER_BAR; beat += 0.5) {
+          hit(DRUMS.hihat, barBeat + beat, beat % 1 === 0 ? 70 : 50);
+        }
+      }
+    }
+  }
+}
+
+module.exports = MidiComposer;
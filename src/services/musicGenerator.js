@@ -1,55 +1,112 @@
 const GitHubScanner = require('../services/githubScanner');
 const DeepSeekService = require('../services/deepseekService');
+const MidiComposer = require('../services/midiComposer');
+const Exporter = require('../services/exporter');
+const { AlbumPlanner } = require('../services/albumPlanner');
+const RepositoryComparer = require('../services/repositoryComparer');
+const ChangeScanner = require('../services/changeScanner');
+const { createProgressReporter, throwIfCancelled } = require('../utils/progress');
+const { parseLyrics, resolveLanguage } = require('../services/lyrics');
+
+// Styles a duet or battle gets when none is chosen
+const DUET_STYLES = {
+  duet: 'pop',
+  battle: 'hip-hop'
+};
+
+// Change size standing in for repository complexity when choosing a style
+const CHANGE_COMPLEXITY = {
+  small: 'simple',
+  medium: 'moderate',
+  large: 'complex'
+};
 
 class MusicGenerator {
   constructor() {
-    this.githubScanner = new GitHubScanner();
     this.deepseekService = new DeepSeekService();
+    this.styleRegistry = this.deepseekService.styleRegistry;
+    this.profileRegistry = this.deepseekService.profileRegistry;
+    this.exporter = new Exporter(this.styleRegistry, this.profileRegistry);
+    this.githubScanner = new GitHubScanner(this.deepseekService);
+    this.midiComposer = new MidiComposer();
+    this.albumPlanner = new AlbumPlanner();
+    this.repositoryComparer = new RepositoryComparer();
+    this.changeScanner = new ChangeScanner(this.githubScanner);
+  }
+
+  // Deterministic, LLM-free sonification of the repository structure
+  async composeMidi(repoUrl) {
+    try {
+      const structure = await this.githubScanner.scanStructure(repoUrl);
+      const composition = this.midiComposer.compose(structure);
+      return {
+        repository: structure.repository,
+        composition,
+        midi: this.midiComposer.encode(composition)
+      };
+    } catch (error) {
+      console.error('Error composing MIDI from repository:', error);
+      throw error;
+    }
   }
 
-  async generateFromRepo(repoUrl, musicStyle = 'electronic') {
+  // repoUrl may also be a repository source (see services/sources), e.g. a LocalSource
+  // Options are passed through to GitHubScanner.analyzeRepository ({ refresh, onProgress, signal, contributorNames });
+  // options.profile names the export profile whose limits generation aims for, options.language the
+  // lyrics language (BCP 47 tag) and options.translation asks for an aligned English translation
+  async generateFromRepo(repoUrl, musicStyle = 'electronic', options = {}) {
+    const { signal } = options;
+    const profile = this.profileRegistry.get(options.profile);
+    const language = resolveLanguage(options.language) || resolveLanguage();
+    const report = createProgressReporter(options.onProgress);
+
     try {
-      console.log(`Analyzing repository: ${repoUrl}`);
+      console.log(`Analyzing repository: ${typeof repoUrl === 'string' ? repoUrl : repoUrl.rootDir}`);
       
-      const repoAnalysis = await this.githubScanner.analyzeRepository(repoUrl);
+      const repoAnalysis = await this.githubScanner.analyzeRepository(repoUrl, options);
       
       // Determine the actual style used (important for auto mode)
       let actualStyle = musicStyle;
       if (musicStyle === 'auto') {
+        report('style', { message: 'Choosing the best music style' });
         actualStyle = await this.deepseekService.determineBestMusicStyle(repoAnalysis);
       }
+      report('style', { message: `Style: ${actualStyle}`, style: actualStyle });
+      throwIfCancelled(signal);
       
       console.log('Generating music prompt...');
-      const musicPrompt = await this.deepseekService.generateMusicPrompt(repoAnalysis, actualStyle);
+      report('prompt', { message: 'Writing the music prompt' });
+      const musicPrompt = await this.deepseekService.generateMusicPrompt(repoAnalysis, actualStyle, profile.id);
+      throwIfCancelled(signal);
       
       console.log(`Generating lyrics in ${actualStyle} style...`);
-      const lyrics = await this.deepseekService.generateLyrics(repoAnalysis, actualStyle);
+      report('lyrics', { message: `Writing ${actualStyle} lyrics${language.english ? '' : ` in ${language.name}`}`, style: actualStyle, language: language.code });
+      const lyrics = await this.deepseekService.generateLyrics(repoAnalysis, actualStyle, { profile: profile.id, language: language.code });
+      throwIfCancelled(signal);
+      
+      let lyricsTranslation = null;
+      if (options.translation && !language.english) {
+        report('translation', { message: 'Translating the lyrics into English' });
+        lyricsTranslation = await this.translateLyrics(lyrics.structure, language);
+      }
       
       return {
-        repository: {
-          name: repoAnalysis.repository.name,
-          description: repoAnalysis.repository.description,
-          language: repoAnalysis.repository.language,
-          stars: repoAnalysis.repository.stars,
-          forks: repoAnalysis.repository.forks,
-          topics: repoAnalysis.repository.topics || []
-        },
-        fileStats: repoAnalysis.fileStats,
-        purpose: repoAnalysis.purpose,
-        themes: repoAnalysis.themes || [],
-        emotions: repoAnalysis.emotions || [],
-        technicalConcepts: repoAnalysis.technicalConcepts || [],
-        musicalMetaphors: repoAnalysis.musicalMetaphors || [],
-        keyFeatures: repoAnalysis.keyFeatures || [],
-        innovationLevel: repoAnalysis.innovationLevel || 'medium',
-        complexity: repoAnalysis.complexity || 'moderate',
-        userImpact: repoAnalysis.userImpact || '',
-        artisticInterpretation: repoAnalysis.artisticInterpretation || '',
-        selectedFiles: repoAnalysis.selectedFiles || [],
+        ...this.summarizeAnalysis(repoAnalysis),
         selectedStyle: actualStyle,
         requestedStyle: musicStyle,
+        styleInstruments: this.styleRegistry.get(actualStyle).instruments,
+        profile: this.describeProfile(profile),
+        tags: this.exporter.buildTags(profile, actualStyle, { ...repoAnalysis, musicPrompt }),
         musicPrompt,
-        lyrics,
+        language: this.describeLanguage(language),
+        lyrics: lyrics.text,
+        lyricsStructure: lyrics.structure,
+        lyricsValidation: lyrics.validation,
+        lyricsTranslation,
+        promptTemplates: {
+          ...repoAnalysis.promptTemplates,
+          ...this.deepseekService.describePromptTemplates(actualStyle, { autoStyle: musicStyle === 'auto', repaired: lyrics.repaired, translated: Boolean(options.translation && !language.english) })
+        },
         generatedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -58,17 +115,32 @@ class MusicGenerator {
     }
   }
 
-  async generateMultipleStyles(repoUrl, styles = ['auto', 'electronic', 'rock', 'pop']) {
+  async generateMultipleStyles(repoUrl, styles = ['auto', 'electronic', 'rock', 'pop'], options = {}) {
+    const { signal } = options;
+    const profile = this.profileRegistry.get(options.profile);
+    const language = resolveLanguage(options.language) || resolveLanguage();
+    const report = createProgressReporter(options.onProgress);
+
     try {
-      const repoAnalysis = await this.githubScanner.analyzeRepository(repoUrl);
-      const musicPrompt = await this.deepseekService.generateMusicPrompt(repoAnalysis, 'auto');
+      const repoAnalysis = await this.githubScanner.analyzeRepository(repoUrl, options);
+      
+      report('prompt', { message: 'Writing the music prompt' });
+      const musicPrompt = await this.deepseekService.generateMusicPrompt(repoAnalysis, 'auto', profile.id);
+      throwIfCancelled(signal);
       
+      report('lyrics', { message: `Writing lyrics in ${styles.length} styles`, styles });
       const lyricsResults = await Promise.allSettled(
         styles.map(style => 
-          this.deepseekService.generateLyrics(repoAnalysis, style)
-            .then(lyrics => ({ style, lyrics }))
+          this.deepseekService.generateLyrics(repoAnalysis, style, { profile: profile.id, language: language.code })
+            .then(async lyrics => {
+              report('lyrics', { message: `Finished ${style} lyrics`, style });
+              const translation = options.translation && !language.english ? await this.translateLyrics(lyrics.structure, language) : null;
+              const promptTemplates = this.deepseekService.describePromptTemplates(lyrics.structure.style, { autoStyle: style === 'auto', names: ['lyrics-prompt'], repaired: lyrics.repaired, translated: Boolean(options.translation && !language.english) });
+              return { style, lyrics: lyrics.text, structure: lyrics.structure, validation: lyrics.validation, translation, promptTemplates };
+            })
         )
       );
+      throwIfCancelled(signal);
       
       const successfulLyrics = lyricsResults
         .filter(result => result.status === 'fulfilled')
@@ -79,30 +151,18 @@ class MusicGenerator {
         .map(result => result.reason);
 
       return {
-        repository: {
-          name: repoAnalysis.repository.name,
-          description: repoAnalysis.repository.description,
-          language: repoAnalysis.repository.language,
-          stars: repoAnalysis.repository.stars,
-          forks: repoAnalysis.repository.forks,
-          topics: repoAnalysis.repository.topics || []
-        },
-        fileStats: repoAnalysis.fileStats,
-        purpose: repoAnalysis.purpose,
-        themes: repoAnalysis.themes || [],
-        emotions: repoAnalysis.emotions || [],
-        technicalConcepts: repoAnalysis.technicalConcepts || [],
-        musicalMetaphors: repoAnalysis.musicalMetaphors || [],
-        keyFeatures: repoAnalysis.keyFeatures || [],
-        innovationLevel: repoAnalysis.innovationLevel || 'medium',
-        complexity: repoAnalysis.complexity || 'moderate',
-        userImpact: repoAnalysis.userImpact || '',
-        artisticInterpretation: repoAnalysis.artisticInterpretation || '',
-        selectedFiles: repoAnalysis.selectedFiles || [],
+        ...this.summarizeAnalysis(repoAnalysis),
         requestedStyles: styles,
+        profile: this.describeProfile(profile),
+        language: this.describeLanguage(language),
         musicPrompt,
         lyrics: successfulLyrics,
         errors: failedLyrics,
+        // The lyrics prompt of each style is recorded with its lyrics
+        promptTemplates: {
+          ...repoAnalysis.promptTemplates,
+          ...this.deepseekService.describePromptTemplates('auto', { names: ['music-prompt'] })
+        },
         generatedAt: new Date().toISOString()
       };
     } catch (error) {
@@ -111,6 +171,429 @@ class MusicGenerator {
     }
   }
 
+  // A concept album: the repository split into themes (AlbumPlanner), a
+  // running order and shared direction from the AI, then a music prompt and
+  // lyrics per track. Takes the generateFromRepo options plus options.tracks.
+  // Tracks are written one after another; a failed track is listed in errors
+  // and the album goes on without it.
+  async generateAlbum(repoUrl, musicStyle = 'electronic', options = {}) {
+    const { signal } = options;
+    const profile = this.profileRegistry.get(options.profile);
+    const language = resolveLanguage(options.language) || resolveLanguage();
+    const report = createProgressReporter(options.onProgress);
+
+    try {
+      const repoAnalysis = await this.githubScanner.analyzeRepository(repoUrl, options);
+      
+      let actualStyle = musicStyle;
+      if (musicStyle === 'auto') {
+        report('style', { message: 'Choosing the best music style' });
+        actualStyle = await this.deepseekService.determineBestMusicStyle(repoAnalysis);
+      }
+      report('style', { message: `Style: ${actualStyle}`, style: actualStyle });
+      throwIfCancelled(signal);
+      
+      const themes = this.albumPlanner.findThemes(repoAnalysis, options.tracks);
+      if (themes.length === 0) {
+        throw new Error('The repository has no subsystems or key features to build an album from');
+      }
+      
+      report('album', { message: `Planning ${themes.length} tracks`, tracks: themes.length });
+      const plan = await this.deepseekService.planAlbum(repoAnalysis, themes, actualStyle);
+      report('album', { message: `Album: ${plan.title}`, title: plan.title });
+      throwIfCancelled(signal);
+      
+      // The commit-history arc and the ensemble shape the opener only, so the
+      // other tracks do not retell the whole history
+      const trackAnalysis = { ...repoAnalysis, timeline: null, ensemble: null };
+      const album = { title: plan.title, direction: plan.direction, motifs: plan.motifs };
+      const tracks = [];
+      const errors = [];
+      let repaired = false;
+      
+      for (const [index, planned] of plan.tracks.entries()) {
+        const track = { ...planned, number: index + 1, total: plan.tracks.length, album };
+        report('track', { message: `Track ${track.number}: ${track.title}`, current: track.number, total: track.total });
+        
+        try {
+          const analysis = index === 0 ? repoAnalysis : trackAnalysis;
+          const musicPrompt = await this.deepseekService.generateMusicPrompt(analysis, actualStyle, profile.id, track);
+          throwIfCancelled(signal);
+          const lyrics = await this.deepseekService.generateLyrics(analysis, actualStyle, { profile: profile.id, language: language.code, track });
+          throwIfCancelled(signal);
+          const structure = { ...lyrics.structure, title: track.title };
+          repaired = repaired || lyrics.repaired;
+          
+          tracks.push({
+            number: track.number,
+            title: track.title,
+            theme: track.theme,
+            concept: track.concept,
+            mood: track.mood,
+            musicPrompt,
+            lyrics: lyrics.text,
+            lyricsStructure: structure,
+            lyricsValidation: lyrics.validation,
+            lyricsTranslation: options.translation && !language.english ? await this.translateLyrics(structure, language) : null
+          });
+        } catch (error) {
+          if (error.cancelled) {
+            throw error;
+          }
+          console.error(`Failed to write track ${track.number} (${track.title}):`, error.message);
+          errors.push({ number: track.number, title: track.title, error: error.message });
+        }
+      }
+      
+      if (tracks.length === 0) {
+        throw new Error(`No track could be written: ${errors[0].error}`);
+      }
+      
+      return {
+        ...this.summarizeAnalysis(repoAnalysis),
+        selectedStyle: actualStyle,
+        requestedStyle: musicStyle,
+        styleInstruments: this.styleRegistry.get(actualStyle).instruments,
+        profile: this.describeProfile(profile),
+        language: this.describeLanguage(language),
+        album: {
+          title: plan.title,
+          style: actualStyle,
+          direction: plan.direction,
+          motifs: plan.motifs,
+          linerNotes: plan.linerNotes,
+          tracks
+        },
+        errors,
+        promptTemplates: {
+          ...repoAnalysis.promptTemplates,
+          ...this.deepseekService.describePromptTemplates(actualStyle, { autoStyle: musicStyle === 'auto', names: ['album-plan', 'music-prompt', 'lyrics-prompt'], repaired, translated: Boolean(options.translation && !language.english) })
+        },
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error generating album:', error);
+      throw error;
+    }
+  }
+
+  // One duet or rap battle (mode 'duet' or 'battle') between two
+  // repositories, each analyzed as for generateFromRepo and given its own
+  // voice. Takes the generateFromRepo options; "auto" picks the mode's
+  // default style. The result carries both summaries, a side-by-side
+  // comparison, and a repository entry naming the pairing so history,
+  // revisions and exports treat it like any other song.
+  async generateDuet(repoUrls, musicStyle = 'auto', options = {}) {
+    const { signal } = options;
+    const mode = options.mode === 'battle' ? 'battle' : 'duet';
+    const profile = this.profileRegistry.get(options.profile);
+    const language = resolveLanguage(options.language) || resolveLanguage();
+    const report = createProgressReporter(options.onProgress);
+
+    try {
+      const analyses = [];
+      for (const [index, repoUrl] of repoUrls.entries()) {
+        report('duet', { message: `Analyzing ${repoUrl}`, current: index + 1, total: repoUrls.length });
+        analyses.push(await this.githubScanner.analyzeRepository(repoUrl, options));
+        throwIfCancelled(signal);
+      }
+      
+      const actualStyle = musicStyle === 'auto' ? DUET_STYLES[mode] : musicStyle;
+      report('style', { message: `Style: ${actualStyle}`, style: actualStyle });
+      
+      const comparison = this.repositoryComparer.compare(analyses[0], analyses[1]);
+      const [first, second] = comparison.voices.map(voice => voice.name);
+      report('duet', { message: `${first} and ${second} share ${comparison.shared.themes.length} themes and ${comparison.shared.technicalConcepts.length} technical concepts` });
+      
+      report('prompt', { message: 'Writing the music prompt' });
+      const musicPrompt = await this.deepseekService.generateDuetMusicPrompt(analyses, comparison, actualStyle, mode, profile.id);
+      throwIfCancelled(signal);
+      
+      report('lyrics', { message: `Writing the ${mode}${language.english ? '' : ` in ${language.name}`}`, style: actualStyle, language: language.code });
+      const lyrics = await this.deepseekService.generateDuetLyrics(analyses, comparison, actualStyle, mode, { profile: profile.id, language: language.code });
+      throwIfCancelled(signal);
+      
+      let lyricsTranslation = null;
+      if (options.translation && !language.english) {
+        report('translation', { message: 'Translating the lyrics into English' });
+        lyricsTranslation = await this.translateLyrics(lyrics.structure, language);
+      }
+      
+      const repositories = analyses.map(repoAnalysis => this.summarizeAnalysis(repoAnalysis));
+      const union = field => [...new Set(repositories.flatMap(summary => summary[field]))];
+      
+      return {
+        mode,
+        repository: {
+          name: `${first} ${mode === 'battle' ? 'vs' : '&'} ${second}`,
+          description: `A ${mode === 'battle' ? 'rap battle' : 'duet'} between ${first} and ${second}`,
+          language: [...new Set(repositories.map(summary => summary.repository.language).filter(Boolean))].join(' / ') || null,
+          topics: [],
+          source: 'duet'
+        },
+        repositories,
+        comparison,
+        purpose: repositories.map(summary => summary.purpose).join(' / '),
+        themes: union('themes'),
+        emotions: union('emotions'),
+        technicalConcepts: union('technicalConcepts'),
+        musicalMetaphors: union('musicalMetaphors'),
+        selectedStyle: actualStyle,
+        requestedStyle: musicStyle,
+        styleInstruments: this.styleRegistry.get(actualStyle).instruments,
+        profile: this.describeProfile(profile),
+        tags: this.exporter.buildTags(profile, actualStyle, { emotions: union('emotions'), musicPrompt }),
+        musicPrompt,
+        language: this.describeLanguage(language),
+        lyrics: lyrics.text,
+        lyricsStructure: lyrics.structure,
+        lyricsValidation: lyrics.validation,
+        lyricsTranslation,
+        // The analysis templates are recorded with each repository
+        promptTemplates: this.deepseekService.describePromptTemplates(actualStyle, { names: ['duet-music-prompt', 'duet-lyrics-prompt'], repaired: lyrics.repaired, translated: Boolean(options.translation && !language.english) }),
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error generating duet:', error);
+      throw error;
+    }
+  }
+
+  // What changed in a pull request or compare range (see ChangeScanner),
+  // without writing a song
+  async scanChanges(changeUrl, options = {}) {
+    try {
+      return await this.changeScanner.scanChanges(changeUrl, options);
+    } catch (error) {
+      console.error('Error scanning changes:', error);
+      throw error;
+    }
+  }
+
+  // A short changelog jingle about a pull request or a compare range. Takes
+  // the generateFromRepo options plus options.range (with a repository URL
+  // instead of a pull request or compare URL). The result has the usual
+  // song fields plus changes, release and summary.
+  async generateAnthem(changeUrl, musicStyle = 'auto', options = {}) {
+    const { signal } = options;
+    const profile = this.profileRegistry.get(options.profile);
+    const language = resolveLanguage(options.language) || resolveLanguage();
+    const report = createProgressReporter(options.onProgress);
+
+    try {
+      console.log(`Scanning changes: ${changeUrl}${options.range ? ` (${options.range})` : ''}`);
+      const changeSet = await this.changeScanner.scanChanges(changeUrl, options);
+      const { summary } = changeSet;
+      throwIfCancelled(signal);
+      
+      let actualStyle = musicStyle;
+      if (musicStyle === 'auto') {
+        report('style', { message: 'Choosing the best music style' });
+        actualStyle = await this.deepseekService.determineBestMusicStyle({
+          repository: changeSet.repository,
+          purpose: summary.summary,
+          themes: summary.themes,
+          emotions: summary.emotions,
+          technicalConcepts: summary.technicalConcepts,
+          complexity: CHANGE_COMPLEXITY[changeSet.changes.size],
+          innovationLevel: summary.changeType === 'feature' ? 'high' : 'medium',
+          artisticInterpretation: summary.headline
+        });
+      }
+      report('style', { message: `Style: ${actualStyle}`, style: actualStyle });
+      throwIfCancelled(signal);
+      
+      report('prompt', { message: 'Writing the music prompt' });
+      const musicPrompt = await this.deepseekService.generateJingleMusicPrompt(changeSet, actualStyle, profile.id);
+      throwIfCancelled(signal);
+      
+      report('lyrics', { message: `Writing the jingle${language.english ? '' : ` in ${language.name}`}`, style: actualStyle, language: language.code });
+      const lyrics = await this.deepseekService.generateJingleLyrics(changeSet, actualStyle, { profile: profile.id, language: language.code });
+      throwIfCancelled(signal);
+      
+      let lyricsTranslation = null;
+      if (options.translation && !language.english) {
+        report('translation', { message: 'Translating the lyrics into English' });
+        lyricsTranslation = await this.translateLyrics(lyrics.structure, language);
+      }
+      
+      return {
+        ...changeSet,
+        purpose: summary.summary,
+        themes: summary.themes,
+        emotions: summary.emotions,
+        technicalConcepts: summary.technicalConcepts,
+        musicalMetaphors: summary.musicalMetaphors,
+        selectedStyle: actualStyle,
+        requestedStyle: musicStyle,
+        styleInstruments: this.styleRegistry.get(actualStyle).instruments,
+        profile: this.describeProfile(profile),
+        tags: this.exporter.buildTags(profile, actualStyle, { emotions: summary.emotions, musicPrompt }),
+        musicPrompt,
+        language: this.describeLanguage(language),
+        lyrics: lyrics.text,
+        lyricsStructure: lyrics.structure,
+        lyricsValidation: lyrics.validation,
+        lyricsTranslation,
+        promptTemplates: {
+          ...changeSet.promptTemplates,
+          ...this.deepseekService.describePromptTemplates(actualStyle, { autoStyle: musicStyle === 'auto', names: ['jingle-music-prompt', 'jingle-lyrics-prompt'], repaired: lyrics.repaired, translated: Boolean(options.translation && !language.english) })
+        },
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error generating anthem:', error);
+      throw error;
+    }
+  }
+
+  exportAlbum(generation, profileId) {
+    return this.exporter.exportAlbum(generation, this.profileRegistry.get(profileId));
+  }
+
+  // The lyrics a revision or an export applies to: the single-style result,
+  // or the entry for the given style of a multi-style result. Plain-text
+  // lyrics from older results are parsed on the fly. Returns null when there
+  // are none.
+  getLyricsTarget(generation, style) {
+    if (Array.isArray(generation.lyrics)) {
+      const entry = generation.lyrics.find(item => item.style === style) || (style ? null : generation.lyrics[0]);
+      if (!entry) {
+        return null;
+      }
+      return { style: entry.style, structure: entry.structure || parseLyrics(entry.lyrics), translation: entry.translation || null };
+    }
+
+    if (!generation.lyricsStructure && !generation.lyrics) {
+      return null;
+    }
+    return {
+      style: generation.lyricsStructure?.style || generation.selectedStyle || style || 'electronic',
+      structure: generation.lyricsStructure || parseLyrics(generation.lyrics),
+      translation: generation.lyricsTranslation || null
+    };
+  }
+
+  // Rewrites one section of an existing generation. The generation's own
+  // analysis is the context, so the repository is not scanned again.
+  async reviseLyrics(generation, target, sectionIndex, instruction) {
+    try {
+      const section = target.structure.sections[sectionIndex];
+      console.log(`Revising ${section.label} of ${generation.repository.name}: ${instruction}`);
+      const options = { profile: generation.profile?.id, language: generation.language?.code };
+      const lyrics = await this.deepseekService.reviseLyricsSection(generation, target.structure, sectionIndex, instruction, target.style, options);
+
+      // A translated song gets the revised section translated again
+      let lyricsTranslation = target.translation;
+      if (target.translation) {
+        const revised = { sections: [lyrics.structure.sections[sectionIndex]] };
+        const translated = await this.translateLyrics(revised, resolveLanguage(options.language) || resolveLanguage());
+        lyricsTranslation = {
+          ...target.translation,
+          sections: target.translation.sections.map((section, index) =>
+            index === sectionIndex ? translated?.sections[0] || { ...section, aligned: false } : section)
+        };
+      }
+
+      return {
+        style: target.style,
+        lyrics: lyrics.text,
+        lyricsStructure: lyrics.structure,
+        lyricsValidation: lyrics.validation,
+        lyricsTranslation,
+        revision: {
+          section: sectionIndex,
+          label: section.label,
+          instruction,
+          previousLines: section.lines
+        },
+        promptTemplates: this.deepseekService.describePromptTemplates(target.style, { names: ['lyrics-revision'], translated: Boolean(target.translation) }),
+        revisedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Error revising lyrics:', error);
+      throw error;
+    }
+  }
+
+  // Renders the lyrics target of a generation as a file for an export
+  // profile (see Exporter for the formats)
+  exportGeneration(generation, target, profileId, format) {
+    return this.exporter.export(generation, target, this.profileRegistry.get(profileId), format);
+  }
+
+  // An optional English translation never fails the generation
+  async translateLyrics(structure, language) {
+    try {
+      return await this.deepseekService.translateLyrics(structure, language.code);
+    } catch (error) {
+      console.warn('Lyrics translation failed:', error.message);
+      return null;
+    }
+  }
+
+  // The analysis fields every result carries
+  summarizeAnalysis(repoAnalysis) {
+    return {
+      repository: {
+        name: repoAnalysis.repository.name,
+        description: repoAnalysis.repository.description,
+        language: repoAnalysis.repository.language,
+        stars: repoAnalysis.repository.stars,
+        forks: repoAnalysis.repository.forks,
+        topics: repoAnalysis.repository.topics || [],
+        source: repoAnalysis.repository.source,
+        ref: repoAnalysis.repository.ref,
+        commitSha: repoAnalysis.repository.commitSha,
+        subpath: repoAnalysis.repository.subpath
+      },
+      fileStats: repoAnalysis.fileStats,
+      purpose: repoAnalysis.purpose,
+      themes: repoAnalysis.themes || [],
+      emotions: repoAnalysis.emotions || [],
+      technicalConcepts: repoAnalysis.technicalConcepts || [],
+      musicalMetaphors: repoAnalysis.musicalMetaphors || [],
+      keyFeatures: repoAnalysis.keyFeatures || [],
+      innovationLevel: repoAnalysis.innovationLevel || 'medium',
+      complexity: repoAnalysis.complexity || 'moderate',
+      metrics: repoAnalysis.metrics || null,
+      timeline: repoAnalysis.timeline || null,
+      ensemble: repoAnalysis.ensemble || null,
+      userImpact: repoAnalysis.userImpact || '',
+      artisticInterpretation: repoAnalysis.artisticInterpretation || '',
+      selectedFiles: repoAnalysis.selectedFiles || [],
+      promptTemplates: repoAnalysis.promptTemplates || {},
+      analysisCache: repoAnalysis.cache
+    };
+  }
+
+  describeLanguage(language) {
+    return { code: language.code, name: language.name, nativeName: language.nativeName };
+  }
+
+  describeProfile(profile) {
+    return {
+      id: profile.id,
+      name: profile.name,
+      limits: profile.limits,
+      sectionMarker: profile.sectionMarker
+    };
+  }
+
+  // Style names that are neither "auto" nor in the style registry
+  findUnknownStyles(styles) {
+    return styles.filter(style => style !== 'auto' && !this.styleRegistry.has(style));
+  }
+
+  validateChangeUrl(url, range) {
+    try {
+      this.changeScanner.parseChangeUrl(url, range);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   validateRepoUrl(url) {
     try {
       this.githubScanner.parseRepoUrl(url);
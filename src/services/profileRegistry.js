@@ -0,0 +1,88 @@
+const path = require('path');
+const { loadConfigDirectory, findMissingFields } = require('../utils/configLoader');
+
+const BUILT_IN_DIR = path.join(__dirname, '..', '..', 'config', 'profiles');
+const DEFAULT_PROFILE = 'generic';
+const LIMITS = ['prompt', 'lyrics', 'title'];
+const METADATA_FIELDS = ['title', 'style', 'tags', 'repository', 'commit', 'language', 'generatedAt', 'profile'];
+
+// Export profiles for music-generation platforms, one JSON file per profile
+// in config/profiles (plus PROFILES_DIR, which overrides by id). A profile
+// sets the character limits generation aims for, the section marker lyrics
+// are rendered with, the tag vocabulary and the metadata fields exported.
+class ProfileRegistry {
+  constructor({ dirs = [BUILT_IN_DIR, process.env.PROFILES_DIR].filter(Boolean) } = {}) {
+    this.profiles = new Map();
+    for (const dir of dirs) {
+      for (const { id, file, config } of loadConfigDirectory(dir)) {
+        this.profiles.set(id, this.normalize(id, config, file));
+      }
+    }
+
+    this.defaultId = (process.env.DEFAULT_EXPORT_PROFILE || DEFAULT_PROFILE).toLowerCase();
+    if (!this.profiles.has(this.defaultId)) {
+      throw new Error(`Default export profile "${this.defaultId}" not found in ${dirs.join(', ')}`);
+    }
+  }
+
+  normalize(id, config, file) {
+    const missing = findMissingFields(config, ['name']);
+    if (missing.length > 0) {
+      throw new Error(`Invalid profile file ${file}: missing ${missing.join(', ')}`);
+    }
+
+    const limits = config.limits || {};
+    for (const limit of LIMITS) {
+      if (!Number.isInteger(limits[limit]) || limits[limit] <= 0) {
+        throw new Error(`Invalid profile file ${file}: limits.${limit} must be a positive integer`);
+      }
+    }
+
+    const sectionMarker = config.sectionMarker || '[{label}]';
+    if (!sectionMarker.includes('{label}')) {
+      throw new Error(`Invalid profile file ${file}: sectionMarker must contain {label}`);
+    }
+
+    const metadata = config.metadata || ['title', 'style', 'tags'];
+    const unknown = metadata.filter(field => !METADATA_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid profile file ${file}: unknown metadata fields ${unknown.join(', ')}`);
+    }
+
+    return {
+      id,
+      name: config.name,
+      order: Number.isFinite(config.order) ? config.order : Infinity,
+      description: config.description || '',
+      limits: { prompt: limits.prompt, lyrics: limits.lyrics, title: limits.title },
+      sectionMarker,
+      tags: {
+        vocabulary: (config.tags?.vocabulary || []).map(tag => tag.toLowerCase()),
+        max: config.tags?.max || 6,
+        separator: config.tags?.separator || ', '
+      },
+      metadata
+    };
+  }
+
+  list() {
+    return [...this.profiles.values()].sort((a, b) => a.order - b.order || a.id.localeCompare(b.id));
+  }
+
+  has(id) {
+    return this.profiles.has(String(id).toLowerCase());
+  }
+
+  // Unknown or missing ids resolve to the default profile
+  get(id) {
+    return this.profiles.get(String(id || this.defaultId).toLowerCase()) || this.profiles.get(this.defaultId);
+  }
+
+  // Public view for the API and the UI
+  describe(profile) {
+    const { order, ...rest } = profile;
+    return { ...rest, default: profile.id === this.defaultId };
+  }
+}
+
+module.exports = ProfileRegistry;
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { parseTemplate, renderTemplate, findPartials } = require('../utils/promptTemplate');
+
+const BUILT_IN_DIR = path.join(__dirname, '..', '..', 'config', 'prompts');
+const PARTIALS_DIR = 'partials';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// v2.txt, or v2.hip-hop.txt for the hip-hop override of version 2
+const VERSION_FILE_PATTERN = /^v(\d+)(?:\.([a-z0-9][a-z0-9-]*))?\.txt$/;
+
+// Prompt templates loaded from text files, one directory per template:
+// config/prompts/lyrics-prompt/v1.txt is version 1 of "lyrics-prompt", and
+// v1.jazz.txt next to it replaces that version for the jazz style. Partials
+// live in config/prompts/partials/<name>.txt. The highest version of each
+// template is used unless PROMPT_VERSIONS pins another
+// ("lyrics-prompt=v1,music-prompt=v2"). Files in PROMPTS_DIR are loaded after
+// the built-in ones and replace templates and partials with the same name.
+class PromptLibrary {
+  constructor({ dirs = [BUILT_IN_DIR, process.env.PROMPTS_DIR].filter(Boolean), pins = process.env.PROMPT_VERSIONS } = {}) {
+    this.templates = new Map();
+    this.partials = new Map();
+    for (const dir of dirs) {
+      this.loadDirectory(dir);
+    }
+
+    if (this.templates.size === 0) {
+      throw new Error(`No prompt templates found in ${dirs.join(', ')}`);
+    }
+    this.active = this.resolvePins(pins);
+    this.checkPartials();
+  }
+
+  loadDirectory(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+      if (!NAME_PATTERN.test(entry.name)) {
+        throw new Error(`Invalid prompt template directory ${path.join(dir, entry.name)}: "${entry.name}" is not a valid name`);
+      }
+
+      const templateDir = path.join(dir, entry.name);
+      for (const name of fs.readdirSync(templateDir).filter(file => file.endsWith('.txt')).sort()) {
+        const file = path.join(templateDir, name);
+        if (entry.name === PARTIALS_DIR) {
+          this.partials.set(path.basename(name, '.txt'), this.readTemplate(file));
+          continue;
+        }
+
+        const match = name.match(VERSION_FILE_PATTERN);
+        if (!match) {
+          throw new Error(`Invalid prompt template file ${file}: expected v<number>.txt or v<number>.<style>.txt`);
+        }
+        const [, version, style] = match;
+        const versions = this.templates.get(entry.name) || new Map();
+        const entryForVersion = versions.get(Number(version)) || { base: null, styles: new Map() };
+        const template = { name: entry.name, version: Number(version), style: style || null, file, nodes: this.readTemplate(file) };
+        if (style) {
+          entryForVersion.styles.set(style, template);
+        } else {
+          entryForVersion.base = template;
+        }
+        versions.set(Number(version), entryForVersion);
+        this.templates.set(entry.name, versions);
+      }
+    }
+  }
+
+  // A single trailing newline is dropped, so "{{> partial}}" on its own line
+  // and the end of a prompt stay as written
+  readTemplate(file) {
+    return parseTemplate(fs.readFileSync(file, 'utf8').replace(/\r?\n$/, ''), file);
+  }
+
+  // The version used for each template: the pinned one or the highest
+  resolvePins(pins) {
+    const pinned = new Map(String(pins || '').split(',').map(pin => pin.trim()).filter(Boolean).map(pin => {
+      const [name, version] = pin.split('=').map(part => part.trim());
+      if (!this.templates.has(name)) {
+        throw new Error(`PROMPT_VERSIONS pins unknown prompt template "${name}"`);
+      }
+      return [name, Number(String(version).replace(/^v/, ''))];
+    }));
+
+    const active = new Map();
+    for (const [name, versions] of this.templates) {
+      for (const [version, { base, styles }] of versions) {
+        if (!base) {
+          throw new Error(`Prompt template ${name} has style overrides for v${version} (${[...styles.keys()].join(', ')}) but no v${version}.txt`);
+        }
+      }
+
+      const version = pinned.has(name) ? pinned.get(name) : Math.max(...versions.keys());
+      if (!versions.has(version)) {
+        throw new Error(`PROMPT_VERSIONS pins ${name} to v${version}, which does not exist`);
+      }
+      active.set(name, version);
+    }
+    return active;
+  }
+
+  checkPartials() {
+    const sources = [...this.partials].map(([name, nodes]) => ({ file: `partial "${name}"`, nodes }));
+    for (const versions of this.templates.values()) {
+      for (const { base, styles } of versions.values()) {
+        sources.push(base, ...styles.values());
+      }
+    }
+
+    for (const { file, nodes } of sources) {
+      const missing = findPartials(nodes).filter(name => !this.partials.has(name));
+      if (missing.length > 0) {
+        throw new Error(`Prompt template ${file} uses unknown partial "${missing[0]}"`);
+      }
+    }
+  }
+
+  // The template used for name and, if it has an override, style
+  resolve(name, style = null) {
+    if (!this.templates.has(name)) {
+      throw new Error(`Unknown prompt template "${name}"`);
+    }
+    const { base, styles } = this.templates.get(name).get(this.active.get(name));
+    return (style && styles.get(String(style).toLowerCase())) || base;
+  }
+
+  render(name, values, { style = null } = {}) {
+    const template = this.resolve(name, style);
+    return renderTemplate(template.nodes, values, partial => this.partials.get(partial), template.file).trim();
+  }
+
+  // "v2", or "v2.jazz" for a style override; results record it per template
+  describe(name, style = null) {
+    const template = this.resolve(name, style);
+    return `v${template.version}${template.style ? `.${template.style}` : ''}`;
+  }
+
+  // Public view for the API: every template with its versions, overrides
+  // and the version in use
+  list() {
+    return [...this.templates].sort(([a], [b]) => a.localeCompare(b)).map(([name, versions]) => ({
+      name,
+      active: `v${this.active.get(name)}`,
+      versions: [...versions].sort(([a], [b]) => a - b).map(([version, { styles }]) => ({
+        version: `v${version}`,
+        styles: [...styles.keys()].sort()
+      }))
+    }));
+  }
+}
+
+module.exports = PromptLibrary;
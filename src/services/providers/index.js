@@ -0,0 +1,68 @@
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const OllamaProvider = require('./ollamaProvider');
+const MockProvider = require('./mockProvider');
+const { cassetteProvider } = require('../../utils/cassette');
+
+// Every provider implements chat(messages, { model, maxTokens, temperature, json })
+// and exposes `models.chat` (creative writing) and `models.analysis` (JSON analysis).
+// With CASSETTE_MODE set, chat completions are recorded or replayed.
+function createProvider(name = process.env.LLM_PROVIDER) {
+  return cassetteProvider(() => buildProvider(name));
+}
+
+function buildProvider(name) {
+  if (!name) {
+    if (process.env.DEEPSEEK_API_KEY) {
+      name = 'deepseek';
+    } else {
+      console.warn('No LLM_PROVIDER or DEEPSEEK_API_KEY configured, using the offline mock provider');
+      name = 'mock';
+    }
+  }
+
+  switch (name.toLowerCase()) {
+    case 'deepseek':
+      if (!process.env.DEEPSEEK_API_KEY) {
+        throw new Error('DEEPSEEK_API_KEY environment variable is required for the deepseek provider');
+      }
+      return new OpenAICompatibleProvider({
+        name: 'DeepSeek',
+        baseURL: process.env.LLM_BASE_URL || 'https://api.deepseek.com/v1',
+        apiKey: process.env.DEEPSEEK_API_KEY,
+        models: {
+          chat: process.env.LLM_MODEL || 'deepseek-chat',
+          analysis: process.env.LLM_ANALYSIS_MODEL || 'deepseek-coder'
+        }
+      });
+
+    case 'openai':
+      if (!process.env.LLM_MODEL) {
+        throw new Error('LLM_MODEL environment variable is required for the openai provider');
+      }
+      return new OpenAICompatibleProvider({
+        baseURL: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.LLM_API_KEY,
+        models: {
+          chat: process.env.LLM_MODEL,
+          analysis: process.env.LLM_ANALYSIS_MODEL || process.env.LLM_MODEL
+        }
+      });
+
+    case 'ollama':
+      return new OllamaProvider({
+        baseURL: process.env.LLM_BASE_URL || undefined,
+        models: {
+          chat: process.env.LLM_MODEL || 'llama3.1',
+          analysis: process.env.LLM_ANALYSIS_MODEL || process.env.LLM_MODEL || 'llama3.1'
+        }
+      });
+
+    case 'mock':
+      return new MockProvider();
+
+    default:
+      throw new Error(`Unknown LLM provider: ${name}. Use deepseek, openai, ollama or mock`);
+  }
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,147 @@
+// Deterministic offline provider. It never calls the network and answers every
+// prompt from its text alone, so the same repository always produces the same
+// output. Useful for local development, demos and tests.
+class MockProvider {
+  constructor() {
+    this.name = 'Mock';
+    this.models = { chat: 'mock', analysis: 'mock' };
+  }
+
+  async chat(messages, { json = false } = {}) {
+    const prompt = messages[messages.length - 1].content;
+    return json ? JSON.stringify(this.respondJSON(prompt)) : this.respondText(prompt);
+  }
+
+  respondJSON(prompt) {
+    // Translations list each section as "[Label] (N lines)" followed by its lines
+    if (/song lyrics into english/i.test(prompt)) {
+      const sections = prompt.split(/^\[.+\] \(\d+ lines?\)$/m).slice(1)
+        .map(block => block.trim().split('\n').filter(Boolean).map(line => `(English) ${line}`));
+      return { sections };
+    }
+
+    // Album plans list their themes as "- Theme N: description"; the running order is the listed order
+    if (/plan a concept album/i.test(prompt)) {
+      const name = this.extractName(prompt);
+      const themes = [...prompt.matchAll(/^- Theme (\d+): (?:the feature "([^"]+)"|the (\S+) part)/gm)];
+      return {
+        title: `Songs from ${name}`,
+        direction: 'Warm analog synths throughout, each track adding one layer to the last',
+        motifs: ['line by line', 'the build turns green'],
+        linerNotes: `${name}, told in ${themes.length} tracks: one for each part of the code that makes it work.`,
+        tracks: themes.map(([, number, feature, directory]) => ({
+          theme: Number(number),
+          title: `The ${feature || directory} Song`,
+          concept: `What ${feature || directory} does for ${name}`,
+          mood: 'steady'
+        }))
+      };
+    }
+
+    // Change summaries list commit messages as "- message" under "Commit messages:"
+    if (/summarize these code changes/i.test(prompt)) {
+      const name = this.extractName(prompt);
+      const messages = (prompt.match(/^Commit messages:\n((?:- .*\n?)*)/m)?.[1] || '')
+        .split('\n').map(line => line.replace(/^- /, '').trim()).filter(line => line && line !== 'none');
+      return {
+        headline: messages[0] || `Fresh changes for ${name}`,
+        summary: `${name} moves forward with ${messages.length} commits, each one a small step the mock provider can hum along to.`,
+        changeType: 'mixed',
+        highlights: messages.slice(0, 5),
+        themes: ['progress', 'iteration', 'teamwork'],
+        emotions: ['proud', 'relieved', 'upbeat'],
+        technicalConcepts: ['diffs', 'commits', 'review'],
+        musicalMetaphors: ['each commit a drum hit', 'the merge as the final chord']
+      };
+    }
+
+    // File selection prompts list candidates as "1. path/to/file (type, ...)"
+    const listedFiles = [...prompt.matchAll(/^\d+\. (\S+) \(/gm)].map(match => match[1]);
+    if (listedFiles.length > 0) {
+      return listedFiles.slice(0, 12);
+    }
+
+    const name = this.extractName(prompt);
+    return {
+      purpose: `${name} is a software project explored offline by the mock provider`,
+      themes: ['structure', 'iteration', 'collaboration'],
+      emotions: ['curious', 'steady', 'hopeful'],
+      technicalConcepts: ['modules', 'interfaces', 'data flow'],
+      musicalMetaphors: ['modules as instruments', 'interfaces as harmony', 'data flow as rhythm'],
+      keyFeatures: ['modular design', 'clear entry point', 'readable code'],
+      innovationLevel: 'medium',
+      complexity: 'moderate',
+      userImpact: `Developers use ${name} to get their work done`,
+      artisticInterpretation: `${name} as a small ensemble finding its groove`
+    };
+  }
+
+  respondText(prompt) {
+    if (/respond with only the style name/i.test(prompt)) {
+      return 'electronic';
+    }
+
+    const name = this.extractName(prompt);
+
+    // Lyrics repairs list the wanted sections as "- [Label]"
+    if (/write only the missing sections/i.test(prompt)) {
+      return [...prompt.matchAll(/^- \[(.+)\]$/gm)]
+        .map(([, label]) => `[${label}]\nOne more ${label.toLowerCase()} for ${name}\nSung again from the top of the stack`)
+        .join('\n\n');
+    }
+
+    const revision = prompt.match(/^Section to rewrite: \[(.+)\].*\nInstruction: (.+)$/m);
+    if (revision) {
+      const [, label, instruction] = revision;
+      return `[${label}]\nRewritten for ${name}: ${instruction}\nThe rest of the song still hums along`;
+    }
+
+    // Duets and battles introduce their singers as "Voice N - name"
+    const voices = [...prompt.matchAll(/^Voice \d - ([^:\n]+)$/gm)].map(match => match[1]);
+    if (voices.length === 2 && /song lyrics/i.test(prompt)) {
+      const [first, second] = voices;
+      const chorus = ['[Chorus: Both]', `${first} and ${second}, two ways to ship the same dream`, 'Different code, one stream'];
+      return [
+        `[Verse 1: ${first}]`, `I'm ${first}, every module in its place`, 'Tested, typed and ready for the race',
+        '', `[Verse 2: ${second}]`, `I'm ${second}, I do it my own way`, 'Lighter on my feet and here to stay',
+        '', ...chorus,
+        '', `[Verse 3: ${first}]`, 'My interfaces hold when the traffic gets loud', `Step back, ${second}, I was built for a crowd`,
+        '', `[Verse 4: ${second}]`, 'You can keep the weight, I keep the flow', `Every release, ${first}, you are moving slow`,
+        '', ...chorus,
+        '', '[Outro: Both]', 'Same stack, two voices, one song'
+      ].join('\n');
+    }
+
+    if (/song lyrics/i.test(prompt)) {
+      return [
+        '[Verse 1]',
+        `In the quiet of the terminal, ${name} starts to hum`,
+        'Every module finds its place, every function has its drum',
+        '',
+        '[Chorus]',
+        `Play it back, ${name}, let the data flow`,
+        'Line by line we build the song that only coders know',
+        '',
+        '[Verse 2]',
+        'Interfaces like harmonies, holding hands across the code',
+        'Every commit is a footstep on a long and winding road',
+        '',
+        '[Bridge]',
+        'When the build breaks down we tune it up again',
+        '',
+        '[Outro]',
+        `${name}, still running, till the very end`
+      ].join('\n');
+    }
+
+    return `A steady, modular track inspired by ${name}: layered synth arpeggios for its modules, ` +
+      'a clean mid-tempo beat for its data flow and warm pads that resolve like a passing build.';
+  }
+
+  extractName(prompt) {
+    const match = prompt.match(/(?:Name|Repository):\s*"?([^"\n-][^"\n]*?)"?(?:\s+-\s+|\n|$)/);
+    return match ? match[1].trim() : 'the repository';
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,43 @@
+const axios = require('axios');
+const { getGuard, readSetting } = require('../../utils/resilience');
+
+// Talks to a local Ollama server through its native /api/chat endpoint.
+class OllamaProvider {
+  constructor({ baseURL = 'http://localhost:11434', models = {} } = {}) {
+    this.name = 'Ollama';
+    this.baseURL = baseURL.replace(/\/+$/, '');
+    this.models = models;
+    this.guard = getGuard('llm', { label: 'Ollama', timeoutMs: readSetting('LLM_TIMEOUT_MS', 120000, { min: 1 }) });
+  }
+
+  async chat(messages, { model, maxTokens, temperature, json = false } = {}) {
+    try {
+      const response = await this.guard.call(signal => axios.post(`${this.baseURL}/api/chat`, {
+        model: model || this.models.chat,
+        messages,
+        stream: false,
+        ...(json ? { format: 'json' } : {}),
+        options: {
+          num_predict: maxTokens,
+          temperature
+        }
+      }, { signal }));
+
+      return response.data.message.content;
+    } catch (error) {
+      // A cancelled job must still look cancelled to the pipeline
+      if (error.cancelled) {
+        throw error;
+      }
+      if (error.response) {
+        throw new Error(`Ollama API error: ${error.response.status} - ${error.response.data?.error || error.response.statusText}`);
+      } else if (error.request) {
+        throw new Error(`No response from Ollama at ${this.baseURL} - is the server running?`);
+      } else {
+        throw new Error(`Ollama API request failed: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,50 @@
+const axios = require('axios');
+const { getGuard, readSetting } = require('../../utils/resilience');
+
+// Talks to any endpoint that implements the OpenAI chat completions API
+// (DeepSeek, OpenAI, OpenRouter, LM Studio, vLLM, ...).
+class OpenAICompatibleProvider {
+  constructor({ name = 'OpenAI-compatible', baseURL, apiKey, models = {} }) {
+    if (!baseURL) {
+      throw new Error(`${name} provider requires a base URL`);
+    }
+
+    this.name = name;
+    this.baseURL = baseURL.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.models = models;
+    this.guard = getGuard('llm', { label: name, timeoutMs: readSetting('LLM_TIMEOUT_MS', 120000, { min: 1 }) });
+  }
+
+  async chat(messages, { model, maxTokens, temperature } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await this.guard.call(signal => axios.post(`${this.baseURL}/chat/completions`, {
+        model: model || this.models.chat,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      }, { headers, signal }));
+
+      return response.data.choices[0].message.content;
+    } catch (error) {
+      // A cancelled job must still look cancelled to the pipeline
+      if (error.cancelled) {
+        throw error;
+      }
+      if (error.response) {
+        throw new Error(`${this.name} API error: ${error.response.status} - ${error.response.data?.error?.message || error.response.statusText}`);
+      } else if (error.request) {
+        throw new Error(`No response from ${this.name} API`);
+      } else {
+        throw new Error(`${this.name} API request failed: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,99 @@
+const COMPLEXITY_ORDER = ['simple', 'moderate', 'complex'];
+
+// How each side sings, from its complexity
+const VOICE_DELIVERY = {
+  simple: 'light, direct delivery with short lines',
+  moderate: 'steady, measured delivery',
+  complex: 'dense, intricate delivery with long runs of syllables'
+};
+
+// The rows of the side-by-side table: [field, label, value of one analysis]
+const ROWS = [
+  ['purpose', 'Purpose', analysis => analysis.purpose],
+  ['language', 'Language', analysis => analysis.repository.language],
+  ['stars', 'Stars', analysis => analysis.repository.stars],
+  ['forks', 'Forks', analysis => analysis.repository.forks],
+  ['files', 'Files', analysis => analysis.fileStats?.total],
+  ['complexity', 'Complexity', analysis => analysis.complexity],
+  ['innovationLevel', 'Innovation', analysis => analysis.innovationLevel],
+  ['themes', 'Themes', analysis => analysis.themes],
+  ['technicalConcepts', 'Technical Concepts', analysis => analysis.technicalConcepts],
+  ['emotions', 'Emotions', analysis => analysis.emotions],
+  ['keyFeatures', 'Key Features', analysis => analysis.keyFeatures],
+  ['codeLines', 'Lines of Code', analysis => analysis.metrics?.codeLines],
+  ['functions', 'Functions', analysis => analysis.metrics?.functions],
+  ['avgCyclomatic', 'Avg. Cyclomatic Complexity', analysis => analysis.metrics?.avgCyclomatic],
+  ['commits', 'Commits', analysis => analysis.timeline?.totalCommits],
+  ['contributors', 'Contributors', analysis => analysis.ensemble?.contributorCount]
+];
+
+// Lists matched between the two sides. Matching is by wording (case and
+// spacing ignored), so two analyses only share what they phrase alike.
+const MATCHED_FIELDS = ['themes', 'technicalConcepts', 'emotions', 'keyFeatures'];
+
+const normalize = value => String(value).toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+
+// Side-by-side comparison of two repository analyses for duets and battles:
+// one voice per repository, the same fields for both, and what they have in
+// common or only one of them has.
+class RepositoryComparer {
+  compare(first, second) {
+    const analyses = [first, second];
+
+    const rows = ROWS
+      .map(([field, label, read]) => ({ field, label, values: analyses.map(analysis => read(analysis) ?? null) }))
+      .filter(row => row.values.some(value => value !== null));
+
+    const shared = {};
+    const unique = [{}, {}];
+    for (const field of MATCHED_FIELDS) {
+      const [left, right] = analyses.map(analysis => [...new Set(analysis[field] || [])]);
+      const rightKeys = new Set(right.map(normalize));
+      const leftKeys = new Set(left.map(normalize));
+      shared[field] = left.filter(value => rightKeys.has(normalize(value)));
+      unique[0][field] = left.filter(value => !rightKeys.has(normalize(value)));
+      unique[1][field] = right.filter(value => !leftKeys.has(normalize(value)));
+    }
+
+    return {
+      voices: this.assignVoices(analyses),
+      rows,
+      shared,
+      unique,
+      complexity: this.compareComplexity(first.complexity, second.complexity)
+    };
+  }
+
+  // Voice names are what the lyrics label sections with, so they have to
+  // differ: the same repository at two refs is told apart by its ref
+  assignVoices(analyses) {
+    const names = analyses.map(analysis => analysis.repository.name);
+    if (names[0] === names[1]) {
+      analyses.forEach((analysis, index) => {
+        names[index] = analysis.repository.ref && analysis.repository.ref !== analyses[1 - index].repository.ref
+          ? `${analysis.repository.name}@${analysis.repository.ref}`
+          : `${analysis.repository.name} (${index + 1})`;
+      });
+    }
+
+    return analyses.map((analysis, index) => ({
+      name: names[index],
+      repository: analysis.repository.name,
+      complexity: analysis.complexity || 'moderate',
+      delivery: VOICE_DELIVERY[analysis.complexity] || VOICE_DELIVERY.moderate,
+      emotions: (analysis.emotions || []).slice(0, 2)
+    }));
+  }
+
+  // Returns { values, more }: more is the index of the more complex side, or
+  // null when both are rated the same (or a rating is not on the scale)
+  compareComplexity(first, second) {
+    const [left, right] = [first, second].map(level => COMPLEXITY_ORDER.indexOf(level));
+    return {
+      values: [first || null, second || null],
+      more: left === right || left === -1 || right === -1 ? null : (left > right ? 0 : 1)
+    };
+  }
+}
+
+module.exports = RepositoryComparer;
@@ -0,0 +1,97 @@
+const fs = require('fs/promises');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const tar = require('tar');
+
+const ARCHIVE_PATTERNS = {
+  zip: /\.zip$/i,
+  tar: /\.(tar|tar\.gz|tgz)$/i
+};
+
+// Caps on what an archive may expand to. The upload limit only bounds the
+// compressed size, and a small archive can unpack to gigabytes.
+const readLimits = () => ({
+  maxBytes: parseInt(process.env.UPLOAD_MAX_EXTRACTED_BYTES, 10) || 500 * 1024 * 1024,
+  maxEntries: parseInt(process.env.UPLOAD_MAX_ENTRIES, 10) || 20000
+});
+
+// Sizes are the uncompressed sizes from the archive headers, summed before
+// anything is written
+function checkLimits(entries, { maxBytes, maxEntries }) {
+  if (entries.length > maxEntries) {
+    throw new Error(`Archive has more than ${maxEntries} entries`);
+  }
+  const totalBytes = entries.reduce((sum, size) => sum + size, 0);
+  if (totalBytes > maxBytes) {
+    throw new Error(`Archive expands to ${totalBytes} bytes, more than the limit of ${maxBytes}`);
+  }
+}
+
+async function listTarSizes(archivePath) {
+  const sizes = [];
+  await tar.t({ file: archivePath, onentry: entry => sizes.push(entry.size || 0) });
+  return sizes;
+}
+
+// Uploaded trees are never git repositories: a .git directory (or a .git file
+// pointing elsewhere) could carry config that makes git run its own programs
+async function removeGitMetadata(dir) {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.name === '.git') {
+      await fs.rm(entryPath, { recursive: true, force: true });
+    } else if (entry.isDirectory()) {
+      await removeGitMetadata(entryPath);
+    }
+  }
+}
+
+function detectArchiveType(fileName) {
+  for (const [type, pattern] of Object.entries(ARCHIVE_PATTERNS)) {
+    if (pattern.test(fileName)) {
+      return type;
+    }
+  }
+  return null;
+}
+
+// Extracts a .zip, .tar, .tar.gz or .tgz into destDir and returns the directory
+// holding the project. Archives like GitHub's "Download ZIP" wrap everything in
+// a single top-level folder; that folder is returned instead of destDir.
+// Git metadata in the archive is removed after extraction.
+async function extractArchive(archivePath, originalName, destDir, limits = readLimits()) {
+  const type = detectArchiveType(originalName);
+  if (!type) {
+    throw new Error('Unsupported archive format. Upload a .zip, .tar, .tar.gz or .tgz file');
+  }
+
+  await fs.mkdir(destDir, { recursive: true });
+
+  try {
+    if (type === 'zip') {
+      const zip = new AdmZip(archivePath);
+      for (const entry of zip.getEntries()) {
+        const target = path.resolve(destDir, entry.entryName);
+        if (!target.startsWith(path.resolve(destDir) + path.sep)) {
+          throw new Error(`Archive entry escapes the extraction directory: ${entry.entryName}`);
+        }
+      }
+      checkLimits(zip.getEntries().map(entry => entry.header.size), limits);
+      zip.extractAllTo(destDir, true);
+    } else {
+      checkLimits(await listTarSizes(archivePath), limits);
+      await tar.x({ file: archivePath, cwd: destDir });
+    }
+    await removeGitMetadata(destDir);
+  } catch (error) {
+    throw new Error(`Failed to extract archive: ${error.message}`);
+  }
+
+  const entries = await fs.readdir(destDir, { withFileTypes: true });
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    return path.join(destDir, entries[0].name);
+  }
+  return destDir;
+}
+
+module.exports = { extractArchive, detectArchiveType };
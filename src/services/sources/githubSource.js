@@ -0,0 +1,424 @@
+const { IgnoreRules, filterFiles } = require('../../utils/fileFilter');
+const { getGuard } = require('../../utils/resilience');
+const { getCassette } = require('../../utils/cassette');
+
+// .gitignore files beyond this many are not fetched; their rules are rarely worth the requests
+const MAX_GITIGNORE_FILES = 20;
+// Changed files listed for a pull request; the API stops at 3000 anyway
+const MAX_CHANGED_FILES = 300;
+
+// Repository source backed by the GitHub REST API.
+class GitHubSource {
+  constructor(octokit, { owner, repo, ref, refPath }) {
+    this.octokit = octokit;
+    this.owner = owner;
+    this.repo = repo;
+    this.ref = ref;
+    this.refPath = refPath;
+    this.type = 'github';
+  }
+
+  // Pins the ref to a commit SHA and splits "tree/<ref>/<subpath>" URLs. Since
+  // branch and tag names may contain slashes, prefixes of the path are tried
+  // shortest first until GitHub recognizes one as a ref.
+  async resolveTarget(defaultBranch) {
+    if (this.target) {
+      return this.target;
+    }
+
+    const candidates = [];
+    if (this.refPath) {
+      const segments = this.refPath.split('/');
+      for (let i = 1; i <= segments.length; i++) {
+        candidates.push({
+          ref: segments.slice(0, i).join('/'),
+          subpath: segments.slice(i).join('/') || null
+        });
+      }
+    } else {
+      candidates.push({ ref: this.ref || defaultBranch, subpath: null });
+    }
+
+    for (const candidate of candidates) {
+      try {
+        const { data } = await this.octokit.repos.getCommit({
+          owner: this.owner,
+          repo: this.repo,
+          ref: candidate.ref
+        });
+        this.target = { ...candidate, commitSha: data.sha };
+        return this.target;
+      } catch (error) {
+        if (error.status !== 404 && error.status !== 422) {
+          throw new Error(`Failed to resolve ref ${candidate.ref}: ${error.message}`);
+        }
+      }
+    }
+
+    throw new Error(`Ref not found in ${this.owner}/${this.repo}: ${this.refPath || this.ref}`);
+  }
+
+  async getRepositoryInfo() {
+    if (this.info) {
+      return this.info;
+    }
+
+    let info;
+    try {
+      const { data } = await this.octokit.repos.get({
+        owner: this.owner,
+        repo: this.repo
+      });
+      info = {
+        name: data.name,
+        fullName: data.full_name,
+        description: data.description,
+        language: data.language,
+        stars: data.stargazers_count,
+        forks: data.forks_count,
+        topics: data.topics || [],
+        defaultBranch: data.default_branch
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch repository info: ${error.message}`);
+    }
+
+    const { ref, commitSha, subpath } = await this.resolveTarget(info.defaultBranch);
+    this.info = { ...info, ref, commitSha, subpath };
+    return this.info;
+  }
+
+  // Lists the whole tree with a single recursive git trees call, then applies
+  // ignore rules, binary detection and the scan limits.
+  async getRepositoryFiles() {
+    try {
+      const { commitSha, subpath } = await this.getRepositoryInfo();
+      const { data } = await this.octokit.git.getTree({
+        owner: this.owner,
+        repo: this.repo,
+        tree_sha: commitSha,
+        recursive: 'true'
+      });
+
+      if (data.truncated) {
+        console.warn(`Tree listing for ${this.owner}/${this.repo} was truncated by GitHub, scanning a partial tree`);
+      }
+
+      const files = data.tree
+        .filter(item => item.type === 'blob')
+        .map(item => ({
+          name: item.path.split('/').pop(),
+          path: item.path,
+          size: item.size,
+          download_url: this.getRawUrl(commitSha, item.path)
+        }));
+
+      // .gitignore files above the subpath still apply inside it
+      const rules = await this.loadIgnoreRules(files.filter(file =>
+        !subpath || this.isWithin(file.path, subpath) || subpath.startsWith(file.path.replace(/\.gitignore$/, ''))
+      ));
+      const scopedFiles = subpath ? files.filter(file => this.isWithin(file.path, subpath)) : files;
+      if (subpath && scopedFiles.length === 0) {
+        throw new Error(`Path not found: ${subpath}`);
+      }
+      const { files: kept, summary } = filterFiles(scopedFiles, rules);
+      this.listingSummary = { ...summary, truncated: Boolean(data.truncated) };
+
+      return kept;
+    } catch (error) {
+      throw new Error(`Failed to fetch repository files: ${error.message}`);
+    }
+  }
+
+  async loadIgnoreRules(files) {
+    const rules = new IgnoreRules();
+    const gitignores = files
+      .filter(file => file.name === '.gitignore')
+      .slice(0, MAX_GITIGNORE_FILES);
+
+    for (const file of gitignores) {
+      try {
+        const baseDir = file.path.split('/').slice(0, -1).join('/');
+        rules.addGitignore(await this.getFileContent(file), baseDir);
+      } catch (error) {
+        console.warn(`Failed to read ${file.path}: ${error.message}`);
+      }
+    }
+
+    return rules;
+  }
+
+  isWithin(filePath, subpath) {
+    return filePath === subpath || filePath.startsWith(`${subpath}/`);
+  }
+
+  getRawUrl(ref, filePath) {
+    const encode = value => value.split('/').map(encodeURIComponent).join('/');
+    return `https://raw.githubusercontent.com/${this.owner}/${this.repo}/${encode(ref)}/${encode(filePath)}`;
+  }
+
+  // Commits reachable from the pinned commit (limited to the subpath, if
+  // any), newest first, plus releases and tags. Only the newest maxCommits
+  // are listed; the founding commit is then read from the last page.
+  async getHistory({ maxCommits = 500 } = {}) {
+    const { commitSha, subpath } = await this.getRepositoryInfo();
+    const scope = { owner: this.owner, repo: this.repo, sha: commitSha, ...(subpath ? { path: subpath } : {}) };
+
+    try {
+      const commits = [];
+      for (let page = 1; commits.length < maxCommits; page++) {
+        const { data } = await this.octokit.repos.listCommits({ ...scope, per_page: 100, page });
+        commits.push(...data.map(item => this.toCommit(item)));
+        if (data.length < 100) break;
+      }
+      // Pages hold 100 commits; the last one may go past the limit
+      commits.splice(maxCommits);
+
+      let totalCommits = commits.length;
+      let founding = null;
+      if (commits.length >= maxCommits) {
+        // With one commit per page, the last page number is the commit count
+        const { headers } = await this.octokit.repos.listCommits({ ...scope, per_page: 1 });
+        const lastPage = Number((headers.link || '').match(/[?&]page=(\d+)>;\s*rel="last"/)?.[1]);
+        if (lastPage > commits.length) {
+          const { data } = await this.octokit.repos.listCommits({ ...scope, per_page: 1, page: lastPage });
+          totalCommits = lastPage;
+          founding = data[0] ? this.toCommit(data[0]) : null;
+        }
+      }
+
+      const commitDates = new Map(commits.map(commit => [commit.sha, commit.date]));
+      const { data: releaseData } = await this.octokit.repos.listReleases({ owner: this.owner, repo: this.repo, per_page: 100 });
+      const releases = releaseData
+        .filter(release => !release.draft)
+        .map(release => ({
+          name: release.name || release.tag_name,
+          tag: release.tag_name,
+          date: release.published_at || release.created_at,
+          prerelease: release.prerelease
+        }));
+
+      // Tags without a release only get a date when their commit was listed
+      const { data: tagData } = await this.octokit.repos.listTags({ owner: this.owner, repo: this.repo, per_page: 100 });
+      const releasedTags = new Set(releases.map(release => release.tag));
+      for (const tag of tagData) {
+        if (!releasedTags.has(tag.name) && commitDates.has(tag.commit.sha)) {
+          releases.push({ name: tag.name, tag: tag.name, date: commitDates.get(tag.commit.sha), prerelease: false });
+        }
+      }
+
+      return {
+        commits,
+        founding,
+        totalCommits,
+        truncated: totalCommits > commits.length,
+        releases
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch repository history: ${error.message}`);
+    }
+  }
+
+  // A pull request with its commits and changed files, patches included.
+  // GitHub lists at most 250 commits of a pull request.
+  async getPullRequest(number) {
+    const scope = { owner: this.owner, repo: this.repo, pull_number: number };
+
+    try {
+      const { data: pull } = await this.octokit.pulls.get(scope);
+
+      const commits = [];
+      for (let page = 1; ; page++) {
+        const { data } = await this.octokit.pulls.listCommits({ ...scope, per_page: 100, page });
+        commits.push(...data.map(item => this.toCommit(item)));
+        if (data.length < 100) break;
+      }
+
+      const files = [];
+      for (let page = 1; files.length < MAX_CHANGED_FILES; page++) {
+        const { data } = await this.octokit.pulls.listFiles({ ...scope, per_page: 100, page });
+        files.push(...data.map(file => this.toChangedFile(file)));
+        if (data.length < 100) break;
+      }
+
+      return {
+        kind: 'pull',
+        number: pull.number,
+        title: pull.title,
+        body: pull.body || '',
+        url: pull.html_url,
+        state: pull.merged_at ? 'merged' : pull.state,
+        author: pull.user?.login || null,
+        base: pull.base.ref,
+        head: pull.head.ref,
+        headSha: pull.head.sha,
+        date: pull.merged_at || pull.updated_at,
+        commits,
+        totalCommits: pull.commits,
+        files,
+        totalFiles: pull.changed_files,
+        additions: pull.additions,
+        deletions: pull.deletions
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch pull request #${number}: ${error.message}`);
+    }
+  }
+
+  // Commits in head that are not in base, and the files they changed. The
+  // compare API returns at most 250 commits and 300 files.
+  async compareRefs(base, head) {
+    try {
+      const { data } = await this.octokit.repos.compareCommitsWithBasehead({
+        owner: this.owner,
+        repo: this.repo,
+        basehead: `${base}...${head}`
+      });
+      const files = (data.files || []).map(file => this.toChangedFile(file));
+      const commits = data.commits.map(item => this.toCommit(item));
+
+      return {
+        kind: 'compare',
+        number: null,
+        title: null,
+        body: '',
+        url: data.html_url,
+        state: data.status,
+        author: null,
+        base,
+        head,
+        headSha: data.commits[data.commits.length - 1]?.sha || null,
+        date: commits[commits.length - 1]?.date || null,
+        commits,
+        totalCommits: data.total_commits,
+        files,
+        totalFiles: files.length,
+        additions: files.reduce((total, file) => total + file.additions, 0),
+        deletions: files.reduce((total, file) => total + file.deletions, 0)
+      };
+    } catch (error) {
+      throw new Error(`Failed to compare ${base}...${head}: ${error.message}`);
+    }
+  }
+
+  // The published release for a tag, or null when the tag has none or the
+  // lookup fails
+  async getRelease(tag) {
+    try {
+      const { data } = await this.octokit.repos.getReleaseByTag({ owner: this.owner, repo: this.repo, tag });
+      return {
+        name: data.name || data.tag_name,
+        tag: data.tag_name,
+        body: data.body || '',
+        date: data.published_at || data.created_at,
+        prerelease: data.prerelease
+      };
+    } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
+      // The release notes are optional: a failed lookup is the same as no release
+      if (error.status !== 404) {
+        console.warn(`Could not fetch release ${tag}, continuing without release notes: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  toChangedFile(file) {
+    return {
+      path: file.filename,
+      previousPath: file.previous_filename || null,
+      status: file.status,
+      additions: file.additions,
+      deletions: file.deletions,
+      patch: file.patch || null
+    };
+  }
+
+  async getCommitStats(sha) {
+    try {
+      const { data } = await this.octokit.repos.getCommit({ owner: this.owner, repo: this.repo, ref: sha });
+      return {
+        additions: data.stats?.additions || 0,
+        deletions: data.stats?.deletions || 0,
+        files: data.files?.length || 0
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch commit ${sha}: ${error.message}`);
+    }
+  }
+
+  // Commit authors are identified by login, or by display name for commits
+  // not linked to a GitHub account. Emails are never read.
+  toCommit(item) {
+    return {
+      sha: item.sha,
+      date: item.commit.author?.date || item.commit.committer?.date,
+      message: item.commit.message.split('\n')[0],
+      author: item.author?.login || item.commit.author?.name || null
+    };
+  }
+
+  // Commit counts per contributor, overall and for each area (directory) of
+  // the tree. Repository-wide counts do not apply to a subpath, so there the
+  // caller counts the authors of the listed history instead.
+  async getContributors({ areas = [] } = {}) {
+    const { commitSha, subpath } = await this.getRepositoryInfo();
+
+    try {
+      let contributors = null;
+      if (!subpath) {
+        const { data } = await this.octokit.repos.listContributors({ owner: this.owner, repo: this.repo, per_page: 100 });
+        contributors = data
+          .filter(contributor => contributor.type !== 'Bot')
+          .map(contributor => ({ name: contributor.login, commits: contributor.contributions }));
+      }
+
+      const areaCommits = {};
+      for (const area of areas) {
+        const { data } = await this.octokit.repos.listCommits({
+          owner: this.owner,
+          repo: this.repo,
+          sha: commitSha,
+          path: area,
+          per_page: 100
+        });
+        areaCommits[area] = {};
+        for (const item of data) {
+          const { author } = this.toCommit(item);
+          if (author) {
+            areaCommits[area][author] = (areaCommits[area][author] || 0) + 1;
+          }
+        }
+      }
+
+      return { contributors, areaCommits };
+    } catch (error) {
+      throw new Error(`Failed to fetch contributors: ${error.message}`);
+    }
+  }
+
+  async getFileContent(file) {
+    try {
+      const headers = process.env.GITHUB_TOKEN ? { Authorization: `token ${process.env.GITHUB_TOKEN}` } : {};
+      const download = () => getGuard('github').call(async signal => {
+        const response = await fetch(file.download_url, { headers, signal });
+        if (!response.ok) {
+          const error = new Error(`Failed to fetch file: ${response.statusText}`);
+          error.response = { status: response.status, headers: response.headers };
+          throw error;
+        }
+        return await response.text();
+      });
+      // Raw downloads go through the same guard as the API calls, and are
+      // recorded with them when a cassette is active
+      const cassette = getCassette();
+      return await (cassette ? cassette.run('fetch', { url: file.download_url }, download) : download());
+    } catch (error) {
+      throw new Error(`Failed to fetch file content: ${error.message}`);
+    }
+  }
+}
+
+module.exports = GitHubSource;
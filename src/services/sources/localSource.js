@@ -0,0 +1,235 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const { IgnoreRules, filterFiles } = require('../../utils/fileFilter');
+
+const LANGUAGES_BY_EXTENSION = {
+  js: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', jsx: 'JavaScript',
+  ts: 'TypeScript', tsx: 'TypeScript',
+  py: 'Python', rb: 'Ruby', go: 'Go', rs: 'Rust', java: 'Java', kt: 'Kotlin',
+  scala: 'Scala', swift: 'Swift', c: 'C', h: 'C', cpp: 'C++', cc: 'C++', hpp: 'C++',
+  cs: 'C#', php: 'PHP', dart: 'Dart', lua: 'Lua', sh: 'Shell', ex: 'Elixir', hs: 'Haskell'
+};
+
+// Settings git runs with: no system or global config, and none of the
+// options that make log or status start other programs
+const GIT_ENV = { GIT_CONFIG_NOSYSTEM: '1', GIT_CONFIG_GLOBAL: '/dev/null', GIT_TERMINAL_PROMPT: '0' };
+const GIT_SAFE_CONFIG = ['-c', 'log.showSignature=false', '-c', 'core.fsmonitor=', '-c', 'core.hooksPath=/dev/null'];
+
+// Repository source backed by a directory on the local filesystem. Used for
+// the CLI and for extracted archive uploads, so unpublished code can be scanned.
+// history: false never runs git in the directory, for trees that are not the
+// user's own: a repository's config can make git run arbitrary programs.
+class LocalSource {
+  constructor(rootDir, { name, history = true } = {}) {
+    this.rootDir = path.resolve(rootDir);
+    this.name = name || path.basename(this.rootDir);
+    this.history = history;
+    this.type = 'local';
+  }
+
+  async getRepositoryInfo() {
+    try {
+      const stat = await fs.stat(this.rootDir);
+      if (!stat.isDirectory()) {
+        throw new Error(`${this.rootDir} is not a directory`);
+      }
+    } catch (error) {
+      throw new Error(`Failed to read local repository: ${error.message}`);
+    }
+
+    const manifest = await this.readManifest();
+    const files = await this.getRepositoryFiles();
+
+    return {
+      name: this.name,
+      fullName: this.name,
+      description: manifest.description || null,
+      language: this.detectLanguage(files),
+      stars: 0,
+      forks: 0,
+      topics: Array.isArray(manifest.keywords) ? manifest.keywords : []
+    };
+  }
+
+  async getRepositoryFiles() {
+    if (!this.filesPromise) {
+      this.filesPromise = this.listFiles();
+    }
+    return this.filesPromise;
+  }
+
+  async listFiles() {
+    const rules = new IgnoreRules();
+    const files = await this.walk('', rules);
+    const { files: kept, summary } = filterFiles(files, rules);
+    this.listingSummary = summary;
+    return kept;
+  }
+
+  // Ignored directories are pruned while walking so node_modules and friends
+  // are never read; ignored files are left for filterFiles to count.
+  async walk(relativeDir, rules) {
+    const entries = await fs.readdir(path.join(this.rootDir, relativeDir), { withFileTypes: true });
+    const files = [];
+
+    const gitignore = entries.find(entry => entry.isFile() && entry.name === '.gitignore');
+    if (gitignore) {
+      rules.addGitignore(await fs.readFile(path.join(this.rootDir, relativeDir, '.gitignore'), 'utf8'), relativeDir);
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.posix.join(relativeDir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!rules.ignores(`${entryPath}/`)) {
+          files.push(...await this.walk(entryPath, rules));
+        }
+      } else if (entry.isFile()) {
+        const { size } = await fs.stat(path.join(this.rootDir, entryPath));
+        files.push({
+          name: entry.name,
+          path: entryPath,
+          size
+        });
+      }
+    }
+
+    return files;
+  }
+
+  // History from git when the directory is (inside) a working copy. Returns
+  // null for plain directories and when history is off (archive uploads).
+  async getHistory({ maxCommits = 500 } = {}) {
+    if (!this.history) {
+      return null;
+    }
+
+    try {
+      await this.git(['rev-parse', '--is-inside-work-tree']);
+    } catch (error) {
+      return null;
+    }
+
+    try {
+      const log = await this.git(['log', `-n${maxCommits}`, '--format=commit%x09%H%x09%aI%x09%an%x09%s', '--shortstat', '--', '.']);
+      const commits = [];
+      for (const line of log.split('\n')) {
+        if (line.startsWith('commit\t')) {
+          const [, sha, date, author, ...message] = line.split('\t');
+          commits.push({ sha, date, author, message: message.join('\t'), stats: { additions: 0, deletions: 0, files: 0 } });
+        } else if (line.trim() && commits.length > 0) {
+          const stats = commits[commits.length - 1].stats;
+          stats.files = Number(line.match(/(\d+) files? changed/)?.[1] || 0);
+          stats.additions = Number(line.match(/(\d+) insertions?/)?.[1] || 0);
+          stats.deletions = Number(line.match(/(\d+) deletions?/)?.[1] || 0);
+        }
+      }
+
+      const totalCommits = Number((await this.git(['rev-list', '--count', 'HEAD', '--', '.'])).trim());
+      let founding = null;
+      if (totalCommits > commits.length) {
+        const [firstSha] = (await this.git(['rev-list', '--reverse', 'HEAD', '--', '.'])).split('\n');
+        const [, sha, date, author, ...message] = (await this.git(['log', '-1', '--format=commit%x09%H%x09%aI%x09%an%x09%s', firstSha])).trim().split('\t');
+        founding = { sha, date, author, message: message.join('\t') };
+      }
+
+      // Without a hosting service, tags stand in for releases
+      const tags = await this.git(['tag', '--list', '--format=%(refname:short)%09%(creatordate:iso-strict)']);
+      const releases = tags.split('\n').filter(Boolean).map(line => {
+        const [name, date] = line.split('\t');
+        return { name, tag: name, date, prerelease: false };
+      });
+
+      return {
+        commits,
+        founding,
+        totalCommits,
+        truncated: totalCommits > commits.length,
+        releases
+      };
+    } catch (error) {
+      throw new Error(`Failed to read git history: ${error.message}`);
+    }
+  }
+
+  // Author names from git shortlog, overall and per area. Emails are not
+  // requested (no -e flag). Null like getHistory when history is off.
+  async getContributors({ areas = [] } = {}) {
+    if (!this.history) {
+      return null;
+    }
+
+    try {
+      await this.git(['rev-parse', '--is-inside-work-tree']);
+    } catch (error) {
+      return null;
+    }
+
+    const shortlog = async pathspec => {
+      const output = await this.git(['shortlog', '-sn', 'HEAD', '--', pathspec]);
+      return output.split('\n')
+        .map(line => line.match(/^\s*(\d+)\t(.+)$/))
+        .filter(Boolean)
+        .map(match => ({ name: match[2], commits: Number(match[1]) }));
+    };
+
+    try {
+      const contributors = await shortlog('.');
+      const areaCommits = {};
+      for (const area of areas) {
+        areaCommits[area] = Object.fromEntries((await shortlog(area)).map(entry => [entry.name, entry.commits]));
+      }
+      return { contributors, areaCommits };
+    } catch (error) {
+      throw new Error(`Failed to read git contributors: ${error.message}`);
+    }
+  }
+
+  async git(args) {
+    const { stdout } = await execFile('git', [...GIT_SAFE_CONFIG, ...args], {
+      cwd: this.rootDir,
+      env: { ...process.env, ...GIT_ENV },
+      maxBuffer: 64 * 1024 * 1024,
+      timeout: 30000
+    });
+    return stdout;
+  }
+
+  async getFileContent(file) {
+    const filePath = path.resolve(this.rootDir, file.path);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Refusing to read outside of ${this.rootDir}: ${file.path}`);
+    }
+
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read file content: ${error.message}`);
+    }
+  }
+
+  async readManifest() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.rootDir, 'package.json'), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  detectLanguage(files) {
+    const counts = {};
+    for (const file of files) {
+      const language = LANGUAGES_BY_EXTENSION[file.name.split('.').pop()?.toLowerCase()];
+      if (language) {
+        counts[language] = (counts[language] || 0) + 1;
+      }
+    }
+
+    const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return top ? top[0] : null;
+  }
+}
+
+module.exports = LocalSource;
@@ -0,0 +1,104 @@
+const path = require('path');
+const { SECTION_LABELS } = require('./lyrics');
+const { loadConfigDirectory, findMissingFields } = require('../utils/configLoader');
+
+const BUILT_IN_DIR = path.join(__dirname, '..', '..', 'config', 'styles');
+const REQUIRED_FIELDS = ['name', 'description', 'instruments'];
+
+// Used for style names the registry does not know, e.g. from an old result
+const FALLBACK_STYLE = {
+  description: 'creative and expressive',
+  instruments: 'appropriate instrumentation',
+  directions: 'Create music that captures the essence of the repository through appropriate instrumentation and style.',
+  selection: null,
+  lyrics: { sections: null, conventions: null }
+};
+
+// Music styles loaded from JSON files, one per style, named after the style
+// id (config/styles/sea-shanty.json is "sea-shanty"). Files in STYLES_DIR are
+// loaded after the built-in ones and replace built-in styles with the same id.
+class StyleRegistry {
+  constructor({ dirs = [BUILT_IN_DIR, process.env.STYLES_DIR].filter(Boolean) } = {}) {
+    this.styles = new Map();
+    for (const dir of dirs) {
+      for (const { id, file, config } of loadConfigDirectory(dir)) {
+        this.styles.set(id, this.normalize(id, config, file));
+      }
+    }
+
+    if (this.styles.size === 0) {
+      throw new Error(`No music styles found in ${dirs.join(', ')}`);
+    }
+  }
+
+  normalize(id, config, file) {
+    if (id === 'auto') {
+      throw new Error(`Invalid style file ${file}: "auto" is reserved for automatic style selection`);
+    }
+    const missing = findMissingFields(config, REQUIRED_FIELDS);
+    if (missing.length > 0) {
+      throw new Error(`Invalid style file ${file}: missing ${missing.join(', ')}`);
+    }
+
+    const sections = config.lyrics?.sections || null;
+    for (const [type, count] of Object.entries(sections || {})) {
+      if (!SECTION_LABELS[type] || !Number.isInteger(count) || count < 0) {
+        throw new Error(`Invalid style file ${file}: bad lyrics section requirement "${type}: ${count}"`);
+      }
+    }
+
+    return {
+      id,
+      name: config.name,
+      order: Number.isFinite(config.order) ? config.order : Infinity,
+      description: config.description,
+      instruments: config.instruments,
+      directions: config.directions || FALLBACK_STYLE.directions,
+      selection: config.selection || null,
+      lyrics: {
+        sections,
+        conventions: config.lyrics?.conventions || null
+      }
+    };
+  }
+
+  list() {
+    return [...this.styles.values()].sort((a, b) => a.order - b.order || a.id.localeCompare(b.id));
+  }
+
+  has(id) {
+    return this.styles.has(String(id).toLowerCase());
+  }
+
+  get(id) {
+    return this.styles.get(String(id).toLowerCase()) || { ...FALLBACK_STYLE, id, name: id };
+  }
+
+  // Styles the AI may pick in auto mode: those with selection criteria
+  getSelectable() {
+    return this.list().filter(style => style.selection);
+  }
+
+  // Finds a style id in free text such as a model's answer. Longer ids are
+  // tried first so "hardrock" is not read as "rock"; names match too.
+  findInText(text, styles = this.list()) {
+    const normalized = String(text).trim().toLowerCase();
+    const exact = styles.find(style => style.id === normalized || style.name.toLowerCase() === normalized);
+    if (exact) {
+      return exact.id;
+    }
+
+    const candidates = styles
+      .flatMap(style => [{ id: style.id, term: style.id }, { id: style.id, term: style.name.toLowerCase() }])
+      .sort((a, b) => b.term.length - a.term.length);
+    return candidates.find(candidate => normalized.includes(candidate.term))?.id || null;
+  }
+
+  // Public view for the API and the UI
+  describe(style) {
+    const { order, ...rest } = style;
+    return rest;
+  }
+}
+
+module.exports = StyleRegistry;
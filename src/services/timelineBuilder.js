@@ -0,0 +1,256 @@
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+const MAX_ERAS = 4;
+const MAX_BURSTS = 3;
+const MAX_QUIET_PERIODS = 5;
+const MIN_QUIET_DAYS = 30;
+const MIN_COMMITS_PER_ERA = 3;
+
+const REFACTOR_PATTERN = /\b(refactor|rewrite|rewrote|restructur|reorganiz|overhaul|migrat|port(ed)? to|clean ?up|modernize|redesign)/i;
+const MAJOR_VERSION_PATTERN = /^v?\d+(\.0){1,2}$/;
+
+const toDate = time => new Date(time).toISOString().substring(0, 10);
+
+// Turns raw commit history into a timeline and a song arc: verses follow
+// eras of development, choruses mark releases and the bridge marks the
+// biggest refactor. Works on whatever the source could list, so on large
+// repositories the eras cover the most recent commits only.
+class TimelineBuilder {
+  isRefactor(commit) {
+    return REFACTOR_PATTERN.test(commit.message);
+  }
+
+  // history: { commits, founding, totalCommits, truncated, releases }
+  // commits carry { sha, date, message, stats? } in any order
+  build(history) {
+    const commits = history.commits
+      .map(commit => ({ ...commit, time: Date.parse(commit.date) }))
+      .filter(commit => !Number.isNaN(commit.time))
+      .sort((a, b) => a.time - b.time);
+
+    if (commits.length === 0) {
+      return null;
+    }
+
+    const latest = commits[commits.length - 1];
+    const founding = history.founding || (history.truncated ? null : commits[0]);
+
+    // Releases published after the analyzed commit belong to a later version
+    const releases = (history.releases || [])
+      .map(release => ({ ...release, time: Date.parse(release.date) }))
+      .filter(release => !Number.isNaN(release.time) && !release.prerelease && release.time <= latest.time + DAY)
+      .sort((a, b) => a.time - b.time);
+
+    const quietPeriods = this.findQuietPeriods(commits);
+    const bursts = this.findBursts(commits);
+    const biggestRefactor = this.findBiggestRefactor(commits, founding);
+    const eras = this.splitEras(commits, quietPeriods);
+
+    return {
+      founded: founding ? this.describeCommit(founding) : null,
+      latest: this.describeCommit(latest),
+      totalCommits: history.totalCommits || commits.length,
+      sampledCommits: commits.length,
+      truncated: Boolean(history.truncated),
+      releases: releases.map(release => ({
+        name: release.name,
+        tag: release.tag,
+        date: toDate(release.time),
+        major: this.isMajorRelease(release, releases)
+      })),
+      bursts,
+      quietPeriods: quietPeriods.map(({ after, ...period }) => period),
+      biggestRefactor,
+      eras: this.describeEras(eras),
+      arc: this.buildArc(eras, releases, biggestRefactor)
+    };
+  }
+
+  describeCommit(commit) {
+    return {
+      sha: commit.sha,
+      date: toDate(Date.parse(commit.date)),
+      message: commit.message
+    };
+  }
+
+  // Gaps between consecutive commits that are long both in absolute terms
+  // and relative to the repository's usual rhythm
+  findQuietPeriods(commits) {
+    const gaps = [];
+    for (let i = 1; i < commits.length; i++) {
+      gaps.push({ start: commits[i - 1].time, end: commits[i].time, after: i });
+    }
+    if (gaps.length === 0) {
+      return [];
+    }
+
+    const sorted = gaps.map(gap => gap.end - gap.start).sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const threshold = Math.max(MIN_QUIET_DAYS * DAY, median * 4);
+
+    return gaps
+      .filter(gap => gap.end - gap.start >= threshold)
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+      .slice(0, MAX_QUIET_PERIODS)
+      .sort((a, b) => a.start - b.start)
+      .map(gap => ({
+        start: toDate(gap.start),
+        end: toDate(gap.end),
+        days: Math.round((gap.end - gap.start) / DAY),
+        after: gap.after
+      }));
+  }
+
+  // Weeks with at least three times the average weekly commit rate, with
+  // consecutive busy weeks merged into one burst
+  findBursts(commits) {
+    const origin = commits[0].time;
+    const weeks = new Map();
+    for (const commit of commits) {
+      const week = Math.floor((commit.time - origin) / WEEK);
+      if (!weeks.has(week)) weeks.set(week, []);
+      weeks.get(week).push(commit);
+    }
+
+    const totalWeeks = Math.floor((commits[commits.length - 1].time - origin) / WEEK) + 1;
+    const threshold = Math.max(5, (commits.length / totalWeeks) * 3);
+
+    const bursts = [];
+    for (const week of [...weeks.keys()].sort((a, b) => a - b)) {
+      const weekCommits = weeks.get(week);
+      if (weekCommits.length < threshold) continue;
+
+      const previous = bursts[bursts.length - 1];
+      if (previous && previous.lastWeek === week - 1) {
+        previous.commits.push(...weekCommits);
+        previous.lastWeek = week;
+      } else {
+        bursts.push({ lastWeek: week, commits: [...weekCommits] });
+      }
+    }
+
+    return bursts
+      .sort((a, b) => b.commits.length - a.commits.length)
+      .slice(0, MAX_BURSTS)
+      .sort((a, b) => a.commits[0].time - b.commits[0].time)
+      .map(burst => ({
+        start: toDate(burst.commits[0].time),
+        end: toDate(burst.commits[burst.commits.length - 1].time),
+        commits: burst.commits.length
+      }));
+  }
+
+  // The largest refactor-like commit by lines changed. Commits without stats
+  // can only be picked by message; when every commit has stats and none looks
+  // like a refactor, the largest change after the founding commit is used.
+  findBiggestRefactor(commits, founding) {
+    const changes = commit => commit.stats ? commit.stats.additions + commit.stats.deletions : 0;
+    const candidates = commits.filter(commit => commit !== founding && commit.sha !== founding?.sha);
+
+    let refactors = candidates.filter(commit => this.isRefactor(commit));
+    if (refactors.length === 0 && candidates.length > 0 && candidates.every(commit => commit.stats)) {
+      refactors = candidates;
+    }
+    if (refactors.length === 0) {
+      return null;
+    }
+
+    const [biggest] = [...refactors].sort((a, b) => changes(b) - changes(a) || b.time - a.time);
+    return {
+      ...this.describeCommit(biggest),
+      additions: biggest.stats?.additions ?? null,
+      deletions: biggest.stats?.deletions ?? null,
+      files: biggest.stats?.files ?? null
+    };
+  }
+
+  // Eras are separated by the longest quiet periods. Without enough quiet
+  // periods the history is split into equal shares of commits instead.
+  splitEras(commits, quietPeriods) {
+    const maxEras = Math.max(1, Math.min(MAX_ERAS, Math.floor(commits.length / MIN_COMMITS_PER_ERA)));
+
+    let boundaries = quietPeriods
+      .filter(period => period.after >= MIN_COMMITS_PER_ERA && commits.length - period.after >= MIN_COMMITS_PER_ERA)
+      .sort((a, b) => b.days - a.days)
+      .slice(0, maxEras - 1)
+      .map(period => period.after);
+
+    if (boundaries.length === 0 && maxEras > 1) {
+      const eraCount = Math.min(maxEras, 3);
+      boundaries = Array.from({ length: eraCount - 1 }, (_, i) => Math.round(commits.length * (i + 1) / eraCount));
+    }
+
+    boundaries = [0, ...boundaries.sort((a, b) => a - b), commits.length];
+    const eras = [];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      eras.push(commits.slice(boundaries[i], boundaries[i + 1]));
+    }
+    return eras;
+  }
+
+  // Pace compares each era's weekly commit rate with the average era
+  describeEras(eras) {
+    const rates = eras.map(era => era.length / Math.max(1, (era[era.length - 1].time - era[0].time) / WEEK));
+    const averageRate = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+    return eras.map((era, index) => this.describeEra(era, rates[index] / averageRate));
+  }
+
+  describeEra(era, relativePace) {
+    const start = era[0].time;
+    const end = era[era.length - 1].time;
+
+    // A few messages spread across the era, skipping merges
+    const meaningful = era.filter(commit => !/^merge\b/i.test(commit.message));
+    const highlights = [];
+    for (let i = 0; i < Math.min(3, meaningful.length); i++) {
+      const commit = meaningful[Math.floor(i * meaningful.length / Math.min(3, meaningful.length))];
+      if (!highlights.includes(commit.message)) highlights.push(commit.message);
+    }
+
+    return {
+      start: toDate(start),
+      end: toDate(end),
+      commits: era.length,
+      pace: relativePace > 1.5 ? 'busy' : relativePace < 0.5 ? 'sparse' : 'steady',
+      highlights
+    };
+  }
+
+  isMajorRelease(release, releases) {
+    return release === releases[0] || MAJOR_VERSION_PATTERN.test(release.tag || release.name || '');
+  }
+
+  // Verse per era, a chorus after each era that shipped a release (the most
+  // significant one), the bridge after the era holding the biggest refactor
+  // and an outro for the present. Without releases every verse gets a refrain.
+  buildArc(eras, releases, biggestRefactor) {
+    const arc = [];
+
+    eras.forEach((era, index) => {
+      const start = index === 0 ? -Infinity : era[0].time;
+      const end = index === eras.length - 1 ? Infinity : eras[index + 1][0].time;
+
+      arc.push({ section: `Verse ${index + 1}`, kind: 'era', era: index });
+
+      const shipped = releases.filter(release => release.time >= start && release.time < end);
+      if (shipped.length > 0) {
+        const majors = shipped.filter(release => this.isMajorRelease(release, releases));
+        const release = (majors.length > 0 ? majors : shipped)[(majors.length > 0 ? majors : shipped).length - 1];
+        arc.push({ section: 'Chorus', kind: 'release', release: { name: release.name, tag: release.tag, date: toDate(release.time) } });
+      } else if (releases.length === 0) {
+        arc.push({ section: 'Chorus', kind: 'refrain' });
+      }
+
+      if (biggestRefactor && era.some(commit => commit.sha === biggestRefactor.sha)) {
+        arc.push({ section: 'Bridge', kind: 'refactor', refactor: { message: biggestRefactor.message, date: biggestRefactor.date } });
+      }
+    });
+
+    arc.push({ section: 'Outro', kind: 'present' });
+    return arc;
+  }
+}
+
+module.exports = TimelineBuilder;
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Record and replay of the pipeline's remote traffic: GitHub API responses,
+// raw file downloads and chat completions. CASSETTE_MODE=record writes every
+// response of the run to CASSETTE_FILE; CASSETTE_MODE=replay serves them back
+// without touching the network, so a whole generation runs offline and gives
+// the same output. Requests are keyed by their content (method, URL and body;
+// messages and options for chat), never by credentials.
+
+const MODES = ['record', 'replay'];
+const FORMAT_VERSION = 1;
+// Recorded interactions are written at most this often while recording
+const SAVE_DELAY_MS = 1000;
+
+let cassette;
+
+// JSON with sorted keys, so equal requests always give the same key
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+// What a failed request looked like to its caller: the message and the
+// status and headers the retry and 404 handling look at
+function serializeError(error) {
+  return {
+    message: error.message,
+    status: error.status ?? null,
+    code: error.code ?? null,
+    response: error.response ? {
+      status: error.response.status,
+      headers: error.response.headers && typeof error.response.headers.entries === 'function'
+        ? Object.fromEntries(error.response.headers.entries())
+        : error.response.headers || {},
+      data: error.response.data ?? null
+    } : null
+  };
+}
+
+function restoreError({ message, status, code, response }) {
+  const error = new Error(message);
+  if (status !== null) error.status = status;
+  if (code !== null) error.code = code;
+  if (response) error.response = response;
+  return error;
+}
+
+class Cassette {
+  constructor(file, mode) {
+    this.file = path.resolve(file);
+    this.mode = mode;
+    this.interactions = [];
+    this.provider = null;
+    // Replay serves repeated requests in recorded order, then the last one again
+    this.served = new Map();
+    // Recording starts a new file, written even if nothing is recorded
+    this.dirty = mode === 'record';
+    this.saveTimer = null;
+    this.writing = Promise.resolve();
+
+    if (mode === 'replay') {
+      this.load();
+    }
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  load() {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot replay cassette ${this.file}: ${error.code === 'ENOENT' ? 'the file does not exist, record it first with CASSETTE_MODE=record' : error.message}`);
+    }
+    if (content.version !== FORMAT_VERSION) {
+      throw new Error(`Cannot replay cassette ${this.file}: unsupported format version ${content.version}`);
+    }
+    this.interactions = content.interactions;
+    this.provider = content.provider;
+  }
+
+  serialize() {
+    return JSON.stringify({
+      version: FORMAT_VERSION,
+      recordedAt: new Date().toISOString(),
+      provider: this.provider,
+      interactions: this.interactions
+    }, null, 2);
+  }
+
+  // Written in the background at most every SAVE_DELAY_MS, through a
+  // temporary file and one write at a time, so an interrupted run still
+  // leaves a complete cassette of all but its last moments
+  save() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      if (this.replaying || !this.dirty) {
+        return;
+      }
+      this.dirty = false;
+      const content = this.serialize();
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(`${this.file}.tmp`, content);
+      await fs.promises.rename(`${this.file}.tmp`, this.file);
+    });
+    return this.writing;
+  }
+
+  scheduleSave() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => {
+        this.saveTimer = null;
+        this.save().catch(error => console.warn(`Failed to write cassette ${this.file}: ${error.message}`));
+      }, SAVE_DELAY_MS).unref();
+    }
+  }
+
+  // Writes everything recorded so far; the end of a recording run
+  async stop() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+
+  // The last write when the process exits, which cannot wait for stop()
+  saveSync() {
+    if (this.replaying || !this.dirty) {
+      return;
+    }
+    this.dirty = false;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(`${this.file}.tmp`, this.serialize());
+    fs.renameSync(`${this.file}.tmp`, this.file);
+  }
+
+  // Runs perform() and records its result or error under the request, or in
+  // replay mode returns what was recorded. A request the cassette does not
+  // know fails rather than going to the network.
+  async run(kind, request, perform) {
+    const key = crypto.createHash('sha256').update(`${kind} ${stableStringify(request)}`).digest('hex');
+
+    if (this.replaying) {
+      const recorded = this.interactions.filter(interaction => interaction.key === key);
+      if (recorded.length === 0) {
+        throw new Error(`Cassette ${this.file} has no recorded ${kind} response for ${this.describeRequest(kind, request)}`);
+      }
+      const index = Math.min(this.served.get(key) || 0, recorded.length - 1);
+      this.served.set(key, index + 1);
+      if (recorded[index].error) {
+        throw restoreError(recorded[index].error);
+      }
+      return recorded[index].response;
+    }
+
+    try {
+      const response = await perform();
+      this.record({ kind, key, request, response });
+      return response;
+    } catch (error) {
+      if (!error.cancelled) {
+        this.record({ kind, key, request, error: serializeError(error) });
+      }
+      throw error;
+    }
+  }
+
+  record(interaction) {
+    this.interactions.push(interaction);
+    this.dirty = true;
+    this.scheduleSave();
+  }
+
+  describeRequest(kind, request) {
+    if (kind === 'chat') {
+      const prompt = request.messages[request.messages.length - 1].content.trim().split('\n')[0];
+      return `a chat completion starting "${prompt.substring(0, 80)}"`;
+    }
+    return `${request.method || 'GET'} ${request.url}`;
+  }
+
+  describe() {
+    return { mode: this.mode, file: this.file, interactions: this.interactions.length };
+  }
+}
+
+// The cassette of this process, or null when CASSETTE_MODE is not set
+function getCassette() {
+  if (cassette === undefined) {
+    const mode = process.env.CASSETTE_MODE;
+    if (mode && !MODES.includes(mode)) {
+      throw new Error(`Unknown CASSETTE_MODE: ${mode}. Use record or replay`);
+    }
+    cassette = mode ? new Cassette(process.env.CASSETTE_FILE || path.join('.data', 'cassettes', 'cassette.json'), mode) : null;
+    if (cassette && !cassette.replaying) {
+      process.once('exit', () => cassette.saveSync());
+    }
+  }
+  return cassette;
+}
+
+// Records or replays every Octokit request. Registered after guardOctokit,
+// so it wraps the retries: a recording holds the final outcome, and replay
+// never reaches the guard.
+function cassetteOctokit(octokit, cassette = getCassette()) {
+  if (cassette) {
+    octokit.hook.wrap('request', (request, options) => {
+      const { method, url, body } = octokit.request.endpoint.parse(options);
+      return cassette.run('github', { method, url, body }, async () => {
+        const { status, headers, data } = await request(options);
+        return { status, url, headers, data };
+      });
+    });
+  }
+  return octokit;
+}
+
+// A provider whose chat completions are recorded or replayed. Replay does not
+// need the recorded provider's API key: the cassette stands in for it.
+function cassetteProvider(createProvider, cassette = getCassette()) {
+  if (!cassette) {
+    return createProvider();
+  }
+
+  if (cassette.replaying) {
+    const { name, models } = cassette.provider || { name: 'Cassette', models: {} };
+    return {
+      name,
+      models,
+      chat: (messages, { model = models.chat, maxTokens, temperature, json = false } = {}) =>
+        cassette.run('chat', { messages, model, maxTokens, temperature, json }, () => null)
+    };
+  }
+
+  const provider = createProvider();
+  cassette.provider = { name: provider.name, models: provider.models };
+  return {
+    name: provider.name,
+    models: provider.models,
+    chat: (messages, options = {}) => {
+      const { model = provider.models.chat, maxTokens, temperature, json = false } = options;
+      return cassette.run('chat', { messages, model, maxTokens, temperature, json }, () => provider.chat(messages, options));
+    }
+  };
+}
+
+module.exports = { Cassette, stableStringify, getCassette, cassetteOctokit, cassetteProvider };
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Reads every .json file of a config directory (styles, export profiles).
+// The file name is the entry's id: config/styles/sea-shanty.json is
+// "sea-shanty". Returns [{ id, file, config }] sorted by file name.
+function loadConfigDirectory(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(name => {
+      const file = path.join(dir, name);
+      const id = path.basename(name, '.json').toLowerCase();
+      if (!ID_PATTERN.test(id)) {
+        throw new Error(`Invalid config file ${file}: "${id}" is not a valid id`);
+      }
+
+      try {
+        return { id, file, config: JSON.parse(fs.readFileSync(file, 'utf8')) };
+      } catch (error) {
+        throw new Error(`Invalid config file ${file}: ${error.message}`);
+      }
+    });
+}
+
+// Names of required string fields that are missing or empty
+function findMissingFields(config, fields) {
+  return fields.filter(field => typeof config[field] !== 'string' || !config[field].trim());
+}
+
+module.exports = { loadConfigDirectory, findMissingFields };
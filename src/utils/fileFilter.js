@@ -0,0 +1,152 @@
+const ignore = require('ignore');
+
+// Always skipped, on top of whatever the repository's own .gitignore files say
+const DEFAULT_IGNORE_PATTERNS = [
+  '.git/',
+  'node_modules/',
+  'bower_components/',
+  'vendor/',
+  'third_party/',
+  'dist/',
+  'build/',
+  'out/',
+  'coverage/',
+  'target/',
+  '__pycache__/',
+  '.venv/',
+  'venv/',
+  '.next/',
+  '.nuxt/',
+  '*.min.js',
+  '*.min.css',
+  '*.map',
+  'package-lock.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'Cargo.lock',
+  'poetry.lock',
+  'composer.lock',
+  'Gemfile.lock',
+  'go.sum'
+];
+
+const BINARY_EXTENSIONS = new Set([
+  'png', 'jpg', 'jpeg', 'gif', 'bmp', 'ico', 'webp', 'tiff', 'psd', 'svgz',
+  'mp3', 'wav', 'ogg', 'flac', 'aac', 'm4a', 'mid', 'midi',
+  'mp4', 'mov', 'avi', 'mkv', 'webm',
+  'zip', 'gz', 'tgz', 'bz2', 'xz', '7z', 'rar', 'tar', 'jar', 'war',
+  'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx',
+  'exe', 'dll', 'so', 'dylib', 'o', 'a', 'class', 'pyc', 'wasm', 'bin', 'dat',
+  'ttf', 'otf', 'woff', 'woff2', 'eot',
+  'db', 'sqlite', 'sqlite3'
+]);
+
+function getScanLimits() {
+  return {
+    maxFiles: parseInt(process.env.SCAN_MAX_FILES, 10) || 300,
+    maxTotalBytes: parseInt(process.env.SCAN_MAX_BYTES, 10) || 20 * 1024 * 1024,
+    maxFileBytes: parseInt(process.env.SCAN_MAX_FILE_BYTES, 10) || 1024 * 1024
+  };
+}
+
+// .gitignore-style rules. Patterns from nested .gitignore files only apply
+// below the directory they were found in, as in git.
+class IgnoreRules {
+  constructor(patterns = DEFAULT_IGNORE_PATTERNS) {
+    this.matchers = [];
+    this.add(patterns);
+
+    if (process.env.SCAN_IGNORE) {
+      this.add(process.env.SCAN_IGNORE.split(',').map(pattern => pattern.trim()).filter(Boolean));
+    }
+  }
+
+  add(patterns, baseDir = '') {
+    this.matchers.push({
+      baseDir: baseDir.replace(/\/+$/, ''),
+      matcher: ignore().add(patterns)
+    });
+    return this;
+  }
+
+  addGitignore(content, baseDir = '') {
+    return this.add(content.split(/\r?\n/), baseDir);
+  }
+
+  ignores(filePath) {
+    return this.matchers.some(({ baseDir, matcher }) => {
+      if (!baseDir) {
+        return matcher.ignores(filePath);
+      }
+      if (!filePath.startsWith(`${baseDir}/`)) {
+        return false;
+      }
+      return matcher.ignores(filePath.slice(baseDir.length + 1));
+    });
+  }
+}
+
+function isBinaryPath(filePath) {
+  const extension = filePath.split('.').pop()?.toLowerCase();
+  return BINARY_EXTENSIONS.has(extension);
+}
+
+// Same heuristic as git: a NUL byte near the start means binary
+function isBinaryContent(content) {
+  return content.slice(0, 8000).includes('\u0000');
+}
+
+// Drops ignored, binary and oversized files, then applies the file count and
+// total byte caps, keeping shallower paths first so the top of the tree wins.
+function filterFiles(files, rules, limits = getScanLimits()) {
+  const summary = {
+    listed: files.length,
+    ignored: 0,
+    binary: 0,
+    oversized: 0,
+    overLimit: 0
+  };
+
+  const candidates = [];
+  for (const file of files) {
+    if (rules.ignores(file.path)) {
+      summary.ignored++;
+    } else if (isBinaryPath(file.path)) {
+      summary.binary++;
+    } else if (file.size > limits.maxFileBytes) {
+      summary.oversized++;
+    } else {
+      candidates.push(file);
+    }
+  }
+
+  candidates.sort((a, b) => {
+    const depthDifference = a.path.split('/').length - b.path.split('/').length;
+    return depthDifference || a.path.localeCompare(b.path);
+  });
+
+  const kept = [];
+  let totalBytes = 0;
+  for (const file of candidates) {
+    if (kept.length >= limits.maxFiles || totalBytes + file.size > limits.maxTotalBytes) {
+      summary.overLimit++;
+      continue;
+    }
+    kept.push(file);
+    totalBytes += file.size;
+  }
+
+  summary.kept = kept.length;
+  summary.totalBytes = totalBytes;
+
+  return { files: kept, summary };
+}
+
+module.exports = {
+  DEFAULT_IGNORE_PATTERNS,
+  IgnoreRules,
+  filterFiles,
+  getScanLimits,
+  isBinaryPath,
+  isBinaryContent
+};
@@ -0,0 +1,97 @@
+// Minimal Standard MIDI File (format 1) encoder.
+//
+// A composition looks like:
+// {
+//   ticksPerBeat: 480,
+//   tempo: 120,                                  // BPM
+//   timeSignature: [4, 4],
+//   key: { sharpsOrFlats: 0, minor: false },     // MIDI key signature
+//   tracks: [{ name, channel, program, notes: [{ pitch, start, duration, velocity }] }]
+// }
+// start and duration are in ticks.
+
+function variableLength(value) {
+  const bytes = [value & 0x7f];
+  value >>= 7;
+  while (value > 0) {
+    bytes.unshift((value & 0x7f) | 0x80);
+    value >>= 7;
+  }
+  return bytes;
+}
+
+function textBytes(text) {
+  return [...Buffer.from(text, 'utf8')];
+}
+
+function chunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.write(type, 0, 'ascii');
+  header.writeUInt32BE(data.length, 4);
+  return Buffer.concat([header, Buffer.from(data)]);
+}
+
+function encodeEvents(events) {
+  // Note-offs sort before note-ons on the same tick so repeated pitches retrigger
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const data = [];
+  let lastTick = 0;
+  for (const event of events) {
+    data.push(...variableLength(event.tick - lastTick), ...event.bytes);
+    lastTick = event.tick;
+  }
+  data.push(0x00, 0xff, 0x2f, 0x00);
+  return data;
+}
+
+function conductorTrack({ tempo, timeSignature = [4, 4], key, title }) {
+  const microsecondsPerBeat = Math.round(60000000 / tempo);
+  const [numerator, denominator] = timeSignature;
+  const events = [
+    { tick: 0, order: 0, bytes: [0xff, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff] },
+    { tick: 0, order: 0, bytes: [0xff, 0x58, 0x04, numerator, Math.log2(denominator), 24, 8] }
+  ];
+
+  if (title) {
+    const text = textBytes(title);
+    events.push({ tick: 0, order: 0, bytes: [0xff, 0x03, ...variableLength(text.length), ...text] });
+  }
+  if (key) {
+    events.push({ tick: 0, order: 0, bytes: [0xff, 0x59, 0x02, key.sharpsOrFlats & 0xff, key.minor ? 1 : 0] });
+  }
+
+  return encodeEvents(events);
+}
+
+function noteTrack({ name, channel, program, notes }) {
+  const events = [];
+
+  if (name) {
+    const text = textBytes(name);
+    events.push({ tick: 0, order: 0, bytes: [0xff, 0x03, ...variableLength(text.length), ...text] });
+  }
+  if (program !== undefined) {
+    events.push({ tick: 0, order: 0, bytes: [0xc0 | channel, program & 0x7f] });
+  }
+
+  for (const note of notes) {
+    events.push({ tick: note.start, order: 2, bytes: [0x90 | channel, note.pitch & 0x7f, note.velocity & 0x7f] });
+    events.push({ tick: note.start + note.duration, order: 1, bytes: [0x80 | channel, note.pitch & 0x7f, 0] });
+  }
+
+  return encodeEvents(events);
+}
+
+function encodeMidi(composition) {
+  const tracks = [conductorTrack(composition), ...composition.tracks.map(noteTrack)];
+
+  const header = Buffer.alloc(6);
+  header.writeUInt16BE(1, 0);
+  header.writeUInt16BE(tracks.length, 2);
+  header.writeUInt16BE(composition.ticksPerBeat, 4);
+
+  return Buffer.concat([chunk('MThd', header), ...tracks.map(track => chunk('MTrk', track))]);
+}
+
+module.exports = { encodeMidi };
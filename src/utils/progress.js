@@ -0,0 +1,35 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Helpers for long-running pipelines that report typed progress events and
+// can be cancelled through an AbortSignal (see services/jobManager.js).
+
+// The signal of the job running in the current async context. Guarded
+// requests (utils/resilience.js) abort with it, so a cancelled job stops its
+// GitHub and LLM calls without every service method passing the signal on.
+const cancellation = new AsyncLocalStorage();
+
+function createProgressReporter(onProgress) {
+  return (type, data = {}) => {
+    if (onProgress) {
+      onProgress({ type, ...data, at: new Date().toISOString() });
+    }
+  };
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    const error = new Error('Generation cancelled');
+    error.cancelled = true;
+    throw error;
+  }
+}
+
+function runCancellable(signal, run) {
+  return cancellation.run(signal, run);
+}
+
+function currentSignal() {
+  return cancellation.getStore();
+}
+
+module.exports = { createProgressReporter, throwIfCancelled, runCancellable, currentSignal };
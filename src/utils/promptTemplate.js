@@ -0,0 +1,113 @@
+// A small template language for prompt files:
+//   {{name}} or {{analysis.purpose}}  the value; arrays are joined with ", "
+//   {{#if name}}...{{else}}...{{/if}} a block for non-empty values
+//   {{> partial}}                     another template, with the same values
+// A block tag alone on its line takes the line with it, so conditional
+// paragraphs leave no blank lines behind. Names missing from the values are
+// an error rather than an empty string, so a renamed variable cannot
+// silently drop out; null and undefined values render as nothing.
+
+const TAG = /\{\{\s*(#if\s+[\w.]+|else|\/if|>\s*[a-z0-9][a-z0-9-]*|[\w.]+)\s*\}\}/g;
+const STANDALONE_TAG = /^[ \t]*(\{\{\s*(?:#if\s+[\w.]+|else|\/if)\s*\}\})[ \t]*\r?\n/gm;
+const MISSING = Symbol('missing');
+
+// Returns the template as a list of nodes: { text }, { variable },
+// { partial } and { condition, then, otherwise }
+function parseTemplate(source, file) {
+  const root = [];
+  const blocks = [];
+  const target = () => blocks.length > 0 ? blocks[blocks.length - 1].branch : root;
+  const text = source.replace(STANDALONE_TAG, '$1');
+
+  let position = 0;
+  for (const match of text.matchAll(TAG)) {
+    if (match.index > position) {
+      target().push({ text: text.substring(position, match.index) });
+    }
+    position = match.index + match[0].length;
+
+    const tag = match[1];
+    if (tag.startsWith('#if')) {
+      const node = { condition: tag.replace(/^#if\s+/, ''), then: [], otherwise: [] };
+      target().push(node);
+      blocks.push({ node, branch: node.then });
+    } else if (tag === 'else') {
+      const block = blocks[blocks.length - 1];
+      if (!block || block.branch === block.node.otherwise) {
+        throw new Error(`Invalid template ${file}: {{else}} outside an {{#if}}`);
+      }
+      block.branch = block.node.otherwise;
+    } else if (tag === '/if') {
+      if (!blocks.pop()) {
+        throw new Error(`Invalid template ${file}: {{/if}} without an {{#if}}`);
+      }
+    } else if (tag.startsWith('>')) {
+      target().push({ partial: tag.replace(/^>\s*/, '') });
+    } else {
+      target().push({ variable: tag });
+    }
+  }
+
+  if (blocks.length > 0) {
+    throw new Error(`Invalid template ${file}: {{#if ${blocks[blocks.length - 1].node.condition}}} is never closed`);
+  }
+  if (position < text.length) {
+    root.push({ text: text.substring(position) });
+  }
+  return root;
+}
+
+// Names of the partials a template uses, including those inside blocks
+function findPartials(nodes) {
+  return nodes.flatMap(node => {
+    if (node.partial) {
+      return [node.partial];
+    }
+    return node.condition ? [...findPartials(node.then), ...findPartials(node.otherwise)] : [];
+  });
+}
+
+function lookup(values, name) {
+  let value = values;
+  for (const key of name.split('.')) {
+    if (value === null || typeof value !== 'object' || !(key in value)) {
+      return MISSING;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+// getPartial(name) returns the parsed partial; file names the template in
+// errors. Partials that include themselves are rejected.
+function renderTemplate(nodes, values, getPartial, file, including = []) {
+  return nodes.map(node => {
+    if (node.text !== undefined) {
+      return node.text;
+    }
+
+    if (node.partial) {
+      if (including.includes(node.partial)) {
+        throw new Error(`Template ${file} includes partial "${node.partial}" within itself`);
+      }
+      return renderTemplate(getPartial(node.partial), values, getPartial, file, [...including, node.partial]);
+    }
+
+    if (node.condition) {
+      const value = lookup(values, node.condition);
+      const present = Array.isArray(value) ? value.length > 0 : value !== MISSING && Boolean(value);
+      return renderTemplate(present ? node.then : node.otherwise, values, getPartial, file, including);
+    }
+
+    const value = lookup(values, node.variable);
+    if (value === MISSING) {
+      throw new Error(`Template ${file} uses unknown value "${node.variable}"`);
+    }
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  }).join('');
+}
+
+module.exports = { parseTemplate, renderTemplate, findPartials };
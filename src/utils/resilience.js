@@ -0,0 +1,285 @@
+const { setTimeout: sleep } = require('timers/promises');
+const { throwIfCancelled, currentSignal } = require('./progress');
+
+// Retries, per-call timeouts, a circuit breaker and rate-limit bookkeeping
+// for the remote services the pipeline calls (GitHub and the LLM provider).
+// There is one ServiceGuard per service, shared by every caller, so a
+// failing service trips one breaker and /api/health can report its state.
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+// Below this share of the quota left, the service reports a warning
+const LOW_QUOTA_RATIO = 0.1;
+
+const guards = new Map();
+
+// A number setting from the environment, or fallback when it is unset or
+// invalid. 0 is a setting like any other (RETRY_ATTEMPTS=0: no retries);
+// timeouts and the breaker threshold pass min: 1.
+function readSetting(name, fallback, { min = 0 } = {}) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min) {
+    console.warn(`Ignoring invalid ${name}=${value}, using ${fallback}`);
+    return fallback;
+  }
+  return number;
+}
+
+function readDefaults() {
+  return {
+    attempts: readSetting('RETRY_ATTEMPTS', 4),
+    baseDelayMs: readSetting('RETRY_BASE_DELAY_MS', 500),
+    maxDelayMs: readSetting('RETRY_MAX_DELAY_MS', 30000),
+    // A Retry-After or rate-limit reset further away than this fails the call
+    // instead of holding the generation
+    maxWaitMs: readSetting('RETRY_MAX_WAIT_MS', 60000),
+    timeoutMs: 30000,
+    failureThreshold: readSetting('CIRCUIT_BREAKER_THRESHOLD', 5, { min: 1 }),
+    cooldownMs: readSetting('CIRCUIT_BREAKER_COOLDOWN_MS', 30000)
+  };
+}
+
+// Octokit, axios and fetch all expose headers differently; returns a plain
+// object with lower-case names
+function normalizeHeaders(headers) {
+  if (!headers) {
+    return {};
+  }
+  const entries = typeof headers.toJSON === 'function'
+    ? Object.entries(headers.toJSON())
+    : typeof headers.entries === 'function' ? [...headers.entries()] : Object.entries(headers);
+  return Object.fromEntries(entries.map(([name, value]) => [name.toLowerCase(), String(value)]));
+}
+
+// "1m30s", "250ms", "6s" (OpenAI's x-ratelimit-reset-* headers)
+function parseDuration(text) {
+  const parts = [...String(text).matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)];
+  if (parts.length === 0) {
+    return null;
+  }
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  return parts.reduce((total, [, value, unit]) => total + Number(value) * units[unit], 0);
+}
+
+// Milliseconds the service asked us to wait, or null when it did not say:
+// Retry-After (seconds or an HTTP date), or the reset time of an exhausted
+// rate limit (GitHub's x-ratelimit-reset, OpenAI's x-ratelimit-reset-requests)
+function getRequestedDelay(headers, now = Date.now()) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const delay = /^\d+(\.\d+)?$/.test(retryAfter.trim()) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - now;
+    if (!Number.isNaN(delay)) {
+      return Math.max(0, delay);
+    }
+  }
+
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    // One extra second: GitHub's reset is rounded down to the second
+    return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - now + 1000);
+  }
+  if (headers['x-ratelimit-remaining-requests'] === '0' && headers['x-ratelimit-reset-requests']) {
+    return parseDuration(headers['x-ratelimit-reset-requests']);
+  }
+
+  return null;
+}
+
+class ServiceGuard {
+  constructor(name, { label = name, ...options } = {}) {
+    this.name = name;
+    this.label = label;
+    this.options = { ...readDefaults(), ...options };
+    this.circuit = { state: 'closed', failures: 0, openedAt: null, trial: false };
+    this.quota = {};
+    this.lastError = null;
+  }
+
+  // request(signal) performs one attempt and must abort on the signal, which
+  // fires after timeoutMs or when the caller's signal aborts (a cancelled
+  // job; by default the one of the job running the call). Per-call options
+  // override attempts and timeoutMs.
+  async call(request, { attempts = this.options.attempts, timeoutMs = this.options.timeoutMs, signal = currentSignal() } = {}) {
+    throwIfCancelled(signal);
+    this.enterCircuit();
+
+    for (let attempt = 1; ; attempt++) {
+      const timeout = AbortSignal.timeout(timeoutMs);
+      try {
+        const response = await request(signal ? AbortSignal.any([signal, timeout]) : timeout);
+        this.recordQuota(response?.headers);
+        this.closeCircuit();
+        return response;
+      } catch (error) {
+        if (signal?.aborted) {
+          this.abandon(signal);
+        }
+        const failure = this.classify(error, timeout.aborted);
+        this.recordQuota(failure.headers);
+
+        // The service answered; the request itself was wrong (404, 401, ...)
+        if (!failure.retryable) {
+          this.closeCircuit();
+          throw error;
+        }
+
+        const requested = getRequestedDelay(failure.headers);
+        const delay = requested ?? Math.random() * Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** (attempt - 1));
+        if (attempt >= attempts || delay > this.options.maxWaitMs) {
+          this.recordFailure(failure);
+          if (requested !== null && requested > this.options.maxWaitMs) {
+            throw new Error(`${this.label} rate limit exceeded, try again after ${new Date(Date.now() + requested).toLocaleTimeString()}`);
+          }
+          throw failure.timedOut ? new Error(`${this.label} request timed out after ${timeoutMs}ms`) : error;
+        }
+
+        console.warn(`${this.label} request failed (${failure.reason}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${attempts})`);
+        await sleep(delay, undefined, { signal }).catch(() => this.abandon(signal));
+      }
+    }
+  }
+
+  // A cancelled call says nothing about the service: it is not counted as a
+  // failure, and a half-open circuit lets the next call make the trial
+  abandon(signal) {
+    this.circuit.trial = false;
+    throwIfCancelled(signal);
+  }
+
+  classify(error, timedOut) {
+    const status = error.status ?? error.response?.status ?? null;
+    const headers = normalizeHeaders(error.response?.headers);
+
+    if (timedOut) {
+      return { retryable: true, timedOut: true, reason: 'timed out', headers };
+    }
+    if (status) {
+      // GitHub answers an exhausted rate limit with 403, not 429
+      const rateLimited = status === 403 && (headers['x-ratelimit-remaining'] === '0' || headers['retry-after'] !== undefined);
+      return { retryable: rateLimited || RETRYABLE_STATUSES.includes(status), timedOut: false, reason: `status ${status}`, headers };
+    }
+    const code = error.code || error.cause?.code;
+    return { retryable: RETRYABLE_CODES.includes(code), timedOut: false, reason: code || error.message, headers };
+  }
+
+  // Open: calls fail at once until the cooldown is over. Then one trial call
+  // goes through (half-open); its outcome closes or reopens the circuit.
+  enterCircuit() {
+    const { circuit } = this;
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.options.cooldownMs) {
+      circuit.state = 'half-open';
+      circuit.trial = false;
+    }
+    if (circuit.state === 'open' || (circuit.state === 'half-open' && circuit.trial)) {
+      throw new Error(`${this.label} is unavailable after ${circuit.failures} failed requests, try again after ${new Date(this.getRetryAt()).toLocaleTimeString()}`);
+    }
+    if (circuit.state === 'half-open') {
+      circuit.trial = true;
+    }
+  }
+
+  closeCircuit() {
+    this.circuit = { state: 'closed', failures: 0, openedAt: null, trial: false };
+  }
+
+  recordFailure(failure) {
+    const { circuit } = this;
+    circuit.failures++;
+    this.lastError = { reason: failure.reason, at: new Date().toISOString() };
+    if (circuit.state === 'half-open' || circuit.failures >= this.options.failureThreshold) {
+      if (circuit.state !== 'open') {
+        console.warn(`${this.label} circuit opened after ${circuit.failures} failed requests`);
+      }
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+      circuit.trial = false;
+    }
+  }
+
+  getRetryAt() {
+    return this.circuit.openedAt + this.options.cooldownMs;
+  }
+
+  // Rate-limit headers of any response, keyed by GitHub's resource (core,
+  // search, ...) or "requests" for OpenAI-style headers
+  recordQuota(headers) {
+    const values = normalizeHeaders(headers);
+    const remaining = values['x-ratelimit-remaining'] ?? values['x-ratelimit-remaining-requests'];
+    if (remaining === undefined) {
+      return;
+    }
+
+    const limit = values['x-ratelimit-limit'] ?? values['x-ratelimit-limit-requests'];
+    let resetAt = null;
+    if (values['x-ratelimit-reset']) {
+      resetAt = new Date(Number(values['x-ratelimit-reset']) * 1000).toISOString();
+    } else if (values['x-ratelimit-reset-requests']) {
+      resetAt = new Date(Date.now() + (parseDuration(values['x-ratelimit-reset-requests']) || 0)).toISOString();
+    }
+
+    this.quota[values['x-ratelimit-resource'] || 'requests'] = {
+      limit: limit === undefined ? null : Number(limit),
+      remaining: Number(remaining),
+      resetAt,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  describe() {
+    const warnings = [];
+    if (this.circuit.state === 'open') {
+      warnings.push(`${this.label} is unavailable after ${this.circuit.failures} failed requests; requests resume after ${new Date(this.getRetryAt()).toISOString()}`);
+    }
+    for (const [resource, quota] of Object.entries(this.quota)) {
+      const resetting = quota.resetAt && Date.parse(quota.resetAt) > Date.now();
+      if (quota.limit && resetting && quota.remaining < quota.limit * LOW_QUOTA_RATIO) {
+        warnings.push(`${this.label} ${resource} quota is low: ${quota.remaining} of ${quota.limit} requests left until ${quota.resetAt}`);
+      }
+    }
+
+    return {
+      label: this.label,
+      circuit: {
+        state: this.circuit.state,
+        failures: this.circuit.failures,
+        retryAt: this.circuit.state === 'open' ? new Date(this.getRetryAt()).toISOString() : null
+      },
+      quota: this.quota,
+      lastError: this.lastError,
+      warnings
+    };
+  }
+}
+
+// The guard for a service, created with options on first use
+function getGuard(name, options) {
+  if (!guards.has(name)) {
+    guards.set(name, new ServiceGuard(name, options));
+  }
+  return guards.get(name);
+}
+
+function describeGuards() {
+  return Object.fromEntries([...guards].map(([name, guard]) => [name, guard.describe()]));
+}
+
+// Routes every Octokit request through a guard. Requests can pass
+// { request: { attempts, timeoutMs, signal } } to override the guard's
+// defaults and to cancel the call with its retries.
+function guardOctokit(octokit, guard) {
+  octokit.hook.wrap('request', (request, options) => {
+    const { attempts, timeoutMs, signal: callerSignal, ...requestOptions } = options.request || {};
+    return guard.call(signal => {
+      // Octokit's inner hooks are bound to this options object and ignore
+      // what is passed to them, so the signal is set on it in place
+      options.request = { ...requestOptions, signal };
+      return request(options);
+    }, { attempts, timeoutMs, signal: callerSignal });
+  });
+  return octokit;
+}
+
+module.exports = { getGuard, describeGuards, guardOctokit, readSetting };
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A generation recorded with the mock provider, replayed without network or
+// API keys. Re-record it with CASSETTE_MODE=record if the prompts change.
+const CASSETTE_FILE = path.join(__dirname, 'fixtures', 'cassettes', 'generate-electronic.json');
+const REPO_URL = 'https://github.com/a/b';
+const PROMPT = 'A steady, modular track inspired by b: layered synth arpeggios for its modules, a clean mid-tempo beat for its data flow and warm pads that resolve like a passing build.';
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+process.env.CASSETTE_MODE = 'replay';
+process.env.CASSETTE_FILE = CASSETTE_FILE;
+process.env.GENERATIONS_DIR = storeDir;
+delete process.env.API_AUTH;
+
+const MusicGenerator = require('../src/services/musicGenerator');
+const app = require('../src/index');
+
+function expectRecordedSong(result) {
+  expect(result.selectedStyle).toBe('electronic');
+  expect(result.musicPrompt).toBe(PROMPT);
+  expect(result.lyrics).toMatch(/^\[Verse 1\]\nIn the quiet of the terminal, b starts to hum\n/);
+  // The section the lyrics were missing, added by the recorded repair request
+  expect(result.lyrics).toContain('[Call and Response]\nOne more call and response for the repository\n');
+  expect(result.lyrics).toMatch(/\[Outro\]\nb, still running, till the very end$/);
+  expect(result.lyricsValidation).toMatchObject({ valid: true, missing: [] });
+}
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+test('MusicGenerator.generateFromRepo replays the recorded generation offline', async () => {
+  const fetch = jest.spyOn(global, 'fetch');
+
+  expectRecordedSong(await new MusicGenerator().generateFromRepo(REPO_URL, 'electronic'));
+  expect(fetch).not.toHaveBeenCalled();
+
+  fetch.mockRestore();
+});
+
+test('POST /api/generate replays the recorded generation', async () => {
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ repoUrl: REPO_URL, musicStyle: 'electronic' })
+    });
+
+    expect(response.status).toBe(200);
+    const { success, data } = await response.json();
+    expect(success).toBe(true);
+    expectRecordedSong(data);
+    expect(data.permalink).toBe(`/songs/${data.id}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('a request the cassette does not contain fails instead of going to the network', async () => {
+  await expect(new MusicGenerator().generateFromRepo('https://github.com/a/other', 'electronic'))
+    .rejects.toThrow('has no recorded github response for GET https://api.github.com/repos/a/other');
+});
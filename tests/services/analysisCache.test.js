@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnalysisCache = require('../../src/services/analysisCache');
+
+describe('AnalysisCache', () => {
+  let root;
+  let cache;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-cache-test-'));
+    cache = new AnalysisCache({ dir: path.join(root, 'cache'), ttlSeconds: 60 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const key = { owner: 'Octo', repo: 'Hello', ref: 'main', commitSha: 'abc123' };
+
+  test('stores, reads and invalidates the analyses of a repository', async () => {
+    await cache.set(key, { purpose: 'test' });
+    await cache.set({ ...key, ref: 'dev', commitSha: 'def456' }, { purpose: 'dev' });
+
+    expect((await cache.get(key)).analysis).toEqual({ purpose: 'test' });
+    expect(await cache.invalidate({ owner: 'octo', repo: 'hello' })).toBe(2);
+    expect(await cache.get(key)).toBeNull();
+  });
+
+  test('never removes anything outside its directory for an owner or repo of ".."', async () => {
+    const keep = path.join(root, 'keep.txt');
+    fs.writeFileSync(keep, 'still here');
+    await cache.set(key, { purpose: 'test' });
+
+    await cache.invalidate({ owner: '..', repo: '..' });
+    await cache.invalidate({ owner: 'octo', repo: '..' });
+    await cache.invalidate({ owner: '.', repo: '.' });
+
+    expect(fs.readFileSync(keep, 'utf8')).toBe('still here');
+    expect((await cache.get(key)).analysis).toEqual({ purpose: 'test' });
+  });
+
+  test('refuses paths that resolve outside or onto its directory', () => {
+    expect(() => cache.resolveInside('..', 'other')).toThrow('Refusing analysis cache path outside');
+    expect(() => cache.resolveInside('octo', '..')).toThrow('Refusing analysis cache path outside');
+    expect(cache.resolveInside('octo', 'hello')).toBe(path.join(root, 'cache', 'octo', 'hello'));
+  });
+});
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyStore = require('../../src/services/apiKeyStore');
+
+describe('ApiKeyStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-key-store-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps every key issued while the store is still loading', async () => {
+    const store = new ApiKeyStore({ dir });
+    // A second read of keys.json would land after the first request has
+    // issued its key, and bring back the file from before it
+    const readFile = store.readFile.bind(store);
+    let reads = 0;
+    jest.spyOn(store, 'readFile').mockImplementation(async (name, empty) => {
+      const content = await readFile(name, empty);
+      if (name === 'keys.json' && ++reads === 2) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      return content;
+    });
+    const issued = await Promise.all([store.issue('first'), store.issue('second')]);
+
+    const names = (await new ApiKeyStore({ dir }).list()).map(record => record.name).sort();
+    expect(names).toEqual(['first', 'second']);
+    expect(await store.find(issued[0].key)).toMatchObject({ name: 'first' });
+  });
+
+  test('never reserves more generations than the quota, however many requests race', async () => {
+    const store = new ApiKeyStore({ dir });
+    const reservations = await Promise.all(Array.from({ length: 8 }, () => store.reserveGenerations('key', 2, 5)));
+
+    expect(reservations.filter(Boolean)).toHaveLength(2);
+    expect((await store.getUsage('key')).generations).toBe(4);
+  });
+
+  test('gives back released generations', async () => {
+    const store = new ApiKeyStore({ dir });
+    const { day } = await store.reserveGenerations('key', 3, 5);
+    await store.releaseGenerations('key', 3, day);
+
+    expect(await store.getUsage('key')).toMatchObject({ generations: 0, totalGenerations: 0 });
+  });
+});
@@ -0,0 +1,23 @@
+const GitHubScanner = require('../../src/services/githubScanner');
+
+describe('GitHubScanner.parseRepoUrl', () => {
+  const scanner = new GitHubScanner({});
+
+  test('reads owner, repo, ref and subpath', () => {
+    expect(scanner.parseRepoUrl('https://github.com/octo/hello-music.git')).toEqual({ owner: 'octo', repo: 'hello-music' });
+    expect(scanner.parseRepoUrl('https://github.com/octo/hello.js/tree/feature/x/src')).toEqual({ owner: 'octo', repo: 'hello.js', refPath: 'feature/x/src' });
+    expect(scanner.parseRepoUrl('https://github.com/octo/hello/commit/abc123')).toEqual({ owner: 'octo', repo: 'hello', ref: 'abc123' });
+  });
+
+  test.each([
+    'https://github.com/../..',
+    'https://github.com/octo/..',
+    'https://github.com/octo/.',
+    'https://github.com/../hello',
+    'https://github.com/-octo/hello',
+    'https://github.com/octo_cat/hello',
+    'https://github.com/octo/hel%2Flo'
+  ])('rejects names GitHub does not allow: %s', url => {
+    expect(() => scanner.parseRepoUrl(url)).toThrow('Invalid GitHub repository URL');
+  });
+});
@@ -0,0 +1,53 @@
+const { parseLyrics, classifySection, countSections, findSection } = require('../../../src/services/lyrics/structure');
+
+describe('parseLyrics', () => {
+  test('keeps ad-lib parentheticals as lyric lines', () => {
+    const { sections } = parseLyrics([
+      '[Verse 1]',
+      'Bass comes in low',
+      '(let it drop)',
+      '(raindrops)',
+      '(hook me in)',
+      '[Chorus]',
+      'Sing it back',
+      '(Verse 2)',
+      'Second time around'
+    ].join('\n'));
+
+    expect(sections.map(section => section.type)).toEqual(['verse', 'chorus', 'verse']);
+    expect(sections[0].lines).toEqual(['Bass comes in low', '(let it drop)', '(raindrops)', '(hook me in)']);
+  });
+
+  test('does not read section names inside other words', () => {
+    const { sections } = parseLyrics(['[Verse 1]', 'Coroutines:', 'Pontoon:', 'Breakdowns of the build', 'Outro:', 'Goodbye'].join('\n'));
+
+    expect(sections.map(section => section.type)).toEqual(['verse', 'outro']);
+    expect(sections[0].lines).toEqual(['Coroutines:', 'Pontoon:', 'Breakdowns of the build']);
+  });
+
+  test('recognizes the usual header forms and localized names', () => {
+    const text = ['(Intro)', 'a', 'Verse 1:', 'b', '**Pre-Chorus**', 'c', '## Chorus', 'd', '[Call and Response]', 'e', 'Припев:', 'f', '[サビ]', 'g', '(Drop)', 'h'].join('\n');
+
+    expect(parseLyrics(text).sections.map(section => section.type))
+      .toEqual(['intro', 'verse', 'pre-chorus', 'chorus', 'call-and-response', 'chorus', 'chorus', 'instrumental']);
+    expect(countSections(parseLyrics(text))).toMatchObject({ chorus: 3, verse: 1 });
+  });
+});
+
+describe('classifySection', () => {
+  test('matches whole words, or with exact the name alone', () => {
+    expect(classifySection('Verse 2 (Alice)')).toBe('verse');
+    expect(classifySection('coroutines')).toBe('other');
+    expect(classifySection('let it drop')).toBe('instrumental');
+    expect(classifySection('let it drop', { exact: true })).toBe('other');
+    expect(classifySection('Chorus 2', { exact: true })).toBe('chorus');
+  });
+});
+
+describe('findSection', () => {
+  test('finds a section by type and ordinal despite ad-libs', () => {
+    const lyrics = parseLyrics(['[Chorus]', '(hook me in)', '[Verse]', 'x', '[Chorus]', 'y'].join('\n'));
+
+    expect(findSection(lyrics, 'chorus 2')).toBe(2);
+  });
+});
@@ -0,0 +1,68 @@
+const http = require('http');
+const MusicGenerator = require('../../src/services/musicGenerator');
+const OpenAICompatibleProvider = require('../../src/services/providers/openAICompatibleProvider');
+const { runCancellable } = require('../../src/utils/progress');
+
+// An LLM endpoint that answers the first chat completion and holds every
+// later one open, so the album can be cancelled while a track is being written
+function startLLM(onRequest) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      requests.push(req.url);
+      onRequest(requests.length);
+      if (requests.length === 1) {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ choices: [{ message: { content: 'A prompt for the first track' } }] }));
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+describe('MusicGenerator.generateAlbum', () => {
+  let llm;
+  const controller = new AbortController();
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    llm = await startLLM(count => {
+      if (count === 2) {
+        controller.abort();
+      }
+    });
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    llm.server.closeAllConnections();
+    await new Promise(resolve => llm.server.close(resolve));
+  });
+
+  test('stops at a cancelled track instead of writing the remaining ones', async () => {
+    const generator = new MusicGenerator();
+    const provider = new OpenAICompatibleProvider({ name: 'Test', baseURL: `http://127.0.0.1:${llm.server.address().port}`, models: { chat: 'test' } });
+    const chat = content => provider.chat([{ role: 'user', content }]);
+
+    generator.githubScanner.analyzeRepository = async () => ({ repository: { name: 'b' } });
+    generator.albumPlanner.findThemes = () => ['parser', 'cache', 'cli'];
+    generator.deepseekService.planAlbum = async (analysis, themes) => ({
+      title: 'Album',
+      direction: 'steady',
+      motifs: [],
+      tracks: themes.map(theme => ({ title: theme, theme, concept: theme, mood: 'calm' }))
+    });
+    generator.deepseekService.generateMusicPrompt = (analysis, style, profile, track) => chat(`Music prompt for ${track.title}`);
+    generator.deepseekService.generateLyrics = async (analysis, style, { track }) => ({ text: await chat(`Lyrics for ${track.title}`), structure: {}, validation: {} });
+
+    const error = await runCancellable(controller.signal, () =>
+      generator.generateAlbum('https://github.com/a/b', 'electronic', { signal: controller.signal, tracks: 3 })).catch(error => error);
+
+    expect(error.cancelled).toBe(true);
+    // The first track's prompt and the lyrics that were cancelled; no later track was started
+    expect(llm.requests).toEqual(['/chat/completions', '/chat/completions']);
+  });
+});
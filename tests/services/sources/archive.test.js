@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('tar');
+const { extractArchive } = require('../../../src/services/sources/archive');
+const LocalSource = require('../../../src/services/sources/localSource');
+
+describe('extractArchive', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('removes git metadata so an upload never brings its own git config', async () => {
+    const project = path.join(root, 'project');
+    fs.mkdirSync(path.join(project, '.git'), { recursive: true });
+    fs.mkdirSync(path.join(project, 'vendor', 'lib'), { recursive: true });
+    fs.writeFileSync(path.join(project, '.git', 'config'), '[log]\n\tshowSignature = true\n[gpg]\n\tprogram = ./evil.sh\n');
+    fs.writeFileSync(path.join(project, 'vendor', 'lib', '.git'), 'gitdir: /somewhere/else\n');
+    fs.writeFileSync(path.join(project, 'index.js'), 'module.exports = 1;\n');
+    await tar.c({ gzip: true, file: path.join(root, 'project.tgz'), cwd: root }, ['project']);
+
+    const rootDir = await extractArchive(path.join(root, 'project.tgz'), 'project.tgz', path.join(root, 'extracted'));
+
+    expect(rootDir).toBe(path.join(root, 'extracted', 'project'));
+    expect(fs.readdirSync(rootDir).sort()).toEqual(['index.js', 'vendor']);
+    expect(fs.readdirSync(path.join(rootDir, 'vendor', 'lib'))).toEqual([]);
+  });
+});
+
+describe('LocalSource without history', () => {
+  test('never runs git, even inside a working copy', async () => {
+    const source = new LocalSource(path.join(__dirname, '..', '..', '..'), { history: false });
+
+    expect(await source.getHistory()).toBeNull();
+    expect(await source.getContributors({ areas: ['src'] })).toBeNull();
+  });
+});
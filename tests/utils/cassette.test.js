@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cassette, stableStringify } = require('../../src/utils/cassette');
+
+describe('stableStringify', () => {
+  test('gives the same key whatever the order of object keys', () => {
+    expect(stableStringify({ url: '/repos/a/b', method: 'GET', body: { b: 1, a: [2, { d: 3, c: 4 }] } }))
+      .toBe(stableStringify({ body: { a: [2, { c: 4, d: 3 }], b: 1 }, method: 'GET', url: '/repos/a/b' }));
+  });
+
+  test('keeps array order and leaves out undefined values', () => {
+    expect(stableStringify({ b: [2, 1], a: undefined, c: null })).toBe('{"b":[2,1],"c":null}');
+    expect(stableStringify([1, 2])).not.toBe(stableStringify([2, 1]));
+  });
+});
+
+describe('Cassette', () => {
+  let file;
+
+  beforeEach(() => {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-test-')), 'cassette.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  const request = { method: 'GET', url: 'https://api.github.com/repos/a/b' };
+
+  test('replays repeated requests in recorded order, then the last response again', async () => {
+    const recorder = new Cassette(file, 'record');
+    await recorder.run('github', request, async () => ({ status: 200, data: 'first' }));
+    await recorder.run('github', request, async () => ({ status: 200, data: 'second' }));
+    await recorder.stop();
+
+    const player = new Cassette(file, 'replay');
+    const perform = jest.fn();
+    expect((await player.run('github', { url: request.url, method: 'GET' }, perform)).data).toBe('first');
+    expect((await player.run('github', request, perform)).data).toBe('second');
+    expect((await player.run('github', request, perform)).data).toBe('second');
+    expect(perform).not.toHaveBeenCalled();
+  });
+
+  test('replays a recorded error with its status and response', async () => {
+    const recorder = new Cassette(file, 'record');
+    const notFound = Object.assign(new Error('Not Found'), { status: 404, response: { status: 404, headers: { 'x-ratelimit-remaining': '10' }, data: { message: 'Not Found' } } });
+    await expect(recorder.run('github', request, async () => { throw notFound; })).rejects.toBe(notFound);
+    await recorder.stop();
+
+    const player = new Cassette(file, 'replay');
+    const error = await player.run('github', request, jest.fn()).catch(error => error);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe('Not Found');
+    expect(error.status).toBe(404);
+    expect(error.response).toEqual({ status: 404, headers: { 'x-ratelimit-remaining': '10' }, data: { message: 'Not Found' } });
+  });
+
+  test('does not record cancelled requests', async () => {
+    const recorder = new Cassette(file, 'record');
+    await recorder.run('github', request, async () => ({ status: 200, data: 'kept' }));
+    const cancelled = Object.assign(new Error('Cancelled'), { cancelled: true });
+    await expect(recorder.run('github', { ...request, url: `${request.url}/tags` }, async () => { throw cancelled; })).rejects.toBe(cancelled);
+    await recorder.stop();
+
+    expect(new Cassette(file, 'replay').interactions).toHaveLength(1);
+  });
+
+  test('fails a request it has no recorded response for instead of performing it', async () => {
+    await new Cassette(file, 'record').stop();
+
+    const player = new Cassette(file, 'replay');
+    const perform = jest.fn();
+    await expect(player.run('github', request, perform))
+      .rejects.toThrow(`Cassette ${file} has no recorded github response for GET https://api.github.com/repos/a/b`);
+    await expect(player.run('chat', { messages: [{ role: 'user', content: '\nWrite lyrics about b\nmore' }], model: 'mock' }, perform))
+      .rejects.toThrow('has no recorded chat response for a chat completion starting "Write lyrics about b"');
+    expect(perform).not.toHaveBeenCalled();
+  });
+
+  test('writes a recording once in the background instead of after every request', async () => {
+    jest.useFakeTimers();
+    try {
+      const recorder = new Cassette(file, 'record');
+      for (let index = 0; index < 50; index++) {
+        await recorder.run('github', { ...request, url: `${request.url}/${index}` }, async () => ({ status: 200, data: index }));
+      }
+      expect(fs.existsSync(file)).toBe(false);
+
+      jest.advanceTimersByTime(1000);
+      await recorder.writing;
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).interactions).toHaveLength(50);
+
+      await recorder.run('github', request, async () => ({ status: 200, data: 'last' }));
+      await recorder.stop();
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).interactions).toHaveLength(51);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('refuses to replay a cassette that was never recorded', () => {
+    expect(() => new Cassette(file, 'replay')).toThrow('the file does not exist, record it first with CASSETTE_MODE=record');
+  });
+});
@@ -0,0 +1,44 @@
+const { getGuard, readSetting } = require('../../src/utils/resilience');
+
+describe('readSetting', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = env;
+    jest.restoreAllMocks();
+  });
+
+  test('accepts 0 and falls back only when unset or invalid', () => {
+    process.env.RETRY_ATTEMPTS = '0';
+    expect(readSetting('RETRY_ATTEMPTS', 4)).toBe(0);
+
+    delete process.env.RETRY_ATTEMPTS;
+    expect(readSetting('RETRY_ATTEMPTS', 4)).toBe(4);
+    process.env.RETRY_ATTEMPTS = ' ';
+    expect(readSetting('RETRY_ATTEMPTS', 4)).toBe(4);
+    process.env.RETRY_ATTEMPTS = 'many';
+    expect(readSetting('RETRY_ATTEMPTS', 4)).toBe(4);
+    process.env.RETRY_ATTEMPTS = '-1';
+    expect(readSetting('RETRY_ATTEMPTS', 4)).toBe(4);
+    expect(console.warn).toHaveBeenCalledTimes(2);
+  });
+
+  test('honours a minimum', () => {
+    process.env.LLM_TIMEOUT_MS = '0';
+    expect(readSetting('LLM_TIMEOUT_MS', 120000, { min: 1 })).toBe(120000);
+  });
+
+  test('RETRY_ATTEMPTS=0 makes a single attempt', async () => {
+    process.env.RETRY_ATTEMPTS = '0';
+    const guard = getGuard('retry-attempts-test');
+    const request = jest.fn(async () => { throw Object.assign(new Error('unavailable'), { status: 503 }); });
+
+    await expect(guard.call(request)).rejects.toThrow('unavailable');
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});